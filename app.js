@@ -59,7 +59,7 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Basic validation
     const price = formData.get('price');
-    const time = formData.get('timeInMinutes');
+    const time = formData.get('timeInHours');
     const image = formData.get('image');
     
     if (!price || !time || !image.name) {
@@ -160,7 +160,7 @@ document.addEventListener('DOMContentLoaded', () => {
         <img src="${tattoo.imageUrl}" alt="Tattoo" class="tattoo-image" loading="lazy">
         <div class="tattoo-details">
           <div class="tattoo-price">$${tattoo.price.toFixed(2)}</div>
-          <div class="tattoo-time">${formatTime(tattoo.timeInMinutes)}</div>
+          <div class="tattoo-time">${formatTime(Math.round(tattoo.timeInHours * 60))}</div>
           <div class="tattoo-tags">${tagsHTML || '<span class="tag">No tags</span>'}</div>
         </div>
       `;
@@ -0,0 +1,119 @@
+const express = require('express');
+const { AuditEntry, AUDIT_ACTIONS } = require('../models/auditEntry');
+const { Tattoo } = require('../models/tattoo');
+const auth = require('../auth');
+const { validate } = require('../validation');
+const webhooks = require('../webhooks');
+
+// Record fields whose changes are written to the log
+const AUDITED_FIELDS = [
+  'price', 'currency', 'timeInHours', 'tags', 'placement', 'size', 'colorMode',
+  'style', 'artist', 'sessions', 'coverUp', 'reviewStatus'
+];
+
+// A plain copy of a record's audited fields (plus its image count and consent
+// scope) to diff against later. The client reference is never logged, so the
+// history kept after a client's records are purged doesn't identify them.
+function snapshot(tattoo) {
+  const plain = typeof tattoo.toObject === 'function' ? tattoo.toObject() : tattoo;
+  const values = {
+    images: (plain.images || []).length,
+    consentScope: plain.consent ? plain.consent.scope : undefined
+  };
+  AUDITED_FIELDS.forEach(field => {
+    values[field] = plain[field];
+  });
+  return JSON.parse(JSON.stringify(values));
+}
+
+// Fields that differ between two snapshots, as [{ field, from, to }]
+function diffSnapshots(before, after) {
+  return Object.keys(after)
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => ({ field, from: before[field], to: after[field] }));
+}
+
+/**
+ * Add an entry to a record's history and announce the change to webhooks.
+ * `user` is the account that made the change, or null for the server's own
+ * jobs. A failure is logged rather than failing the request that made the change.
+ */
+async function record(action, tattooId, user, { changes, note } = {}) {
+  try {
+    await AuditEntry.create({
+      tattoo: tattooId,
+      action,
+      user: user ? user._id : undefined,
+      changes,
+      note
+    });
+  } catch (error) {
+    console.error(`Error writing ${action} audit entry for tattoo ${tattooId}:`, error);
+  }
+  await webhooks.notify(action, tattooId, { changes });
+}
+
+const router = express.Router();
+
+// History of one record, oldest first. Open to whoever may edit the record,
+// including while it is in the trash.
+router.get('/api/tattoos/:id/history', auth.requireAuth, validate({
+  summary: 'Show the change history of a tattoo',
+  params: { properties: { id: { type: 'string', description: 'Tattoo ID' } } },
+  response: {
+    type: 'object',
+    properties: {
+      entries: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            action: { type: 'string', enum: AUDIT_ACTIONS },
+            user: { type: ['object', 'null'] },
+            changes: { type: 'array', items: { type: 'object', properties: { field: { type: 'string' }, from: {}, to: {} } } },
+            note: { type: 'string' },
+            createdAt: { type: 'string', format: 'date-time' }
+          }
+        }
+      }
+    }
+  },
+  responses: {
+    403: { description: 'Not your tattoo' },
+    404: { description: 'Tattoo not found' }
+  }
+}), async (req, res) => {
+  try {
+    const tattoo = await Tattoo.findById(req.params.id).setOptions({ withTrashed: true });
+    if (tattoo && !auth.canModify(req.user, tattoo)) {
+      return res.status(403).json({ error: 'You can only view the history of your own tattoos' });
+    }
+    if (!tattoo && !req.user.isAdmin()) {
+      return res.status(404).json({ error: 'Tattoo not found' });
+    }
+
+    // Admins can still read the history of a purged record
+    const entries = await AuditEntry.find({ tattoo: req.params.id })
+      .sort({ createdAt: 1, _id: 1 })
+      .populate('user', 'username displayName');
+    if (!tattoo && !entries.length) {
+      return res.status(404).json({ error: 'Tattoo not found' });
+    }
+
+    res.json({ entries });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ error: 'Tattoo not found' });
+    }
+    console.error('Error fetching tattoo history:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = {
+  AUDITED_FIELDS,
+  snapshot,
+  diffSnapshots,
+  record,
+  router
+};
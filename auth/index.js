@@ -0,0 +1,381 @@
+const crypto = require('crypto');
+const express = require('express');
+const { User, ROLES, MIN_PASSWORD_LENGTH } = require('../models/user');
+const { Session } = require('../models/session');
+const { isKnownCurrency, knownCurrencies } = require('../currency/rates');
+const { validate } = require('../validation');
+const sessionCache = require('./sessionCache');
+
+const SESSION_COOKIE = 'tdc_session';
+const SESSION_TTL_MS = (parseFloat(process.env.SESSION_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+function parseCookies(header) {
+  const cookies = {};
+  (header || '').split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index === -1) return;
+    const name = part.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch (error) {
+      // Ignore cookies we can't decode; they aren't ours
+    }
+  });
+  return cookies;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Browsers send the session cookie; scripts and other clients can use a bearer token
+function getToken(req) {
+  const authorization = req.headers.authorization || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  return parseCookies(req.headers.cookie)[SESSION_COOKIE];
+}
+
+async function createSession(user) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+  await Session.create({ tokenHash: hashToken(token), user: user._id, expiresAt });
+  return { token, expiresAt };
+}
+
+function setSessionCookie(res, token, expiresAt) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    expires: expiresAt
+  });
+}
+
+// Load the signed-in user, if any, onto req.user. Never rejects the request;
+// the require* middleware below decide what needs a login.
+async function authenticate(req, res, next) {
+  req.user = null;
+  const token = getToken(req);
+  if (!token) return next();
+
+  // While the database is down, sessions used in the last 12 hours still count (see sessionCache.js)
+  const tokenHash = hashToken(token);
+  if (Session.db.readyState !== 1) {
+    const user = sessionCache.lookup(tokenHash);
+    if (user) {
+      req.user = user;
+      req.sessionTokenHash = tokenHash;
+    }
+    return next();
+  }
+
+  try {
+    const session = await Session.findOne({
+      tokenHash,
+      expiresAt: { $gt: new Date() }
+    }).populate('user');
+
+    if (session && session.user) {
+      req.user = session.user;
+      req.sessionTokenHash = session.tokenHash;
+      sessionCache.remember(session.tokenHash, session.user, session.expiresAt);
+    }
+  } catch (error) {
+    console.error('Error loading session:', error);
+  }
+  next();
+}
+
+function requireAuth(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Please log in to continue' });
+  }
+  next();
+}
+
+function requireAdmin(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Please log in to continue' });
+  }
+  if (!req.user.isAdmin()) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+}
+
+// Same as requireAdmin for HTML pages: send people to log in instead of returning JSON
+function requireAdminPage(req, res, next) {
+  if (!req.user) {
+    return res.redirect(`/login.html?next=${encodeURIComponent(req.originalUrl)}`);
+  }
+  if (!req.user.isAdmin()) {
+    return res.redirect(`/error.html?message=${encodeURIComponent('This page is only available to admins.')}`);
+  }
+  next();
+}
+
+// Artists may change their own records; admins may change any record
+function canModify(user, tattoo) {
+  if (!user) return false;
+  if (user.isAdmin()) return true;
+  return Boolean(tattoo.owner) && tattoo.owner.equals(user._id);
+}
+
+// Request and response shapes for validation and /api/docs (see validation/)
+const accountFields = {
+  username: {
+    type: 'string',
+    pattern: '^\\s*[A-Za-z0-9._-]{3,40}\\s*$',
+    title: 'Username',
+    'x-message': 'Username must be 3-40 letters, numbers, dots, dashes or underscores'
+  },
+  password: { type: 'string', minLength: MIN_PASSWORD_LENGTH, title: 'Password' },
+  displayName: { type: 'string', maxLength: 100, title: 'Display name' }
+};
+
+const currencyField = {
+  type: 'string',
+  pattern: '^\\s*[A-Za-z]{3}\\s*$',
+  title: 'Currency',
+  'x-message': 'Currency must be a three-letter code, e.g. AUD'
+};
+
+const userSchema = {
+  type: 'object',
+  properties: {
+    _id: { type: 'string' },
+    username: { type: 'string' },
+    displayName: { type: 'string' },
+    role: { type: 'string', enum: ROLES },
+    defaultCurrency: { type: 'string' },
+    createdAt: { type: 'string', format: 'date-time' }
+  }
+};
+
+const signedInSchema = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    user: userSchema,
+    token: { type: 'string', description: 'Send as a bearer token, or rely on the session cookie' }
+  }
+};
+
+const router = express.Router();
+
+async function createUser({ username, password, displayName, role, defaultCurrency, firstAccount }) {
+  const user = new User({ username, displayName, role, defaultCurrency: defaultCurrency || undefined, firstAccount });
+  await user.setPassword(password);
+  await user.save();
+  return user;
+}
+
+// Turn user creation failures into a 400 with a readable message
+function userErrorMessage(error) {
+  if (error.code === 11000) return 'That username is already taken';
+  if (error.name === 'ValidationError') {
+    return Object.values(error.errors).map(fieldError => fieldError.message).join(', ');
+  }
+  if (error.message && error.message.startsWith('Password')) return error.message;
+  return null;
+}
+
+router.get('/api/auth/me', validate({
+  summary: 'The signed-in account',
+  response: {
+    type: 'object',
+    properties: {
+      user: { ...userSchema, type: ['object', 'null'] },
+      setupRequired: { type: 'boolean', description: 'True when no account exists yet' }
+    }
+  }
+}), async (req, res) => {
+  try {
+    // The login page offers first-time setup when there are no accounts yet
+    const setupRequired = !req.user && (await User.estimatedDocumentCount()) === 0;
+    res.json({ user: req.user, setupRequired });
+  } catch (error) {
+    console.error('Error loading current user:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Only used to create the first account, which becomes an admin.
+// After that, accounts are created by admins through POST /api/users.
+router.post('/api/auth/register', validate({
+  summary: 'Create the first admin account',
+  description: 'Only allowed while there are no accounts.',
+  body: { type: 'object', required: ['username', 'password'], properties: accountFields },
+  responses: {
+    201: { description: 'Created and signed in', schema: signedInSchema },
+    403: { description: 'An account already exists' }
+  }
+}), async (req, res) => {
+  try {
+    if (await User.countDocuments() > 0) {
+      return res.status(403).json({ error: 'Accounts are created by an admin' });
+    }
+
+    const { username, password, displayName } = req.body;
+    const user = await createUser({ username, password, displayName, role: 'admin', firstAccount: true });
+    console.log('Created first admin account:', user.username);
+
+    const { token, expiresAt } = await createSession(user);
+    setSessionCookie(res, token, expiresAt);
+    res.status(201).json({ success: true, user, token });
+  } catch (error) {
+    // Another setup request created the first account in the meantime
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.firstAccount) {
+      return res.status(403).json({ error: 'Accounts are created by an admin' });
+    }
+    const message = userErrorMessage(error);
+    if (message) return res.status(400).json({ error: message });
+    console.error('Error registering user:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.post('/api/auth/login', validate({
+  summary: 'Sign in',
+  body: {
+    type: 'object',
+    required: ['username', 'password'],
+    properties: {
+      username: { type: 'string', minLength: 1, title: 'Username' },
+      password: { type: 'string', minLength: 1, title: 'Password' }
+    }
+  },
+  response: signedInSchema,
+  responses: { 401: { description: 'Incorrect username or password' } }
+}), async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    const user = await User.findOne({ username: String(username).trim().toLowerCase() });
+    if (!user || !(await user.checkPassword(password))) {
+      return res.status(401).json({ error: 'Incorrect username or password' });
+    }
+
+    const { token, expiresAt } = await createSession(user);
+    setSessionCookie(res, token, expiresAt);
+    console.log('User logged in:', user.username);
+    res.json({ success: true, user, token });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.post('/api/auth/logout', validate({
+  summary: 'Sign out',
+  response: { type: 'object', properties: { success: { type: 'boolean' } } }
+}), async (req, res) => {
+  res.clearCookie(SESSION_COOKIE);
+  if (req.sessionTokenHash) {
+    sessionCache.forget(req.sessionTokenHash);
+    // The browser is signed out either way; with the database down the
+    // session itself stays until it expires
+    try {
+      if (Session.db.readyState === 1) await Session.deleteOne({ tokenHash: req.sessionTokenHash });
+    } catch (error) {
+      console.error('Error deleting session on logout:', error.message);
+    }
+  }
+  res.json({ success: true });
+});
+
+router.get('/api/users', requireAdmin, validate({
+  summary: 'List accounts',
+  response: { type: 'array', items: userSchema }
+}), async (req, res) => {
+  try {
+    const users = await User.find().sort({ createdAt: 1 });
+    res.json(users);
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.post('/api/users', requireAdmin, validate({
+  summary: 'Create an account',
+  body: {
+    type: 'object',
+    required: ['username', 'password'],
+    properties: {
+      ...accountFields,
+      role: { type: 'string', enum: ROLES, title: 'Role', description: 'artist by default' },
+      defaultCurrency: currencyField
+    }
+  },
+  responses: {
+    201: { description: 'Created', schema: { type: 'object', properties: { success: { type: 'boolean' }, user: userSchema } } }
+  }
+}), async (req, res) => {
+  try {
+    const { username, password, displayName, role = 'artist', defaultCurrency } = req.body;
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+    if (defaultCurrency && !isKnownCurrency(String(defaultCurrency).toUpperCase())) {
+      return res.status(400).json({ error: `Currency must be one of: ${knownCurrencies().join(', ')}` });
+    }
+
+    const user = await createUser({ username, password, displayName, role, defaultCurrency });
+    console.log(`Admin ${req.user.username} created ${role} account:`, user.username);
+    res.status(201).json({ success: true, user });
+  } catch (error) {
+    const message = userErrorMessage(error);
+    if (message) return res.status(400).json({ error: message });
+    console.error('Error creating user:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Change an account's default currency (blank falls back to the studio default)
+router.patch('/api/users/:id', requireAdmin, validate({
+  summary: 'Change an account',
+  params: { properties: { id: { type: 'string', description: 'User ID' } } },
+  body: {
+    type: 'object',
+    properties: { defaultCurrency: { ...currencyField, description: 'Blank falls back to the studio default' } }
+  },
+  response: { type: 'object', properties: { success: { type: 'boolean' }, user: userSchema } },
+  responses: { 404: { description: 'User not found' } }
+}), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (req.body.defaultCurrency !== undefined) {
+      const code = String(req.body.defaultCurrency || '').trim().toUpperCase();
+      if (code && !isKnownCurrency(code)) {
+        return res.status(400).json({ error: `Currency must be one of: ${knownCurrencies().join(', ')}` });
+      }
+      user.defaultCurrency = code || undefined;
+    }
+
+    await user.save();
+    res.json({ success: true, user });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const message = userErrorMessage(error);
+    if (message) return res.status(400).json({ error: message });
+    console.error('Error updating user:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = {
+  authenticate,
+  requireAuth,
+  requireAdmin,
+  requireAdminPage,
+  canModify,
+  router
+};
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+const { User } = require('../models/user');
+const { JOURNAL_DIR } = require('../journal/paths');
+
+// Sessions used recently, so signed-in artists can still submit (to the
+// journal) while the database is down. Kept on disk next to the journal, so
+// they survive a restart during an outage. Only read while the database is
+// down; a role or account change made in the meantime shows up the next time
+// the session is loaded from the database.
+const CACHE_FILE = path.join(JOURNAL_DIR, 'sessions.json');
+const SESSION_CACHE_MS = 12 * 60 * 60 * 1000;
+const MAX_CACHED_SESSIONS = 1000;
+
+// Each request would otherwise push a session's expiry out a little and
+// rewrite the file; only rewrite once it has moved this far
+const REWRITE_AFTER_MS = 60 * 60 * 1000;
+
+function load() {
+  try {
+    const saved = JSON.parse(fs.readFileSync(CACHE_FILE, 'utf8'));
+    return new Map(Object.entries(saved).filter(([, cached]) => cached.expiresAt > Date.now()));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error reading the session cache, starting without it:', error.message);
+    }
+    return new Map();
+  }
+}
+
+// Oldest first, so the first key is the one to drop when the cache is full
+const sessions = load();
+
+// Writes go one at a time, each to a temporary file renamed into place
+let writing = Promise.resolve();
+
+function save() {
+  writing = writing.then(async () => {
+    const tempFile = `${CACHE_FILE}.tmp`;
+    await fs.promises.mkdir(JOURNAL_DIR, { recursive: true });
+    await fs.promises.writeFile(tempFile, JSON.stringify(Object.fromEntries(sessions)), { mode: 0o600 });
+    await fs.promises.rename(tempFile, CACHE_FILE);
+  }).catch(error => console.error('Error writing the session cache:', error.message));
+}
+
+/**
+ * Remember a session loaded from the database. `tokenHash` is the session's
+ * token hash (never the token itself), `user` the populated user and
+ * `expiresAt` when the session ends.
+ */
+function remember(tokenHash, user, expiresAt) {
+  const cached = sessions.get(tokenHash);
+  const fields = JSON.parse(JSON.stringify(user));
+  const cachedUntil = Math.min(expiresAt.getTime(), Date.now() + SESSION_CACHE_MS);
+  if (cached && JSON.stringify(cached.user) === JSON.stringify(fields) && cachedUntil - cached.expiresAt < REWRITE_AFTER_MS) {
+    return;
+  }
+
+  sessions.delete(tokenHash);
+  sessions.set(tokenHash, { user: fields, expiresAt: cachedUntil });
+  for (const [key, { expiresAt: until }] of sessions) {
+    if (until <= Date.now() || sessions.size > MAX_CACHED_SESSIONS) sessions.delete(key);
+  }
+  save();
+}
+
+// The user of a remembered session that hasn't run out, or null
+function lookup(tokenHash) {
+  const cached = sessions.get(tokenHash);
+  if (!cached || cached.expiresAt <= Date.now()) return null;
+  return User.hydrate(cached.user);
+}
+
+function forget(tokenHash) {
+  if (sessions.delete(tokenHash)) save();
+}
+
+module.exports = {
+  remember,
+  lookup,
+  forget
+};
@@ -0,0 +1,96 @@
+const express = require('express');
+const { Tattoo } = require('../models/tattoo');
+const { requireAdmin } = require('../auth');
+const { validate, refs } = require('../validation');
+const trash = require('../trash');
+const scopes = require('./scopes');
+
+// Every record with the client reference, including ones in the trash
+function findClientRecords(clientRef) {
+  return Tattoo.find({ 'consent.clientRef': clientRef })
+    .collation(scopes.CLIENT_REF_COLLATION)
+    .setOptions({ withTrashed: true })
+    .sort({ createdAt: 1, _id: 1 });
+}
+
+// Read the client reference from a query or body, or null when it's missing
+function clientRefFrom(source) {
+  const clientRef = typeof source.clientRef === 'string' ? source.clientRef.trim() : '';
+  return clientRef || null;
+}
+
+const clientRefInput = {
+  required: ['clientRef'],
+  properties: { clientRef: { type: 'string', title: 'Client reference' } }
+};
+
+const router = express.Router();
+
+// Records that would be purged for a client, so an admin can check before purging
+router.get('/api/consent/records', requireAdmin, validate({
+  summary: 'List the records of a client',
+  description: 'Includes records in the trash. These are the records a purge would delete.',
+  query: clientRefInput,
+  response: {
+    type: 'object',
+    properties: {
+      clientRef: { type: 'string' },
+      tattoos: { type: 'array', items: refs.tattoo },
+      images: { type: 'integer' }
+    }
+  }
+}), async (req, res) => {
+  const clientRef = clientRefFrom(req.query);
+  if (!clientRef) {
+    return res.status(400).json({ error: 'A client reference is required' });
+  }
+
+  try {
+    const tattoos = await findClientRecords(clientRef).populate('owner', 'username displayName');
+    res.json({
+      clientRef,
+      tattoos,
+      images: tattoos.reduce((count, tattoo) => count + tattoo.images.length, 0)
+    });
+  } catch (error) {
+    console.error('Error finding client records:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Permanently delete every record and stored image for a client, e.g. when they
+// withdraw consent. Trashed records are purged too.
+router.post('/api/consent/purge', requireAdmin, validate({
+  summary: 'Delete every record and image of a client',
+  description: 'Cannot be undone.',
+  body: { type: 'object', ...clientRefInput },
+  response: {
+    type: 'object',
+    properties: { success: { type: 'boolean' }, purged: { type: 'integer' }, images: { type: 'integer' } }
+  }
+}), async (req, res) => {
+  const clientRef = clientRefFrom(req.body);
+  if (!clientRef) {
+    return res.status(400).json({ error: 'A client reference is required' });
+  }
+
+  try {
+    const tattoos = await findClientRecords(clientRef);
+    let images = 0;
+    for (const tattoo of tattoos) {
+      images += tattoo.images.length;
+      await trash.purge(tattoo, req.user, 'Client data purge');
+    }
+    console.log(`Purged ${tattoos.length} tattoos for a client at the request of ${req.user.username}`);
+
+    res.json({ success: true, purged: tattoos.length, images });
+  } catch (error) {
+    console.error('Error purging client records:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = {
+  ...scopes,
+  router
+};
@@ -0,0 +1,22 @@
+// What a client agreed their photos may be used for. Each scope includes the
+// uses of the ones before it: portfolio consent also covers training, and
+// public consent covers everything.
+const CONSENT_SCOPES = ['training', 'portfolio', 'public'];
+
+const MAX_CLIENT_REF_LENGTH = 100;
+
+// Client references are matched case-insensitively, so "JSmith" finds "jsmith"
+const CLIENT_REF_COLLATION = { locale: 'en', strength: 2 };
+
+// Scopes that cover a use, e.g. scopesAllowing('portfolio') -> ['portfolio', 'public']
+function scopesAllowing(use) {
+  const index = CONSENT_SCOPES.indexOf(use);
+  return index === -1 ? [] : CONSENT_SCOPES.slice(index);
+}
+
+module.exports = {
+  CONSENT_SCOPES,
+  MAX_CLIENT_REF_LENGTH,
+  CLIENT_REF_COLLATION,
+  scopesAllowing
+};
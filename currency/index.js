@@ -0,0 +1,124 @@
+const express = require('express');
+const { CurrencyRate } = require('../models/currencyRate');
+const { requireAdmin } = require('../auth');
+const { validate } = require('../validation');
+const rates = require('./rates');
+
+const codeParams = {
+  properties: {
+    code: { type: 'string', pattern: '^[A-Za-z]{3}$', title: 'Currency', 'x-message': 'Currency must be a three-letter code, e.g. AUD' }
+  }
+};
+
+const router = express.Router();
+
+// Currencies records can use, with their rate to the base currency
+router.get('/api/currencies', validate({
+  summary: 'List currencies and their rates',
+  response: {
+    type: 'object',
+    properties: {
+      base: { type: 'string', description: 'The currency rates convert to' },
+      default: { type: 'string', description: 'The currency of records that have none' },
+      currencies: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            code: { type: 'string' },
+            rate: { type: 'number' },
+            updatedAt: { type: ['string', 'null'], format: 'date-time' }
+          }
+        }
+      }
+    }
+  }
+}), async (req, res) => {
+  try {
+    const stored = await CurrencyRate.find().sort({ code: 1 });
+    const byCode = new Map(stored.map(rate => [rate.code, rate]));
+
+    res.json({
+      base: rates.BASE_CURRENCY,
+      default: rates.DEFAULT_CURRENCY,
+      currencies: rates.knownCurrencies().map(code => ({
+        code,
+        rate: rates.rateFor(code),
+        updatedAt: byCode.has(code) ? byCode.get(code).updatedAt : null
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching currencies:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Add or update a currency's rate
+router.put('/api/currencies/:code', requireAdmin, validate({
+  summary: 'Add or update a currency rate',
+  params: codeParams,
+  body: {
+    type: 'object',
+    required: ['rate'],
+    properties: {
+      rate: { type: 'number', exclusiveMinimum: 0, title: 'Rate', description: 'Value of one unit in the base currency' }
+    }
+  },
+  response: { type: 'object', properties: { success: { type: 'boolean' }, currency: { type: 'object' } } }
+}), async (req, res) => {
+  try {
+    const code = String(req.params.code).trim().toUpperCase();
+    if (code === rates.BASE_CURRENCY) {
+      return res.status(400).json({ error: `${code} is the base currency; its rate is always 1` });
+    }
+
+    const rate = parseFloat(req.body.rate);
+    if (isNaN(rate) || rate <= 0) {
+      return res.status(400).json({ error: 'Rate must be a number greater than 0' });
+    }
+
+    const currencyRate = await CurrencyRate.findOneAndUpdate(
+      { code },
+      { code, rate, updatedBy: req.user._id },
+      { upsert: true, new: true, runValidators: true }
+    );
+    await rates.loadRates();
+    console.log(`Admin ${req.user.username} set ${code} rate to ${rate} ${rates.BASE_CURRENCY}`);
+
+    res.json({ success: true, currency: currencyRate });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: Object.values(error.errors).map(fieldError => fieldError.message).join(', ') });
+    }
+    console.error('Error saving currency rate:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Remove a rate. Records in that currency are kept but have no base-currency price.
+router.delete('/api/currencies/:code', requireAdmin, validate({
+  summary: 'Remove a currency rate',
+  params: codeParams,
+  response: { type: 'object', properties: { success: { type: 'boolean' } } },
+  responses: { 404: { description: 'Currency not found' } }
+}), async (req, res) => {
+  try {
+    const code = String(req.params.code).trim().toUpperCase();
+    const result = await CurrencyRate.deleteOne({ code });
+    if (!result.deletedCount) {
+      return res.status(404).json({ error: 'Currency not found' });
+    }
+    await rates.loadRates();
+    console.log(`Admin ${req.user.username} removed the ${code} rate`);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting currency rate:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = {
+  ...rates,
+  router
+};
@@ -0,0 +1,63 @@
+const { CurrencyRate, CURRENCY_CODE } = require('../models/currencyRate');
+
+// Prices are normalised to BASE_CURRENCY. DEFAULT_CURRENCY is the studio
+// default for records whose artist has none, and for records saved before
+// currencies were tracked.
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'USD').trim().toUpperCase();
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || BASE_CURRENCY).trim().toUpperCase();
+
+// code -> rate, cached from the CurrencyRate collection so conversions are synchronous
+let rates = new Map();
+
+async function loadRates() {
+  const stored = await CurrencyRate.find().lean();
+  rates = new Map(stored.map(({ code, rate }) => [code, rate]));
+  console.log(`Loaded ${rates.size} currency rates (base ${BASE_CURRENCY})`);
+  return rates;
+}
+
+function rateFor(code) {
+  if (code === BASE_CURRENCY) return 1;
+  return rates.get(code) || null;
+}
+
+// Currencies a record may use: the base, the studio default and any with a rate
+function knownCurrencies() {
+  return Array.from(new Set([BASE_CURRENCY, DEFAULT_CURRENCY, ...rates.keys()])).sort();
+}
+
+function isKnownCurrency(code) {
+  return knownCurrencies().includes(code);
+}
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Convert an amount to the base currency, or null when there is no rate for
+ * its currency. Records without a currency are in DEFAULT_CURRENCY.
+ */
+function toBase(amount, currency) {
+  if (typeof amount !== 'number' || isNaN(amount)) return null;
+  const rate = rateFor(currency || DEFAULT_CURRENCY);
+  return rate === null ? null : roundMoney(amount * rate);
+}
+
+// Price per hour in the record's own currency, or null without a positive time
+function perHour(amount, hours) {
+  if (typeof amount !== 'number' || !(hours > 0)) return null;
+  return roundMoney(amount / hours);
+}
+
+module.exports = {
+  BASE_CURRENCY,
+  DEFAULT_CURRENCY,
+  CURRENCY_CODE,
+  loadRates,
+  rateFor,
+  knownCurrencies,
+  isKnownCurrency,
+  toBase,
+  perHour
+};
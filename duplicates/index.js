@@ -0,0 +1,201 @@
+const express = require('express');
+const { Tattoo } = require('../models/tattoo');
+const storage = require('../storage');
+const { requireAdmin } = require('../auth');
+const { validate } = require('../validation');
+const { perceptualHash, hashSimilarity } = require('../imaging/phash');
+
+// Images at least this similar (0-1) count as duplicates
+const SIMILARITY_THRESHOLD = parseFloat(process.env.DUPLICATE_SIMILARITY) || 0.9;
+
+// "warn" saves the upload and reports the matches; "reject" refuses it unless
+// the request sets allowDuplicate=true
+const DUPLICATE_ACTION = (process.env.DUPLICATE_ACTION || 'warn').trim().toLowerCase() === 'reject'
+  ? 'reject'
+  : 'warn';
+
+// Hash an image buffer, or return null for images the decoder can't read
+async function safeHash(buffer) {
+  try {
+    return await perceptualHash(buffer);
+  } catch (error) {
+    console.error('Could not compute perceptual hash:', error.message);
+    return null;
+  }
+}
+
+async function loadHashedImages() {
+  const tattoos = await Tattoo.find({ 'images.phash': { $exists: true } }, 'images').lean();
+  const images = [];
+  tattoos.forEach(tattoo => {
+    tattoo.images.forEach(image => {
+      if (image.phash) images.push({ tattooId: tattoo._id, image });
+    });
+  });
+  return images;
+}
+
+/**
+ * Find stored images that look like any of the given hashes. Returns one
+ * entry per matching tattoo with its best similarity, most similar first.
+ */
+async function findDuplicates(hashes, { excludeTattooId = null } = {}) {
+  const wanted = hashes.filter(Boolean);
+  if (!wanted.length) return [];
+
+  const bestByTattoo = new Map();
+  (await loadHashedImages()).forEach(({ tattooId, image }) => {
+    if (excludeTattooId && tattooId.equals(excludeTattooId)) return;
+
+    const similarity = Math.max(...wanted.map(hash => hashSimilarity(hash, image.phash)));
+    if (similarity < SIMILARITY_THRESHOLD) return;
+
+    const current = bestByTattoo.get(String(tattooId));
+    if (!current || similarity > current.similarity) {
+      bestByTattoo.set(String(tattooId), { tattooId, imageId: image._id, imageUrl: image.url, similarity });
+    }
+  });
+
+  return Array.from(bestByTattoo.values()).sort((a, b) => b.similarity - a.similarity);
+}
+
+function shouldReject(duplicates, body) {
+  const allowDuplicate = ['true', 'on', '1'].includes(String((body || {}).allowDuplicate).toLowerCase());
+  return DUPLICATE_ACTION === 'reject' && duplicates.length > 0 && !allowDuplicate;
+}
+
+// Group all hashed images into clusters of near-identical images (union-find
+// over every pair above the threshold). Only clusters with 2+ images are returned.
+function clusterImages(images) {
+  const parent = images.map((image, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const similarities = new Map();
+
+  for (let i = 0; i < images.length; i++) {
+    for (let j = i + 1; j < images.length; j++) {
+      const similarity = hashSimilarity(images[i].image.phash, images[j].image.phash);
+      if (similarity >= SIMILARITY_THRESHOLD) {
+        parent[find(i)] = find(j);
+        [i, j].forEach(index => {
+          similarities.set(index, Math.max(similarities.get(index) || 0, similarity));
+        });
+      }
+    }
+  }
+
+  const groups = new Map();
+  images.forEach((entry, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push({ ...entry, similarity: similarities.get(i) });
+  });
+
+  return Array.from(groups.values())
+    .filter(group => group.length > 1)
+    .map(group => ({
+      size: group.length,
+      tattooCount: new Set(group.map(entry => String(entry.tattooId))).size,
+      images: group.map(({ tattooId, image, similarity }) => ({
+        tattooId,
+        imageId: image._id,
+        url: image.url,
+        thumbnailUrl: image.thumbnail ? image.thumbnail.url : image.url,
+        role: image.role,
+        createdAt: image.createdAt,
+        similarity
+      }))
+    }))
+    .sort((a, b) => b.size - a.size);
+}
+
+const router = express.Router();
+
+// Admin report of existing duplicate clusters
+router.get('/api/duplicates', requireAdmin, validate({
+  summary: 'List clusters of similar images',
+  response: {
+    type: 'object',
+    properties: {
+      threshold: { type: 'number' },
+      action: { type: 'string', enum: ['warn', 'reject'] },
+      hashedImages: { type: 'integer' },
+      tattoosWithUnhashedImages: { type: 'integer', description: 'Run the backfill to include these' },
+      clusters: { type: 'array', items: { type: 'object' } }
+    }
+  }
+}), async (req, res) => {
+  try {
+    const [images, unhashed] = await Promise.all([
+      loadHashedImages(),
+      Tattoo.countDocuments({ images: { $elemMatch: { phash: { $exists: false } } } })
+    ]);
+
+    res.json({
+      threshold: SIMILARITY_THRESHOLD,
+      action: DUPLICATE_ACTION,
+      hashedImages: images.length,
+      tattoosWithUnhashedImages: unhashed,
+      clusters: clusterImages(images)
+    });
+  } catch (error) {
+    console.error('Error building duplicate report:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Hash images uploaded before duplicate detection existed, fetching them from storage
+router.post('/api/duplicates/backfill', requireAdmin, validate({
+  summary: 'Hash images uploaded before duplicate detection existed',
+  response: {
+    type: 'object',
+    properties: { success: { type: 'boolean' }, hashed: { type: 'integer' }, failed: { type: 'integer' } }
+  }
+}), async (req, res) => {
+  try {
+    let hashed = 0;
+    let failed = 0;
+
+    // One record at a time, so only its images are held in memory
+    for await (const tattoo of Tattoo.find({ images: { $elemMatch: { phash: { $exists: false } } } }).cursor()) {
+      let recordHashed = 0;
+      for (const image of tattoo.images) {
+        if (image.phash) continue;
+        try {
+          const location = storage.locate(image);
+          const { buffer } = await storage.get(location.key, location.driver);
+          image.phash = await perceptualHash(buffer);
+          recordHashed++;
+        } catch (error) {
+          console.error(`Could not hash image ${image._id} of tattoo ${tattoo._id}:`, error.message);
+          failed++;
+        }
+      }
+      if (!recordHashed) continue;
+
+      // A legacy record that no longer passes validation keeps its images unhashed; the rest carry on
+      try {
+        await tattoo.save();
+        hashed += recordHashed;
+      } catch (error) {
+        console.error(`Could not save hashes for tattoo ${tattoo._id}:`, error.message);
+        failed += recordHashed;
+      }
+    }
+
+    console.log(`Perceptual hash backfill: ${hashed} hashed, ${failed} failed`);
+    res.json({ success: true, hashed, failed });
+  } catch (error) {
+    console.error('Error backfilling perceptual hashes:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = {
+  SIMILARITY_THRESHOLD,
+  DUPLICATE_ACTION,
+  safeHash,
+  findDuplicates,
+  shouldReject,
+  clusterImages,
+  router
+};
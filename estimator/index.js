@@ -0,0 +1,169 @@
+const express = require('express');
+const { Tattoo, DETAIL_FIELD_SCHEMAS, parseTattooDetails } = require('../models/tattoo');
+const { requireAdmin } = require('../auth');
+const { validate, sendValidationError } = require('../validation');
+const { BASE_CURRENCY, toBase } = require('../currency/rates');
+const { normalizeTag, canonicalTag } = require('../tags/vocabulary');
+const { scopesAllowing } = require('../consent/scopes');
+const { MIN_SAMPLES, train, predict } = require('./model');
+
+// Retrain interval in minutes; 0 turns scheduled retraining off
+const RETRAIN_MINUTES = process.env.ESTIMATOR_RETRAIN_MINUTES !== undefined
+  ? parseFloat(process.env.ESTIMATOR_RETRAIN_MINUTES)
+  : 60;
+
+const TRAINING_FIELDS = 'price currency timeInHours tags size placement style colorMode coverUp';
+
+let model = null;
+let trainingPromise = null;
+
+// Rebuild the model from the current records. Concurrent calls share one run.
+function retrain() {
+  if (!trainingPromise) {
+    trainingPromise = (async () => {
+      // Train on base-currency prices; records in a currency without a rate are left out,
+      // as are records a reviewer excluded and records without consent to training
+      const filter = { reviewStatus: { $ne: 'excluded' }, 'consent.scope': { $in: scopesAllowing('training') } };
+      const records = (await Tattoo.find(filter, TRAINING_FIELDS).lean())
+        .map(record => ({ ...record, price: toBase(record.price, record.currency) }));
+      model = train(records);
+      console.log(`Estimator trained on ${model.sampleCount} records`, model.metrics
+        ? `(price MAE ${model.metrics.price.mae.toFixed(2)}, hours MAE ${model.metrics.timeInHours.mae.toFixed(2)})`
+        : '(not enough data for held-out metrics)');
+      return model;
+    })().finally(() => {
+      trainingPromise = null;
+    });
+  }
+  return trainingPromise;
+}
+
+async function getModel() {
+  return model || retrain();
+}
+
+function startSchedule() {
+  if (!(RETRAIN_MINUTES > 0)) {
+    console.log('Scheduled estimator retraining is disabled');
+    return;
+  }
+  const timer = setInterval(() => {
+    retrain().catch(error => console.error('Scheduled estimator retraining failed:', error));
+  }, RETRAIN_MINUTES * 60 * 1000);
+  timer.unref();
+}
+
+function describeModel(current) {
+  return {
+    trainedAt: current.trainedAt,
+    currency: BASE_CURRENCY,
+    sampleCount: current.sampleCount,
+    k: current.k,
+    metrics: current.metrics
+  };
+}
+
+const modelSchema = {
+  type: 'object',
+  properties: {
+    trainedAt: { type: 'string', format: 'date-time' },
+    currency: { type: 'string' },
+    sampleCount: { type: 'integer' },
+    k: { type: 'integer' },
+    metrics: { type: ['object', 'null'], description: 'Held-out error of the price and hours estimates' }
+  }
+};
+
+const rangeSchema = {
+  type: 'object',
+  properties: { estimate: { type: 'number' }, low: { type: 'number' }, high: { type: 'number' } }
+};
+
+const router = express.Router();
+
+// Estimate price and hours from the same details a submission has
+router.post('/api/estimate', validate({
+  summary: 'Estimate price and hours',
+  description: `Prices are in ${BASE_CURRENCY}.`,
+  body: {
+    type: 'object',
+    properties: {
+      ...DETAIL_FIELD_SCHEMAS,
+      tags: { type: ['array', 'string'], items: { type: 'string' }, description: 'A list or comma separated' }
+    }
+  },
+  response: {
+    type: 'object',
+    properties: {
+      price: rangeSchema,
+      timeInHours: rangeSchema,
+      confidence: { type: 'number', description: 'How likely the value is to fall between low and high' },
+      neighbors: {
+        type: 'array',
+        items: { type: 'object', properties: { id: { type: 'string' }, similarity: { type: 'number' } } },
+        description: 'The records the estimate is based on'
+      },
+      currency: { type: 'string' },
+      model: modelSchema
+    }
+  },
+  responses: { 503: { description: 'Not enough records to estimate from yet' } }
+}), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { details, ...failure } = parseTattooDetails(body);
+    if (!details) {
+      return sendValidationError(res, failure);
+    }
+
+    // Synonyms map to the tags the model was trained on
+    const tags = (Array.isArray(body.tags) ? body.tags : String(body.tags || '').split(','))
+      .map(tag => canonicalTag(normalizeTag(tag)));
+    const current = await getModel();
+
+    if (current.sampleCount < MIN_SAMPLES) {
+      return res.status(503).json({
+        error: `The estimator needs at least ${MIN_SAMPLES} tattoos to make an estimate (currently ${current.sampleCount})`
+      });
+    }
+
+    res.json({
+      ...predict(current, { ...details, tags }),
+      currency: BASE_CURRENCY,
+      model: describeModel(current)
+    });
+  } catch (error) {
+    console.error('Error estimating quote:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.get('/api/estimate/model', validate({
+  summary: 'Describe the current estimator model',
+  response: modelSchema
+}), async (req, res) => {
+  try {
+    res.json(describeModel(await getModel()));
+  } catch (error) {
+    console.error('Error loading estimator model:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.post('/api/estimate/train', requireAdmin, validate({
+  summary: 'Retrain the estimator now',
+  response: { type: 'object', properties: { success: { type: 'boolean' }, model: modelSchema } }
+}), async (req, res) => {
+  try {
+    res.json({ success: true, model: describeModel(await retrain()) });
+  } catch (error) {
+    console.error('Error retraining estimator:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = {
+  retrain,
+  startSchedule,
+  router
+};
@@ -0,0 +1,260 @@
+// k-nearest-neighbours quote model over stored tattoo records.
+// Pure functions only; estimator/index.js loads the data and keeps the trained model.
+
+const DEFAULT_K = 7;
+const MIN_SAMPLES = 5;
+const MIN_VALIDATION_SAMPLES = 3;
+const HOLDOUT_FRACTION = 0.2;
+const CONFIDENCE_LEVEL = 0.8;
+
+// How much each feature counts towards the distance between two tattoos
+const WEIGHTS = {
+  tags: 3,
+  size: 2,
+  style: 1.5,
+  placement: 1,
+  colorMode: 1,
+  coverUp: 0.5
+};
+
+// A 4x difference in area counts as completely different in size
+const LOG_AREA_SCALE = Math.log(4);
+
+// Distance used when the query has a feature that a stored record is missing
+const MISSING_PENALTY = 0.5;
+
+function toFeatures(record) {
+  const size = record.size || {};
+  const tags = (record.tags || [])
+    .map(tag => String(tag).trim().toLowerCase())
+    .filter(Boolean);
+
+  return {
+    tags: new Set(tags),
+    logArea: size.widthCm > 0 && size.heightCm > 0 ? Math.log(size.widthCm * size.heightCm) : null,
+    placement: record.placement || null,
+    style: record.style || null,
+    colorMode: record.colorMode || null,
+    coverUp: typeof record.coverUp === 'boolean' ? record.coverUp : null
+  };
+}
+
+function hasFeatures(features) {
+  return features.tags.size > 0 || ['logArea', 'placement', 'style', 'colorMode', 'coverUp']
+    .some(name => features[name] !== null);
+}
+
+function jaccardDistance(a, b) {
+  if (!b.size) return MISSING_PENALTY;
+  let shared = 0;
+  a.forEach(tag => {
+    if (b.has(tag)) shared += 1;
+  });
+  return 1 - shared / (a.size + b.size - shared);
+}
+
+function categoryDistance(a, b) {
+  if (b === null) return MISSING_PENALTY;
+  return a === b ? 0 : 1;
+}
+
+// Weighted average of per-feature distances in [0, 1], using only the
+// features the query actually provides
+function distance(query, sample) {
+  let total = 0;
+  let weight = 0;
+
+  function add(name, value) {
+    total += WEIGHTS[name] * value;
+    weight += WEIGHTS[name];
+  }
+
+  if (query.tags.size) add('tags', jaccardDistance(query.tags, sample.tags));
+  if (query.logArea !== null) {
+    add('size', sample.logArea === null
+      ? MISSING_PENALTY
+      : Math.min(1, Math.abs(query.logArea - sample.logArea) / LOG_AREA_SCALE));
+  }
+  ['placement', 'style', 'colorMode', 'coverUp'].forEach(name => {
+    if (query[name] !== null) add(name, categoryDistance(query[name], sample[name]));
+  });
+
+  return weight ? total / weight : 0;
+}
+
+function toSample(record) {
+  return {
+    id: String(record._id),
+    features: toFeatures(record),
+    price: record.price,
+    timeInHours: record.timeInHours
+  };
+}
+
+function weightedMean(values, weights) {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  return values.reduce((sum, value, i) => sum + value * weights[i], 0) / totalWeight;
+}
+
+function quantile(sortedValues, q) {
+  if (!sortedValues.length) return 0;
+  const position = (sortedValues.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (position - lower);
+}
+
+// Nearest neighbours and their inverse-distance weighted averages
+function predictFromSamples(samples, features, k) {
+  const ranked = hasFeatures(features)
+    ? samples
+      .map(sample => ({ sample, distance: distance(features, sample.features) }))
+      .sort((a, b) => a.distance - b.distance)
+    : samples.map(sample => ({ sample, distance: 0 }));
+
+  // Without any features to compare, every record is equally relevant
+  const neighbors = hasFeatures(features) ? ranked.slice(0, k) : ranked;
+  const weights = neighbors.map(neighbor => 1 / (neighbor.distance + 0.05));
+
+  return {
+    neighbors,
+    price: weightedMean(neighbors.map(n => n.sample.price), weights),
+    timeInHours: weightedMean(neighbors.map(n => n.sample.timeInHours), weights)
+  };
+}
+
+// Deterministic shuffle so the held-out split (and its metrics) is stable between runs
+function seededShuffle(items, seed) {
+  const shuffled = items.slice();
+  let state = seed >>> 0;
+  const random = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+function errorMetrics(pairs) {
+  const absErrors = pairs.map(({ actual, predicted }) => Math.abs(actual - predicted));
+  const percentErrors = pairs
+    .filter(({ actual }) => actual > 0)
+    .map(({ actual, predicted }) => Math.abs(actual - predicted) / actual);
+
+  return {
+    mae: absErrors.reduce((sum, e) => sum + e, 0) / absErrors.length,
+    rmse: Math.sqrt(absErrors.reduce((sum, e) => sum + e * e, 0) / absErrors.length),
+    mape: percentErrors.length
+      ? percentErrors.reduce((sum, e) => sum + e, 0) / percentErrors.length
+      : null
+  };
+}
+
+// Spread of log(actual / predicted) on held-out records, used to turn a
+// point estimate into an interval at CONFIDENCE_LEVEL
+function ratioBounds(pairs) {
+  const logRatios = pairs
+    .filter(({ actual, predicted }) => actual > 0 && predicted > 0)
+    .map(({ actual, predicted }) => Math.log(actual / predicted))
+    .sort((a, b) => a - b);
+  if (logRatios.length < MIN_VALIDATION_SAMPLES) return null;
+
+  const tail = (1 - CONFIDENCE_LEVEL) / 2;
+  return { low: quantile(logRatios, tail), high: quantile(logRatios, 1 - tail) };
+}
+
+/**
+ * Build a model from tattoo records. A seeded share of the records is held
+ * out first to measure error and calibrate the confidence interval; the
+ * returned model then uses every record for predictions.
+ */
+function train(records, { k = DEFAULT_K, seed = 42, holdoutFraction = HOLDOUT_FRACTION } = {}) {
+  const samples = records
+    .filter(record => Number.isFinite(record.price) && Number.isFinite(record.timeInHours))
+    .map(toSample);
+
+  const model = {
+    k,
+    samples,
+    sampleCount: samples.length,
+    trainedAt: new Date(),
+    metrics: null,
+    calibration: null
+  };
+
+  const shuffled = seededShuffle(samples, seed);
+  const validationSize = Math.floor(shuffled.length * holdoutFraction);
+  const trainingSet = shuffled.slice(validationSize);
+
+  if (validationSize >= MIN_VALIDATION_SAMPLES && trainingSet.length >= MIN_SAMPLES) {
+    const pricePairs = [];
+    const hoursPairs = [];
+
+    shuffled.slice(0, validationSize).forEach(sample => {
+      const prediction = predictFromSamples(trainingSet, sample.features, k);
+      pricePairs.push({ actual: sample.price, predicted: prediction.price });
+      hoursPairs.push({ actual: sample.timeInHours, predicted: prediction.timeInHours });
+    });
+
+    model.metrics = {
+      trainingSize: trainingSet.length,
+      validationSize,
+      price: errorMetrics(pricePairs),
+      timeInHours: errorMetrics(hoursPairs)
+    };
+    model.calibration = {
+      price: ratioBounds(pricePairs),
+      timeInHours: ratioBounds(hoursPairs)
+    };
+  }
+
+  return model;
+}
+
+function round(value, decimals = 2) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+function interval(field, estimate, model, neighbors) {
+  const bounds = model.calibration && model.calibration[field];
+  if (bounds) {
+    return { low: estimate * Math.exp(bounds.low), high: estimate * Math.exp(bounds.high) };
+  }
+  // Not enough held-out data yet: fall back to the range of the neighbours
+  const values = neighbors.map(neighbor => neighbor.sample[field]);
+  return { low: Math.min(...values), high: Math.max(...values) };
+}
+
+/**
+ * Estimate price and hours for a tattoo description (tags, size, placement,
+ * style, colour mode, cover-up).
+ */
+function predict(model, record) {
+  const features = toFeatures(record);
+  const { neighbors, price, timeInHours } = predictFromSamples(model.samples, features, model.k);
+  const priceRange = interval('price', price, model, neighbors);
+  const hoursRange = interval('timeInHours', timeInHours, model, neighbors);
+
+  return {
+    price: { estimate: round(price), low: round(priceRange.low), high: round(priceRange.high) },
+    timeInHours: { estimate: round(timeInHours), low: round(hoursRange.low), high: round(hoursRange.high) },
+    confidence: CONFIDENCE_LEVEL,
+    neighbors: neighbors.slice(0, model.k).map(neighbor => ({
+      id: neighbor.sample.id,
+      similarity: round(1 - neighbor.distance, 3)
+    }))
+  };
+}
+
+module.exports = {
+  MIN_SAMPLES,
+  train,
+  predict
+};
@@ -0,0 +1,342 @@
+const crypto = require('crypto');
+const path = require('path');
+const archiver = require('archiver');
+const { Tattoo, primaryImage } = require('../models/tattoo');
+const { parseTattooQuery, FILTER_PARAMETERS, SORT_PARAMETERS } = require('../models/tattooQuery');
+const storage = require('../storage');
+const currency = require('../currency/rates');
+const { CONSENT_SCOPES, scopesAllowing } = require('../consent/scopes');
+
+const FORMATS = ['json', 'jsonl', 'csv', 'zip'];
+
+// Flat, ML-friendly view of a record. Order here is the column order in CSV.
+const FIELD_GETTERS = {
+  id: tattoo => String(tattoo._id),
+  imageUrl: tattoo => (primaryImage(tattoo.images) || {}).url,
+  images: tattoo => (tattoo.images || []).map(image => `${image.role}:${image.url}`),
+  price: tattoo => tattoo.price,
+  currency: tattoo => tattoo.currency || currency.DEFAULT_CURRENCY,
+  timeInHours: tattoo => tattoo.timeInHours,
+  pricePerHour: tattoo => currency.perHour(tattoo.price, tattoo.timeInHours),
+  // In BASE_CURRENCY, so records in different currencies can be compared
+  basePrice: tattoo => currency.toBase(tattoo.price, tattoo.currency),
+  basePricePerHour: tattoo => currency.perHour(currency.toBase(tattoo.price, tattoo.currency), tattoo.timeInHours),
+  tags: tattoo => tattoo.tags || [],
+  placement: tattoo => tattoo.placement,
+  widthCm: tattoo => tattoo.size && tattoo.size.widthCm,
+  heightCm: tattoo => tattoo.size && tattoo.size.heightCm,
+  colorMode: tattoo => tattoo.colorMode,
+  style: tattoo => tattoo.style,
+  artist: tattoo => tattoo.artist,
+  sessions: tattoo => tattoo.sessions,
+  coverUp: tattoo => tattoo.coverUp,
+  qualityScore: tattoo => tattoo.quality && tattoo.quality.score,
+  reviewStatus: tattoo => tattoo.reviewStatus || 'ok',
+  consentScope: tattoo => tattoo.consent && tattoo.consent.scope,
+  consentGivenAt: tattoo => tattoo.consent && tattoo.consent.givenAt && tattoo.consent.givenAt.toISOString(),
+  createdAt: tattoo => tattoo.createdAt && tattoo.createdAt.toISOString(),
+  updatedAt: tattoo => tattoo.updatedAt && tattoo.updatedAt.toISOString()
+};
+
+const FIELDS = Object.keys(FIELD_GETTERS);
+const SPLIT_NAMES = ['train', 'val', 'test'];
+
+const extensionsByContentType = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/heic': '.heic'
+};
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * Read export options from query parameters.
+ *
+ *   format        json (default), jsonl, csv or zip (images plus a CSV manifest, one row per image)
+ *   fields        comma separated subset of FIELDS (default: all)
+ *   split         train/val/test percentages, e.g. "80,10,10"; adds a "split" column
+ *   seed          seed for the split (default 42); the same seed always gives the same split
+ *   includeExcluded   "true" to include records a reviewer excluded (left out by default)
+ *   consentScope  the use the export is for: training (default), portfolio or public. Only
+ *                 records whose client consented to that use are included.
+ *   ...filters    the same filters as GET /api/tattoos (price, hours, tags, dates, sort)
+ *
+ * Throws an Error with a user-facing message when an option is invalid.
+ */
+function parseExportOptions(query) {
+  const format = isBlank(query.format) ? 'json' : String(query.format).toLowerCase();
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Format must be one of: ${FORMATS.join(', ')}`);
+  }
+
+  let fields = FIELDS;
+  if (!isBlank(query.fields)) {
+    fields = String(query.fields).split(',').map(field => field.trim()).filter(Boolean);
+    const unknown = fields.filter(field => !FIELDS.includes(field));
+    if (unknown.length) {
+      throw new Error(`Unknown fields: ${unknown.join(', ')}. Available fields: ${FIELDS.join(', ')}`);
+    }
+  }
+
+  let split = null;
+  if (!isBlank(query.split)) {
+    const parts = String(query.split).split(',').map(Number);
+    if (parts.length !== 3 || parts.some(part => isNaN(part) || part < 0) || parts.every(part => part === 0)) {
+      throw new Error('Split must be three non-negative train,val,test percentages, e.g. 80,10,10');
+    }
+    const total = parts.reduce((sum, part) => sum + part, 0);
+    split = parts.map(part => part / total);
+  }
+
+  const seed = isBlank(query.seed) ? '42' : String(query.seed);
+
+  // Pagination doesn't apply to exports, only the filters and sort
+  const { filter, sort } = parseTattooQuery({ ...query, page: undefined, limit: undefined });
+
+  // Records a reviewer excluded from the dataset (see quality/)
+  if (!['true', '1', 'on'].includes(String(query.includeExcluded).toLowerCase())) {
+    filter.reviewStatus = { $ne: 'excluded' };
+  }
+
+  // Records without recorded consent are never exported
+  const consentScope = isBlank(query.consentScope) ? CONSENT_SCOPES[0] : String(query.consentScope).toLowerCase();
+  if (!CONSENT_SCOPES.includes(consentScope)) {
+    throw new Error(`Consent scope must be one of: ${CONSENT_SCOPES.join(', ')}`);
+  }
+  filter['consent.scope'] = { $in: scopesAllowing(consentScope) };
+
+  return { format, fields, split, seed, filter, sort };
+}
+
+// Hash the record ID with the seed so a record keeps its split as the dataset grows
+function assignSplit(id, seed, split) {
+  const hash = crypto.createHash('sha256').update(`${seed}:${id}`).digest();
+  const position = hash.readUInt32BE(0) / 0x100000000;
+  let cumulative = 0;
+  for (let i = 0; i < split.length; i++) {
+    cumulative += split[i];
+    if (position < cumulative) return SPLIT_NAMES[i];
+  }
+  return SPLIT_NAMES[split.length - 1];
+}
+
+function toRow(tattoo, options) {
+  const row = {};
+  options.fields.forEach(field => {
+    row[field] = FIELD_GETTERS[field](tattoo);
+  });
+  if (options.split) {
+    row.split = assignSplit(String(tattoo._id), options.seed, options.split);
+  }
+  return row;
+}
+
+function columnsFor(options, extraColumns = []) {
+  return [...extraColumns, ...options.fields, ...(options.split ? ['split'] : [])];
+}
+
+function csvValue(value) {
+  if (value === undefined || value === null) return '';
+  const text = Array.isArray(value) ? value.join('|') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(columns, row) {
+  return columns.map(column => csvValue(row[column])).join(',') + '\n';
+}
+
+function exportFilename(extension) {
+  return `tattoo-data-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+// Thrown when the client goes away before the export is done, e.g. they
+// cancelled the download. A closed response never drains, so without this a
+// write would wait forever and the cursor would never be closed.
+function clientGoneError() {
+  const error = new Error('The client closed the connection before the export finished');
+  error.code = 'EXPORT_ABORTED';
+  return error;
+}
+
+// Resolves once the response is closed, finished or not
+function whenClosed(res) {
+  if (res.destroyed) return Promise.resolve();
+  return new Promise(resolve => res.once('close', resolve));
+}
+
+// Write a chunk and wait for the response to drain if its buffer is full
+function write(res, chunk) {
+  if (res.destroyed) return Promise.reject(clientGoneError());
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      res.off('close', onClose);
+      resolve();
+    };
+    const onClose = () => {
+      res.off('drain', onDrain);
+      reject(clientGoneError());
+    };
+    res.once('drain', onDrain);
+    res.once('close', onClose);
+  });
+}
+
+async function streamRows(cursor, options, res) {
+  const columns = columnsFor(options);
+  let first = true;
+
+  if (options.format === 'csv') {
+    await write(res, csvLine(columns, Object.fromEntries(columns.map(column => [column, column]))));
+  } else if (options.format === 'json') {
+    await write(res, '[');
+  }
+
+  for await (const tattoo of cursor) {
+    const row = toRow(tattoo, options);
+    if (options.format === 'csv') {
+      await write(res, csvLine(columns, row));
+    } else if (options.format === 'jsonl') {
+      await write(res, JSON.stringify(row) + '\n');
+    } else {
+      await write(res, (first ? '\n  ' : ',\n  ') + JSON.stringify(row));
+    }
+    first = false;
+  }
+
+  if (options.format === 'json') {
+    await write(res, first ? ']\n' : '\n]\n');
+  }
+  res.end();
+}
+
+// Zip of images/<split>/<id>-<role>-<n>.<ext> plus manifest.csv with one row per
+// image mapping the file to its role and the tattoo's labels.
+// Images are added one at a time so only one is held in memory.
+async function streamZip(cursor, options, res) {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const columns = columnsFor(options, ['file', 'role', 'imageError']);
+  const manifest = [csvLine(columns, Object.fromEntries(columns.map(column => [column, column])))];
+
+  archive.on('warning', warning => console.warn('Export archive warning:', warning));
+  archive.on('error', error => {
+    console.error('Export archive error:', error);
+    res.destroy(error);
+  });
+  archive.pipe(res);
+
+  // Waits on the archive below also end when the client goes away, since a
+  // closed response stops the archive from moving
+  const closed = whenClosed(res);
+  const untilClosed = async (promise) => {
+    await Promise.race([promise, closed]);
+    if (res.destroyed) {
+      archive.abort();
+      throw clientGoneError();
+    }
+  };
+
+  for await (const tattoo of cursor) {
+    const row = toRow(tattoo, options);
+    const folder = row.split ? `images/${row.split}` : 'images';
+
+    for (const [index, image] of (tattoo.images || []).entries()) {
+      const imageRow = { ...row, role: image.role };
+      const location = storage.locate(image);
+
+      try {
+        const { buffer, contentType } = await storage.get(location.key, location.driver);
+        const extension = extensionsByContentType[(contentType || '').split(';')[0]] ||
+          path.extname(location.key) || '.jpg';
+        imageRow.file = `${folder}/${tattoo._id}-${image.role}-${index + 1}${extension}`;
+
+        const added = new Promise(resolve => archive.once('entry', resolve));
+        archive.append(buffer, { name: imageRow.file });
+        await untilClosed(added);
+      } catch (error) {
+        if (error.code === 'EXPORT_ABORTED') throw error;
+        console.error(`Export could not fetch image ${location.key} for ${tattoo._id}:`, error.message);
+        imageRow.imageError = error.message;
+      }
+
+      manifest.push(csvLine(columns, imageRow));
+    }
+  }
+
+  archive.append(manifest.join(''), { name: 'manifest.csv' });
+  await untilClosed(archive.finalize());
+}
+
+const contentTypes = {
+  json: 'application/json',
+  jsonl: 'application/x-ndjson',
+  csv: 'text/csv; charset=utf-8',
+  zip: 'application/zip'
+};
+
+// The options above for validation and /api/docs (see validation/)
+const apiSpec = {
+  summary: 'Export the dataset',
+  description: 'Streams a file download in the requested format.',
+  query: {
+    properties: {
+      format: { type: 'string', enum: FORMATS, title: 'Format' },
+      fields: { type: 'string', description: `Comma separated subset of: ${FIELDS.join(', ')}` },
+      split: { type: 'string', pattern: '^[^,]+,[^,]+,[^,]+$', title: 'Split', 'x-message': 'Split must be three train,val,test percentages, e.g. 80,10,10' },
+      seed: { type: 'string', description: 'Seed for the split, 42 by default' },
+      includeExcluded: { type: 'boolean', description: 'Include records a reviewer excluded' },
+      consentScope: { type: 'string', enum: CONSENT_SCOPES, title: 'Consent scope', description: 'The use the export is for' },
+      ...FILTER_PARAMETERS,
+      ...SORT_PARAMETERS
+    }
+  }
+};
+
+/**
+ * Express handler that streams an export in the requested format.
+ */
+async function handleExport(req, res) {
+  let options;
+  try {
+    options = parseExportOptions(req.query);
+  } catch (optionsError) {
+    return res.status(400).json({ error: optionsError.message });
+  }
+
+  const cursor = Tattoo.find(options.filter).sort(options.sort).lean().cursor();
+  try {
+    res.setHeader('Content-Disposition', `attachment; filename=${exportFilename(options.format)}`);
+    res.setHeader('Content-Type', contentTypes[options.format]);
+
+    if (options.format === 'zip') {
+      await streamZip(cursor, options, res);
+    } else {
+      await streamRows(cursor, options, res);
+    }
+  } catch (error) {
+    if (error.code === 'EXPORT_ABORTED') {
+      console.log('Data export stopped:', error.message);
+      return cursor.close().catch(closeError => console.error('Error closing the export cursor:', closeError.message));
+    }
+    console.error('Error creating data export:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.removeHeader('Content-Disposition');
+    res.status(500).json({ error: 'Failed to create export' });
+  }
+}
+
+module.exports = {
+  FIELDS,
+  FORMATS,
+  apiSpec,
+  parseExportOptions,
+  assignSplit,
+  toRow,
+  handleExport
+};
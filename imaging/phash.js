@@ -0,0 +1,74 @@
+const sharp = require('sharp');
+
+// DCT-based perceptual hash: shrink to 32x32 greyscale, take the lowest 8x8
+// frequencies and set a bit for each one above their median. Re-encoded,
+// resized or lightly edited copies of a photo end up only a few bits apart.
+const SAMPLE_SIZE = 32;
+const HASH_SIZE = 8;
+const HASH_BITS = HASH_SIZE * HASH_SIZE;
+
+// cos((2x + 1) * u * PI / 2N) for every pixel x and frequency u we use
+const cosines = [];
+for (let u = 0; u < HASH_SIZE; u++) {
+  cosines[u] = [];
+  for (let x = 0; x < SAMPLE_SIZE; x++) {
+    cosines[u][x] = Math.cos(((2 * x + 1) * u * Math.PI) / (2 * SAMPLE_SIZE));
+  }
+}
+
+/**
+ * Compute the perceptual hash of an image buffer as a 16 character hex string.
+ */
+async function perceptualHash(buffer) {
+  const pixels = await sharp(buffer)
+    .rotate()
+    .greyscale()
+    .resize(SAMPLE_SIZE, SAMPLE_SIZE, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  const coefficients = [];
+  for (let u = 0; u < HASH_SIZE; u++) {
+    for (let v = 0; v < HASH_SIZE; v++) {
+      let sum = 0;
+      for (let y = 0; y < SAMPLE_SIZE; y++) {
+        for (let x = 0; x < SAMPLE_SIZE; x++) {
+          sum += pixels[y * SAMPLE_SIZE + x] * cosines[u][y] * cosines[v][x];
+        }
+      }
+      coefficients.push(sum);
+    }
+  }
+
+  // The DC term is the overall brightness, which says nothing about content
+  const sorted = coefficients.slice(1).sort((a, b) => a - b);
+  const median = (sorted[31] + sorted[32]) / 2;
+
+  let hash = 0n;
+  coefficients.forEach((coefficient, i) => {
+    if (i > 0 && coefficient > median) hash |= 1n << BigInt(i);
+  });
+  return hash.toString(16).padStart(HASH_BITS / 4, '0');
+}
+
+function bitCount(value) {
+  let count = 0;
+  while (value) {
+    value &= value - 1n;
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Similarity of two hashes from 0 (unrelated) to 1 (identical).
+ */
+function hashSimilarity(a, b) {
+  const distance = bitCount(BigInt(`0x${a}`) ^ BigInt(`0x${b}`));
+  return 1 - distance / HASH_BITS;
+}
+
+module.exports = {
+  perceptualHash,
+  hashSimilarity
+};
@@ -0,0 +1,84 @@
+const sharp = require('sharp');
+const decodeHeic = require('heic-decode');
+
+// Longest side of stored images and thumbnails, in pixels
+const MAX_DIMENSION = parseInt(process.env.IMAGE_MAX_DIMENSION, 10) || 2048;
+const THUMBNAIL_DIMENSION = parseInt(process.env.THUMBNAIL_DIMENSION, 10) || 400;
+const JPEG_QUALITY = 85;
+
+// ISO-BMFF brands used by HEIC photos (iPhone camera default)
+const HEIC_BRANDS = ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'hevm', 'hevs', 'mif1', 'msf1'];
+
+function isHeic(buffer) {
+  return buffer.length > 12 &&
+    buffer.toString('ascii', 4, 8) === 'ftyp' &&
+    HEIC_BRANDS.includes(buffer.toString('ascii', 8, 12));
+}
+
+// sharp's prebuilt binaries can't decode HEIC, so those are decoded to raw
+// pixels first. HEIC keeps rotation in its container rather than EXIF and the
+// decoder already applies it.
+async function openImage(buffer) {
+  if (isHeic(buffer)) {
+    try {
+      await sharp(buffer).metadata();
+    } catch (unsupported) {
+      const { width, height, data } = await decodeHeic({ buffer });
+      return sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), {
+        raw: { width, height, channels: 4 }
+      });
+    }
+  }
+  return sharp(buffer, { failOn: 'truncated' });
+}
+
+async function toJpeg(pipeline, maxDimension) {
+  const { data, info } = await pipeline
+    .resize(maxDimension, maxDimension, { fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality: JPEG_QUALITY, mozjpeg: true })
+    .toBuffer({ resolveWithObject: true });
+
+  return { buffer: data, mimetype: 'image/jpeg', width: info.width, height: info.height };
+}
+
+/**
+ * Normalise an uploaded photo before it is stored: apply the EXIF orientation,
+ * drop all metadata (EXIF, GPS, camera details), limit it to MAX_DIMENSION and
+ * re-encode as JPEG, plus a THUMBNAIL_DIMENSION thumbnail for the list view.
+ * Animated images keep their first frame. Throws if the file isn't a readable image.
+ */
+async function processImage(buffer) {
+  const source = await openImage(buffer);
+  // .rotate() with no angle applies the EXIF orientation; sharp writes no
+  // metadata to the output unless asked to, so nothing else is needed to strip it
+  const oriented = source.rotate();
+
+  const [image, thumbnail] = await Promise.all([
+    toJpeg(oriented.clone(), MAX_DIMENSION),
+    toJpeg(oriented.clone(), THUMBNAIL_DIMENSION)
+  ]);
+
+  return { image, thumbnail };
+}
+
+// Run processImage over the [{ role, file }] list from uploadedImages()
+async function processUploads(uploads) {
+  const processed = [];
+  for (const { role, file } of uploads) {
+    try {
+      processed.push({ role, originalname: file.originalname, ...await processImage(file.buffer) });
+    } catch (error) {
+      error.message = `Could not read ${file.originalname}: ${error.message}`;
+      throw error;
+    }
+  }
+  return processed;
+}
+
+module.exports = {
+  MAX_DIMENSION,
+  THUMBNAIL_DIMENSION,
+  processImage,
+  processUploads
+};
@@ -0,0 +1,357 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const multer = require('multer');
+const yauzl = require('yauzl');
+const { Tattoo, IMAGE_ROLES, parseTattooInput } = require('../models/tattoo');
+const storage = require('../storage');
+const { requireAdmin } = require('../auth');
+const { safeHash } = require('../duplicates');
+const audit = require('../audit');
+const { processImage } = require('../imaging/pipeline');
+const { MAX_IMAGE_SIZE, isAllowedImage, mimetypeForFilename } = require('../upload');
+const { validate } = require('../validation');
+
+const MAX_ARCHIVE_SIZE = (parseFloat(process.env.IMPORT_MAX_MB) || 500) * 1024 * 1024;
+
+// Accepted spellings for the manifest columns that don't match the API field names
+const COLUMN_ALIASES = {
+  file: 'filename',
+  image: 'filename',
+  hours: 'timeInHours',
+  time: 'timeInHours',
+  date: 'createdAt'
+};
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF) into
+ * an array of rows, each an array of strings.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Turn manifest rows into objects keyed by (normalised) header names
+function manifestRecords(text) {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) {
+    throw new Error('The manifest is empty');
+  }
+
+  const columns = header.map(name => {
+    const trimmed = name.trim();
+    return COLUMN_ALIASES[trimmed.toLowerCase()] || trimmed;
+  });
+  if (!columns.includes('filename')) {
+    throw new Error('The manifest needs a "filename" column');
+  }
+
+  return rows.map((cells, index) => {
+    const record = {};
+    columns.forEach((column, i) => {
+      record[column] = cells[i] === undefined ? '' : cells[i].trim();
+    });
+    // Line number in the file, counting the header as line 1
+    record.line = index + 2;
+    return record;
+  });
+}
+
+function openZip(zipPath) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(zipPath, { lazyEntries: true, autoClose: false }, (error, zipfile) => {
+      if (error) reject(error);
+      else resolve(zipfile);
+    });
+  });
+}
+
+// Index the archive's files by lower-cased base name so the manifest can refer
+// to "IMG_0001.jpg" whichever folder it sits in. Several files can share a
+// base name in different folders, so each name maps to a list.
+function listZipEntries(zipfile) {
+  return new Promise((resolve, reject) => {
+    const entries = new Map();
+    zipfile.on('entry', entry => {
+      const name = path.posix.basename(entry.fileName).toLowerCase();
+      const isHidden = name.startsWith('.') || entry.fileName.startsWith('__MACOSX/');
+      if (!entry.fileName.endsWith('/') && !isHidden) {
+        entries.set(name, [...(entries.get(name) || []), entry]);
+      }
+      zipfile.readEntry();
+    });
+    zipfile.on('end', () => resolve(entries));
+    zipfile.on('error', reject);
+    zipfile.readEntry();
+  });
+}
+
+/**
+ * Find the archive file a manifest filename refers to. A bare name matches
+ * that file in any folder; a path such as "a/IMG_0001.jpg" matches files whose
+ * path ends with it. Returns { entry } or { error } when nothing or more than
+ * one file matches.
+ */
+function findZipEntry(entries, filename) {
+  const wanted = filename.replace(/\\/g, '/').replace(/^(\.?\/)+/, '').toLowerCase();
+  const matches = (entries.get(path.posix.basename(wanted)) || []).filter(entry => {
+    const fileName = entry.fileName.toLowerCase();
+    return fileName === wanted || fileName.endsWith(`/${wanted}`);
+  });
+
+  if (!matches.length) {
+    return { error: `${filename} is not in the archive` };
+  }
+  if (matches.length > 1) {
+    const names = matches.map(entry => entry.fileName).join(', ');
+    return { error: `${filename} matches ${matches.length} files in the archive (${names}); give its folder too, e.g. ${matches[0].fileName}` };
+  }
+  return { entry: matches[0] };
+}
+
+function readZipEntry(zipfile, entry) {
+  return new Promise((resolve, reject) => {
+    zipfile.openReadStream(entry, (error, stream) => {
+      if (error) return reject(error);
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('end', () => resolve(Buffer.concat(chunks)));
+      stream.on('error', reject);
+    });
+  });
+}
+
+// Check one manifest row against the archive and the create-route rules.
+// Returns { values, entry, role } or { error }.
+function validateRow(record, entries) {
+  if (!record.filename) {
+    return { error: 'Missing filename' };
+  }
+
+  const { entry, error: entryError } = findZipEntry(entries, record.filename);
+  if (entryError) {
+    return { error: entryError };
+  }
+  if (!isAllowedImage(record.filename, mimetypeForFilename(record.filename))) {
+    return { error: 'Images only! (jpeg, jpg, png, gif, webp or heic)' };
+  }
+  if (entry.uncompressedSize > MAX_IMAGE_SIZE) {
+    return { error: `Image is larger than ${MAX_IMAGE_SIZE / (1024 * 1024)}MB` };
+  }
+
+  const role = record.role ? record.role.toLowerCase() : 'fresh';
+  if (!IMAGE_ROLES.includes(role)) {
+    return { error: `Role must be one of: ${IMAGE_ROLES.join(', ')}` };
+  }
+
+  // Our own CSV export separates tags with "|"
+  const body = { ...record, tags: (record.tags || '').replace(/\|/g, ',') };
+  const { values, error } = parseTattooInput(body);
+  if (error) {
+    return { error };
+  }
+
+  if (record.createdAt) {
+    const createdAt = new Date(record.createdAt);
+    if (isNaN(createdAt.getTime())) {
+      return { error: 'Date must be a valid date, e.g. 2021-06-30' };
+    }
+    values.createdAt = createdAt;
+  }
+
+  return { values, entry, role };
+}
+
+/**
+ * Validate every manifest row and, unless it's a dry run, upload each valid
+ * image through the storage driver and create its record, owned by `user`.
+ * Rows are handled independently so one bad row doesn't stop the rest.
+ */
+async function runImport({ zipPath, manifestText, dryRun, user }) {
+  const zipfile = await openZip(zipPath);
+
+  try {
+    const entries = await listZipEntries(zipfile);
+
+    if (!manifestText) {
+      const manifestEntry = Array.from(entries.values()).flat().find(entry => entry.fileName.toLowerCase().endsWith('.csv'));
+      if (!manifestEntry) {
+        throw new Error('No manifest uploaded and no .csv file found in the archive');
+      }
+      manifestText = (await readZipEntry(zipfile, manifestEntry)).toString('utf8');
+    }
+
+    const records = manifestRecords(manifestText);
+    const results = [];
+
+    for (const record of records) {
+      const result = { line: record.line, filename: record.filename };
+      const { values, entry, role, error } = validateRow(record, entries);
+
+      if (error) {
+        results.push({ ...result, status: 'error', error });
+        continue;
+      }
+      if (dryRun) {
+        results.push({ ...result, status: 'valid' });
+        continue;
+      }
+
+      const stored = [];
+      try {
+        const { image, thumbnail } = await processImage(await readZipEntry(zipfile, entry));
+        const phash = await safeHash(image.buffer);
+        const storedImage = await storage.put(image.buffer, { mimetype: image.mimetype, originalname: record.filename });
+        stored.push(storedImage);
+        const storedThumbnail = await storage.put(thumbnail.buffer, { mimetype: thumbnail.mimetype, originalname: record.filename });
+        stored.push(storedThumbnail);
+
+        const tattoo = await Tattoo.create({
+          images: [{
+            url: storedImage.url,
+            key: storedImage.key,
+            driver: storedImage.driver,
+            width: image.width,
+            height: image.height,
+            thumbnail: { url: storedThumbnail.url, key: storedThumbnail.key, driver: storedThumbnail.driver },
+            role,
+            phash: phash || undefined
+          }],
+          owner: user._id,
+          ...values
+        });
+        await audit.record('created', tattoo._id, user, { note: 'Bulk import' });
+        results.push({ ...result, status: 'imported', id: tattoo._id });
+      } catch (importError) {
+        console.error(`Import failed for manifest line ${record.line}:`, importError);
+        // Don't leave the image behind if its record couldn't be created
+        stored.forEach(file => {
+          storage.delete(file.key, file.driver).catch(cleanupError => {
+            console.error('Error removing image from failed import row:', cleanupError);
+          });
+        });
+        results.push({ ...result, status: 'error', error: importError.message });
+      }
+    }
+
+    const failed = results.filter(result => result.status === 'error').length;
+    return {
+      dryRun,
+      total: results.length,
+      succeeded: results.length - failed,
+      failed,
+      rows: results
+    };
+  } finally {
+    zipfile.close();
+  }
+}
+
+// The archive can be far larger than a single image, so it goes to a temp file
+const importUpload = multer({
+  storage: multer.diskStorage({ destination: os.tmpdir() }),
+  limits: { fileSize: MAX_ARCHIVE_SIZE }
+});
+
+const router = express.Router();
+
+router.post('/api/import', requireAdmin, importUpload.fields([
+  { name: 'archive', maxCount: 1 },
+  { name: 'manifest', maxCount: 1 }
+]), validate({
+  summary: 'Import a zip of images',
+  description: 'Each image becomes a record, with its fields from the manifest CSV (or manifest.csv in the archive). Failed rows are listed in the report; the rest are imported.',
+  multipart: true,
+  body: {
+    type: 'object',
+    required: ['archive'],
+    properties: {
+      archive: { type: 'string', format: 'binary', description: 'Zip of images' },
+      manifest: { type: 'string', format: 'binary', description: 'CSV with a row per image' },
+      dryRun: { type: 'boolean', description: 'Check every row without saving anything' }
+    }
+  },
+  response: {
+    type: 'object',
+    properties: {
+      dryRun: { type: 'boolean' },
+      total: { type: 'integer' },
+      succeeded: { type: 'integer' },
+      failed: { type: 'integer' },
+      rows: { type: 'array', items: { type: 'object' } }
+    }
+  },
+  responses: { 413: { description: 'The archive is larger than IMPORT_MAX_MB' } }
+}), async (req, res) => {
+  const files = req.files || {};
+  const archive = files.archive && files.archive[0];
+  const manifest = files.manifest && files.manifest[0];
+
+  try {
+    if (!archive) {
+      return res.status(400).json({ error: 'No archive uploaded' });
+    }
+
+    const dryRun = ['true', 'on', '1'].includes(String(req.body.dryRun).toLowerCase());
+    const manifestText = manifest ? await fs.promises.readFile(manifest.path, 'utf8') : null;
+
+    console.log(`Starting ${dryRun ? 'dry-run ' : ''}import from ${archive.originalname} by ${req.user.username}`);
+    const report = await runImport({ zipPath: archive.path, manifestText, dryRun, user: req.user });
+    console.log(`Import finished: ${report.succeeded} succeeded, ${report.failed} failed`);
+
+    res.json(report);
+  } catch (error) {
+    console.error('Error importing archive:', error);
+    res.status(400).json({ error: `Failed to import archive: ${error.message}` });
+  } finally {
+    [archive, manifest].filter(Boolean).forEach(file => {
+      fs.promises.unlink(file.path).catch(() => {});
+    });
+  }
+});
+
+module.exports = {
+  parseCsv,
+  runImport,
+  router
+};
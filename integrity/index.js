@@ -0,0 +1,306 @@
+const express = require('express');
+const { Tattoo } = require('../models/tattoo');
+const { requireAdmin } = require('../auth');
+const { validate, refs } = require('../validation');
+const storage = require('../storage');
+const audit = require('../audit');
+const { processImage } = require('../imaging/pipeline');
+const reconcile = require('./reconcile');
+
+// List every configured backend the records use, plus the active one.
+// A backend that fails to list is reported rather than failing the whole check.
+async function listStorage(tattoos) {
+  const driverNames = new Set([storage.name]);
+  reconcile.references(tattoos, storage.locate)
+    .filter(ref => !ref.error)
+    .forEach(ref => driverNames.add(ref.driver));
+
+  const listings = {};
+  for (const driverName of driverNames) {
+    if (!storage.isConfigured(driverName)) continue;
+    try {
+      listings[driverName] = await storage.list(driverName);
+    } catch (error) {
+      console.error(`Error listing ${driverName} storage:`, error);
+      listings[driverName] = { error: `Could not list ${storage.labelFor(driverName)}: ${error.message}` };
+    }
+  }
+  return listings;
+}
+
+/**
+ * Compare the records with what is actually in storage (see reconcile.js).
+ * Trashed records are included, since their images are kept until the purge.
+ */
+async function checkStorage() {
+  const tattoos = await Tattoo.find({}, { images: 1, deletedAt: 1 })
+    .setOptions({ withTrashed: true })
+    .lean();
+  const listings = await listStorage(tattoos);
+  const report = reconcile.compare(tattoos, listings, { locate: storage.locate });
+
+  return {
+    ...report,
+    drivers: Object.entries(listings).map(([name, listing]) => ({
+      name,
+      label: storage.labelFor(name),
+      files: Array.isArray(listing) ? listing.length : null,
+      error: listing.error || null
+    })),
+    checkedAt: new Date()
+  };
+}
+
+// Read a list of { driver, key } files from a request body
+function filesFrom(body) {
+  if (!Array.isArray(body.files)) return [];
+  return body.files
+    .filter(file => file && typeof file.driver === 'string' && typeof file.key === 'string')
+    .map(file => ({ driver: file.driver, key: file.key }));
+}
+
+// A record and one of its images by ID, for the re-link and repair actions.
+// Trashed records are included.
+async function findImage(tattooId, imageId) {
+  const tattoo = await Tattoo.findById(tattooId).setOptions({ withTrashed: true });
+  const image = tattoo ? tattoo.images.id(imageId) : null;
+  return { tattoo, image };
+}
+
+// A file in storage, as listed by GET /api/server-files
+const fileSchema = {
+  type: 'object',
+  required: ['driver', 'key'],
+  properties: {
+    driver: { type: 'string', enum: storage.driverNames, title: 'Storage' },
+    key: { type: 'string', title: 'File key' }
+  }
+};
+
+// The record image a re-link or repair applies to
+const imageTarget = {
+  tattooId: { type: 'string', title: 'Tattoo ID' },
+  imageId: { type: 'string', title: 'Image ID' },
+  kind: { type: 'string', enum: ['image', 'thumbnail'], title: 'Kind' }
+};
+
+const repairedSchema = { type: 'object', properties: { success: { type: 'boolean' }, tattoo: refs.tattoo } };
+
+const router = express.Router();
+
+// Files in storage compared with the records: every file, the orphans no record
+// uses, and the images records point at that storage doesn't have
+router.get('/api/server-files', requireAdmin, validate({
+  summary: 'Compare storage with the records',
+  description: 'Lists every stored file, the orphans no record uses and the files records point at that storage does not have.'
+}), async (req, res) => {
+  try {
+    const report = await checkStorage();
+
+    res.json({
+      serverInfo: {
+        environment: process.env.NODE_ENV || 'development',
+        storage: storage.label,
+        drivers: report.drivers,
+        totalFiles: report.files.length,
+        checkedAt: report.checkedAt
+      },
+      files: report.files.map(file => ({
+        name: file.name,
+        path: file.url,
+        driver: file.driver,
+        key: file.key,
+        size: file.size,
+        created: file.created,
+        used: file.used,
+        tattooId: file.tattooId
+      })),
+      orphans: report.orphans.map(({ driver, key, name, url, size, created }) => ({ driver, key, name, url, size, created })),
+      missingFiles: report.missing
+    });
+  } catch (error) {
+    console.error('Error checking storage:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete orphaned files. Each one is checked again first, so a file a record
+// started using since the page loaded is left alone.
+router.post('/api/server-files/delete-orphans', requireAdmin, validate({
+  summary: 'Delete orphaned files',
+  description: 'Files that are no longer orphans are skipped.',
+  body: {
+    type: 'object',
+    required: ['files'],
+    properties: { files: { type: 'array', items: fileSchema, minItems: 1, title: 'Files' } }
+  },
+  response: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      deleted: { type: 'array', items: fileSchema },
+      skipped: { type: 'array', items: { type: 'object', properties: { ...fileSchema.properties, reason: { type: 'string' } } } }
+    }
+  }
+}), async (req, res) => {
+  const files = filesFrom(req.body);
+  if (!files.length) {
+    return res.status(400).json({ error: 'No files selected' });
+  }
+
+  try {
+    const { orphans } = await checkStorage();
+    const orphanIds = new Set(orphans.map(file => reconcile.fileId(file.driver, file.key)));
+
+    const deleted = [];
+    const skipped = [];
+    for (const file of files) {
+      if (!orphanIds.has(reconcile.fileId(file.driver, file.key))) {
+        skipped.push({ ...file, reason: 'Not an orphan' });
+        continue;
+      }
+      try {
+        await storage.delete(file.key, file.driver);
+        deleted.push(file);
+      } catch (storageError) {
+        console.error(`Error deleting orphan ${file.key} from ${file.driver} storage:`, storageError);
+        skipped.push({ ...file, reason: storageError.message });
+      }
+    }
+    console.log(`Deleted ${deleted.length} orphaned files at the request of ${req.user.username}`);
+
+    res.json({ success: true, deleted, skipped });
+  } catch (error) {
+    console.error('Error deleting orphaned files:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Point a record's missing image (or its thumbnail) at an orphaned file
+router.post('/api/server-files/relink', requireAdmin, validate({
+  summary: 'Point a missing image or thumbnail at an orphaned file',
+  body: {
+    type: 'object',
+    required: ['tattooId', 'imageId', 'kind', 'file'],
+    properties: { ...imageTarget, file: fileSchema }
+  },
+  response: repairedSchema,
+  responses: {
+    404: { description: 'Image not found' },
+    409: { description: 'The file is no longer an orphan' }
+  }
+}), async (req, res) => {
+  const { tattooId, imageId, kind } = req.body;
+  const [file] = filesFrom({ files: [req.body.file] });
+  if (!['image', 'thumbnail'].includes(kind) || !file) {
+    return res.status(400).json({ error: 'Choose an image or thumbnail and the file to link it to' });
+  }
+
+  try {
+    const { tattoo, image } = await findImage(tattooId, imageId);
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    const { orphans } = await checkStorage();
+    const orphan = orphans.find(candidate => candidate.driver === file.driver && candidate.key === file.key);
+    if (!orphan) {
+      return res.status(409).json({ error: 'That file is no longer an orphan' });
+    }
+
+    const previousUrl = kind === 'image' ? image.url : (image.thumbnail && image.thumbnail.url);
+    const location = { url: orphan.url, key: orphan.key, driver: orphan.driver };
+    if (kind === 'image') {
+      image.set(location);
+    } else {
+      image.thumbnail = location;
+    }
+    await tattoo.save();
+    await audit.record('edited', tattoo._id, req.user, {
+      changes: [{ field: kind === 'image' ? 'image' : 'thumbnail', from: previousUrl, to: orphan.url }],
+      note: 'Re-linked to a file in storage'
+    });
+    console.log(`Re-linked ${kind} ${imageId} of tattoo ${tattooId} to ${orphan.key}`);
+
+    res.json({ success: true, tattoo });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    console.error('Error re-linking image:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Fix a missing file that has nothing to re-link to: a missing thumbnail is
+// made again from the image, and a missing image is removed from its record
+// (unless it is the only one).
+router.post('/api/server-files/repair', requireAdmin, validate({
+  summary: 'Repair a missing file that has nothing to re-link to',
+  description: 'A missing thumbnail is made again from its image; a missing image is removed from its record.',
+  body: { type: 'object', required: ['tattooId', 'imageId', 'kind'], properties: imageTarget },
+  response: repairedSchema,
+  responses: {
+    404: { description: 'Image not found' },
+    409: { description: 'The image cannot be read, so no thumbnail can be made' }
+  }
+}), async (req, res) => {
+  const { tattooId, imageId, kind } = req.body;
+  if (!['image', 'thumbnail'].includes(kind)) {
+    return res.status(400).json({ error: 'Kind must be image or thumbnail' });
+  }
+
+  try {
+    const { tattoo, image } = await findImage(tattooId, imageId);
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    if (kind === 'thumbnail') {
+      const location = storage.locate(image);
+      let original;
+      try {
+        original = await storage.get(location.key, location.driver);
+      } catch (storageError) {
+        return res.status(409).json({ error: `The image itself can't be read, so no thumbnail can be made: ${storageError.message}` });
+      }
+
+      const { thumbnail } = await processImage(original.buffer);
+      const stored = await storage.put(thumbnail.buffer, { mimetype: thumbnail.mimetype, originalname: location.key });
+      image.thumbnail = { url: stored.url, key: stored.key, driver: stored.driver };
+      await tattoo.save();
+      console.log(`Regenerated thumbnail for image ${imageId} of tattoo ${tattooId}`);
+      return res.json({ success: true, tattoo });
+    }
+
+    if (tattoo.images.length === 1) {
+      return res.status(400).json({ error: 'A tattoo needs at least one image; re-link this one to a file or move the tattoo to the trash' });
+    }
+
+    const removed = image.toObject();
+    const before = audit.snapshot(tattoo);
+    tattoo.images.pull(image._id);
+    await tattoo.save();
+    // The image is already gone; this removes a thumbnail that may be left
+    if (removed.thumbnail) await storage.deleteImages([removed.thumbnail]);
+    await audit.record('edited', tattoo._id, req.user, {
+      changes: audit.diffSnapshots(before, audit.snapshot(tattoo)),
+      note: 'Removed an image missing from storage'
+    });
+    console.log(`Removed missing image ${imageId} from tattoo ${tattooId}`);
+
+    res.json({ success: true, tattoo });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    console.error('Error repairing image:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = {
+  ...reconcile,
+  checkStorage,
+  router
+};
@@ -0,0 +1,131 @@
+const path = require('path');
+
+// Files newer than this aren't reported as orphans: they may belong to an
+// upload whose record hasn't been saved yet
+const ORPHAN_GRACE_MS = 60 * 60 * 1000;
+
+function fileId(driver, key) {
+  return `${driver}:${key}`;
+}
+
+// File name without folder or extension, used to suggest which orphan a missing image may be
+function baseName(key) {
+  return path.posix.basename(String(key)).replace(/\.[^.]+$/, '').toLowerCase();
+}
+
+/**
+ * Every stored file the records point at: each image and its thumbnail.
+ * `locate` is storage.locate. Returns [{ tattooId, imageId, role, kind,
+ * trashed, url, driver, key }]; a file whose location can't be worked out
+ * has an `error` instead of a driver and key.
+ */
+function references(tattoos, locate) {
+  const refs = [];
+  tattoos.forEach(tattoo => {
+    (tattoo.images || []).forEach(image => {
+      const files = [['image', image]];
+      if (image.thumbnail) files.push(['thumbnail', image.thumbnail]);
+
+      files.forEach(([kind, file]) => {
+        const ref = {
+          tattooId: String(tattoo._id),
+          imageId: String(image._id),
+          role: image.role,
+          kind,
+          trashed: Boolean(tattoo.deletedAt),
+          url: file.url
+        };
+        try {
+          Object.assign(ref, locate(file));
+        } catch (error) {
+          ref.error = error.message;
+        }
+        refs.push(ref);
+      });
+    });
+  });
+  return refs;
+}
+
+/**
+ * Compare what the records point at with what is actually in storage.
+ *
+ *   tattoos    every record, trashed ones included (their images are still in use)
+ *   listings   { [driver]: files from storage.list() }, or { [driver]: { error } }
+ *              for a backend that couldn't be listed
+ *
+ * Returns:
+ *   files      every listed file, with the record using it (if any)
+ *   orphans    listed files no record uses, older than the grace period
+ *   missing    referenced files that aren't in storage ("missing"), or whose
+ *              backend couldn't be checked ("unreachable"), each with orphans
+ *              of the same name as re-link candidates
+ */
+function compare(tattoos, listings, { locate, now = Date.now() }) {
+  const refs = references(tattoos, locate);
+  const refsById = new Map();
+  refs.filter(ref => !ref.error).forEach(ref => {
+    const id = fileId(ref.driver, ref.key);
+    if (!refsById.has(id)) refsById.set(id, []);
+    refsById.get(id).push(ref);
+  });
+
+  const files = [];
+  const storedIds = new Set();
+  Object.entries(listings).forEach(([driver, listing]) => {
+    if (!Array.isArray(listing)) return;
+    listing.forEach(file => {
+      const id = fileId(driver, file.key);
+      const users = refsById.get(id) || [];
+      storedIds.add(id);
+      files.push({
+        ...file,
+        driver,
+        used: users.length > 0,
+        tattooId: users.length ? users[0].tattooId : null
+      });
+    });
+  });
+
+  const orphans = files.filter(file => {
+    const created = new Date(file.created).getTime();
+    return !file.used && !(now - created < ORPHAN_GRACE_MS);
+  });
+
+  const missing = [];
+  refs.forEach(ref => {
+    let status = null;
+    let reason = null;
+
+    if (ref.error) {
+      status = 'unreachable';
+      reason = ref.error;
+    } else if (!listings[ref.driver]) {
+      status = 'unreachable';
+      reason = `${ref.driver} storage is not configured`;
+    } else if (listings[ref.driver].error) {
+      status = 'unreachable';
+      reason = listings[ref.driver].error;
+    } else if (!storedIds.has(fileId(ref.driver, ref.key))) {
+      status = 'missing';
+      reason = 'Not found in storage';
+    }
+    if (!status) return;
+
+    const candidates = status === 'missing'
+      ? orphans
+        .filter(file => file.driver === ref.driver && baseName(file.key) === baseName(ref.key))
+        .map(({ driver, key, url, name }) => ({ driver, key, url, name }))
+      : [];
+    missing.push({ ...ref, status, reason, candidates });
+  });
+
+  return { files, orphans, missing };
+}
+
+module.exports = {
+  ORPHAN_GRACE_MS,
+  fileId,
+  references,
+  compare
+};
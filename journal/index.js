@@ -0,0 +1,307 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const mongoose = require('mongoose');
+const { Tattoo } = require('../models/tattoo');
+const { requireAdmin } = require('../auth');
+const { validate } = require('../validation');
+const storage = require('../storage');
+const duplicates = require('../duplicates');
+const audit = require('../audit');
+const { JOURNAL_DIR } = require('./paths');
+
+// Entries that could not be saved (e.g. they fail validation) are kept here for an admin to look at
+const FAILED_DIR = path.join(JOURNAL_DIR, 'failed');
+
+const ENTRY_FILE = 'entry.json';
+const FAILURE_FILE = 'failure.json';
+
+// Backstop for replaying in case a reconnect event is missed
+const REPLAY_INTERVAL_MS = 60 * 1000;
+
+const extensionsByMimetype = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp'
+};
+
+function isDatabaseAvailable() {
+  return mongoose.connection.readyState === 1;
+}
+
+// Errors that mean the database couldn't be reached, as opposed to a problem with the submission
+function isUnavailableError(error) {
+  if (!error) return false;
+  const names = ['MongoNetworkError', 'MongoNetworkTimeoutError', 'MongoServerSelectionError', 'MongooseServerSelectionError', 'MongoNotConnectedError'];
+  return names.includes(error.name) || /buffering timed out/.test(error.message || '');
+}
+
+// Write a file and flush it to disk before returning
+async function writeFileDurably(file, data) {
+  const handle = await fs.promises.open(file, 'w');
+  try {
+    await handle.writeFile(data);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Write a submission to the journal. `processed` are the images from
+ * imaging/pipeline.js, `values` the validated fields from parseTattooInput and
+ * `owner` the submitting user's ID. The entry is written to a temporary
+ * directory and renamed into place, so a crash never leaves half an entry.
+ * Returns the entry with its submissionId, which the replay uses to save it only once.
+ */
+async function append({ processed, values, owner, submissionId }) {
+  const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  const tempDir = path.join(JOURNAL_DIR, `.${id}.tmp`);
+  await fs.promises.mkdir(tempDir, { recursive: true });
+
+  const images = [];
+  for (const [index, { role, originalname, image, thumbnail }] of processed.entries()) {
+    const imageFile = `${index}-image${extensionsByMimetype[image.mimetype] || '.bin'}`;
+    const thumbnailFile = `${index}-thumbnail${extensionsByMimetype[thumbnail.mimetype] || '.bin'}`;
+    await writeFileDurably(path.join(tempDir, imageFile), image.buffer);
+    await writeFileDurably(path.join(tempDir, thumbnailFile), thumbnail.buffer);
+    images.push({
+      role,
+      originalname,
+      image: { file: imageFile, mimetype: image.mimetype, width: image.width, height: image.height },
+      thumbnail: { file: thumbnailFile, mimetype: thumbnail.mimetype }
+    });
+  }
+
+  const entry = {
+    id,
+    submissionId: submissionId || `journal-${id}`,
+    owner: owner ? String(owner) : null,
+    values,
+    images,
+    receivedAt: new Date().toISOString()
+  };
+  await writeFileDurably(path.join(tempDir, ENTRY_FILE), JSON.stringify(entry, null, 2));
+  await fs.promises.rename(tempDir, path.join(JOURNAL_DIR, id));
+
+  console.log(`Database unavailable: submission ${entry.submissionId} written to the journal as ${id}`);
+  return entry;
+}
+
+// IDs of complete entries waiting in a journal directory, oldest first
+async function entryIds(dir) {
+  try {
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    return entries
+      .filter(entry => entry.isDirectory() && !entry.name.startsWith('.') && entry.name !== 'failed')
+      .map(entry => entry.name)
+      .sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+async function readEntry(dir, id) {
+  return JSON.parse(await fs.promises.readFile(path.join(dir, id, ENTRY_FILE), 'utf8'));
+}
+
+// Save one journal entry as a tattoo. A record with the entry's submissionId
+// means it was already saved (the replay stopped before removing the entry),
+// and the unique submissionId index stops a second copy.
+async function saveEntry(entry) {
+  const existing = await Tattoo.findOne({ submissionId: entry.submissionId }).setOptions({ withTrashed: true });
+  if (existing) return existing;
+
+  const entryDir = path.join(JOURNAL_DIR, entry.id);
+  const processed = [];
+  for (const { role, originalname, image, thumbnail } of entry.images) {
+    processed.push({
+      role,
+      originalname,
+      image: { ...image, buffer: await fs.promises.readFile(path.join(entryDir, image.file)) },
+      thumbnail: { ...thumbnail, buffer: await fs.promises.readFile(path.join(entryDir, thumbnail.file)) }
+    });
+  }
+
+  const hashes = await Promise.all(processed.map(({ image }) => duplicates.safeHash(image.buffer)));
+  const images = await storage.storeImages(processed, hashes);
+  const receivedAt = new Date(entry.receivedAt);
+  const values = { ...entry.values };
+  if (values.consent) {
+    values.consent = { ...values.consent, givenAt: receivedAt };
+  }
+
+  const tattoo = new Tattoo({
+    images,
+    owner: entry.owner || undefined,
+    submissionId: entry.submissionId,
+    ...values,
+    createdAt: receivedAt
+  });
+  try {
+    await tattoo.save();
+  } catch (error) {
+    // Only a failed save leaves the stored images unused
+    await storage.deleteImages(images);
+    if (error.code === 11000) {
+      const saved = await Tattoo.findOne({ submissionId: entry.submissionId }).setOptions({ withTrashed: true });
+      if (saved) return saved;
+    }
+    throw error;
+  }
+
+  await audit.record('created', tattoo._id, entry.owner ? { _id: entry.owner } : null, { note: 'Saved from the journal' });
+
+  // Only worth a log line; the record is saved either way
+  try {
+    const matches = await duplicates.findDuplicates(hashes, { excludeTattooId: tattoo._id });
+    if (matches.length) {
+      console.log(`Tattoo ${tattoo._id} from the journal has ${matches.length} possible duplicate(s)`);
+    }
+  } catch (error) {
+    console.error(`Error looking for duplicates of tattoo ${tattoo._id} from the journal:`, error.message);
+  }
+  return tattoo;
+}
+
+// Move an entry that can't be saved out of the way, with the reason
+async function markFailed(id, error) {
+  await fs.promises.mkdir(FAILED_DIR, { recursive: true });
+  await fs.promises.rename(path.join(JOURNAL_DIR, id), path.join(FAILED_DIR, id));
+  await writeFileDurably(path.join(FAILED_DIR, id, FAILURE_FILE), JSON.stringify({
+    error: error.message,
+    failedAt: new Date().toISOString()
+  }, null, 2));
+}
+
+let replaying = null;
+
+/**
+ * Save every journal entry, oldest first, and remove each once saved. Only one
+ * replay runs at a time; calls made during a replay wait for it. Stops early
+ * if the database goes away again, leaving the rest for the next replay.
+ */
+function replay() {
+  if (!replaying) {
+    replaying = replayEntries().finally(() => {
+      replaying = null;
+    });
+  }
+  return replaying;
+}
+
+async function replayEntries() {
+  const summary = { saved: 0, failed: 0, remaining: 0 };
+  const ids = await entryIds(JOURNAL_DIR);
+  if (!ids.length) return summary;
+
+  console.log(`Replaying ${ids.length} journal entries`);
+  for (const [index, id] of ids.entries()) {
+    if (!isDatabaseAvailable()) {
+      summary.remaining = ids.length - index;
+      break;
+    }
+
+    try {
+      const tattoo = await saveEntry(await readEntry(JOURNAL_DIR, id));
+      await fs.promises.rm(path.join(JOURNAL_DIR, id), { recursive: true, force: true });
+      console.log(`Journal entry ${id} saved as tattoo ${tattoo._id}`);
+      summary.saved++;
+    } catch (error) {
+      if (isUnavailableError(error)) {
+        console.error('Database went away during journal replay; stopping until it is back');
+        summary.remaining = ids.length - index;
+        break;
+      }
+      // Storage being down is worth retrying; anything else won't get better by itself
+      if (error.name === 'ValidationError' || error instanceof SyntaxError || error.code === 'ENOENT') {
+        console.error(`Journal entry ${id} can't be saved and was moved to ${FAILED_DIR}:`, error.message);
+        await markFailed(id, error);
+        summary.failed++;
+      } else {
+        console.error(`Error replaying journal entry ${id}, will retry:`, error);
+        summary.remaining++;
+      }
+    }
+  }
+
+  console.log(`Journal replay finished: ${summary.saved} saved, ${summary.failed} failed, ${summary.remaining} remaining`);
+  return summary;
+}
+
+function startSchedule() {
+  const run = () => {
+    if (isDatabaseAvailable()) {
+      replay().catch(error => console.error('Error replaying the journal:', error));
+    }
+  };
+  mongoose.connection.on('connected', run);
+  mongoose.connection.on('reconnected', run);
+  run();
+  setInterval(run, REPLAY_INTERVAL_MS).unref();
+}
+
+// Counts of waiting and failed entries, for the status route and health checks
+async function status() {
+  const [pending, failed] = await Promise.all([entryIds(JOURNAL_DIR), entryIds(FAILED_DIR)]);
+  return { pending: pending.length, failed: failed.length };
+}
+
+const router = express.Router();
+
+// What is waiting in the journal, and the entries that couldn't be saved
+router.get('/api/journal', requireAdmin, validate({
+  summary: 'Show submissions waiting in the journal',
+  response: {
+    type: 'object',
+    properties: {
+      databaseAvailable: { type: 'boolean' },
+      pending: { type: 'integer', description: 'Submissions waiting for the database' },
+      failed: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            submissionId: { type: 'string' },
+            receivedAt: { type: 'string', format: 'date-time' },
+            error: { type: 'string' },
+            failedAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        description: 'Submissions that could not be saved'
+      }
+    }
+  }
+}), async (req, res) => {
+  try {
+    const { pending } = await status();
+    const failed = await Promise.all((await entryIds(FAILED_DIR)).map(async id => {
+      const entry = await readEntry(FAILED_DIR, id).catch(() => ({}));
+      const failure = JSON.parse(await fs.promises.readFile(path.join(FAILED_DIR, id, FAILURE_FILE), 'utf8').catch(() => '{}'));
+      return { id, submissionId: entry.submissionId, receivedAt: entry.receivedAt, ...failure };
+    }));
+
+    res.json({
+      databaseAvailable: isDatabaseAvailable(),
+      pending,
+      failed
+    });
+  } catch (error) {
+    console.error('Error reading the journal:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = {
+  JOURNAL_DIR,
+  isDatabaseAvailable,
+  isUnavailableError,
+  append,
+  replay,
+  startSchedule,
+  status,
+  router
+};
@@ -0,0 +1,13 @@
+const path = require('path');
+const storage = require('../storage/local');
+
+// Submissions received while MongoDB is unavailable wait here until it is back.
+// The default sits on the uploads disk, which survives restarts on Render;
+// dot-directories aren't served by the /uploads static mount.
+const JOURNAL_DIR = process.env.JOURNAL_DIR
+  ? path.resolve(process.env.JOURNAL_DIR)
+  : path.join(storage.uploadsDir, '.journal');
+
+module.exports = {
+  JOURNAL_DIR
+};
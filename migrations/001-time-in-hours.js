@@ -0,0 +1,74 @@
+// Records from the original client store the time as timeInMinutes; the
+// server and current client only know timeInHours. Converted records keep
+// their original minutes in _migrated.timeInMinutes so `down` can restore them
+// exactly.
+const { bulkWriter, unsetUndo } = require('./bulk');
+
+const UNDO_FIELD = '_migrated.timeInMinutes';
+
+function minutesToHours(minutes) {
+  return Math.round((minutes / 60) * 100) / 100;
+}
+
+async function up(connection, { dryRun, log }) {
+  const tattoos = connection.collection('tattoos');
+  const writer = bulkWriter(tattoos, { dryRun });
+  // Records that only had minutes, and ones that also had hours (edited since),
+  // whose stale minutes are dropped
+  let converted = 0;
+  let dropped = 0;
+  const skipped = [];
+
+  const cursor = tattoos.find({ timeInMinutes: { $exists: true } }, { projection: { timeInMinutes: 1, timeInHours: 1 } });
+  for await (const doc of cursor) {
+    const hasHours = doc.timeInHours !== undefined && doc.timeInHours !== null;
+    const minutes = Number(doc.timeInMinutes);
+    if (!hasHours && !Number.isFinite(minutes)) {
+      log(`Skipping ${doc._id}: timeInMinutes is not a number (${JSON.stringify(doc.timeInMinutes)})`);
+      skipped.push(doc._id);
+      continue;
+    }
+
+    const undo = { minutes: doc.timeInMinutes, hadHours: hasHours };
+    const update = hasHours
+      ? { $set: { [UNDO_FIELD]: undo }, $unset: { timeInMinutes: '' } }
+      : { $set: { timeInHours: minutesToHours(minutes), [UNDO_FIELD]: undo }, $unset: { timeInMinutes: '' } };
+    await writer.add({ updateOne: { filter: { _id: doc._id }, update } });
+    if (hasHours) dropped++;
+    else converted++;
+  }
+  await writer.flush();
+
+  log(`${converted} records converted to hours, ${dropped} already had hours, ${skipped.length} skipped`);
+  return { changed: writer.count, skipped };
+}
+
+async function down(connection, state, { dryRun, log }) {
+  const tattoos = connection.collection('tattoos');
+  const writer = bulkWriter(tattoos, { dryRun });
+
+  const cursor = tattoos.find({ [UNDO_FIELD]: { $exists: true } }, { projection: { _migrated: 1 } });
+  for await (const doc of cursor) {
+    const { minutes, hadHours } = doc._migrated.timeInMinutes;
+    // Converted records lose the hours they were given; the others had their own
+    const unset = unsetUndo(doc, 'timeInMinutes');
+    if (!hadHours) unset.timeInHours = '';
+    await writer.add({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: { timeInMinutes: minutes }, $unset: unset }
+      }
+    });
+  }
+  await writer.flush();
+
+  log(`Restored timeInMinutes on ${writer.count} records`);
+  return { changed: writer.count };
+}
+
+module.exports = {
+  description: 'Convert timeInMinutes from the original client to timeInHours',
+  minutesToHours,
+  up,
+  down
+};
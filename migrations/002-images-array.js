@@ -0,0 +1,77 @@
+// Records from before multiple images were supported have a single
+// imageUrl/imageKey/storageDriver; move it into the images array as a "fresh"
+// image. (This replaces the old scripts/migrate-images.js.) Moved records are
+// marked with _migrated.imagesArray so `down` can find them.
+const mongoose = require('mongoose');
+const { bulkWriter, unsetUndo } = require('./bulk');
+
+const UNDO_FIELD = '_migrated.imagesArray';
+
+async function up(connection, { dryRun, log }) {
+  const tattoos = connection.collection('tattoos');
+  const writer = bulkWriter(tattoos, { dryRun });
+
+  const cursor = tattoos.find({ imageUrl: { $exists: true }, images: { $exists: false } });
+  for await (const doc of cursor) {
+    const image = {
+      _id: new mongoose.Types.ObjectId(),
+      url: doc.imageUrl,
+      role: 'fresh',
+      createdAt: doc.createdAt || new Date()
+    };
+    if (doc.imageKey) image.key = doc.imageKey;
+    if (doc.storageDriver) image.driver = doc.storageDriver;
+
+    await writer.add({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: {
+          $set: { images: [image], [UNDO_FIELD]: true },
+          $unset: { imageUrl: '', imageKey: '', storageDriver: '' }
+        }
+      }
+    });
+  }
+  await writer.flush();
+
+  log(`${writer.count} records moved to the images array`);
+  return { changed: writer.count };
+}
+
+// Only records that still have just the one image can go back; ones that
+// gained more images since are left as they are
+async function down(connection, state, { dryRun, log }) {
+  const tattoos = connection.collection('tattoos');
+  const writer = bulkWriter(tattoos, { dryRun });
+  let skipped = 0;
+
+  const cursor = tattoos.find({ [UNDO_FIELD]: true }, { projection: { images: 1, _migrated: 1 } });
+  for await (const doc of cursor) {
+    if (!Array.isArray(doc.images) || doc.images.length !== 1) {
+      log(`Skipping ${doc._id}: it has ${(doc.images || []).length} images`);
+      skipped++;
+      continue;
+    }
+
+    const [image] = doc.images;
+    const restored = { imageUrl: image.url };
+    if (image.key) restored.imageKey = image.key;
+    if (image.driver) restored.storageDriver = image.driver;
+    await writer.add({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: restored, $unset: { images: '', ...unsetUndo(doc, 'imagesArray') } }
+      }
+    });
+  }
+  await writer.flush();
+
+  log(`${writer.count} records moved back to imageUrl, ${skipped} skipped`);
+  return { changed: writer.count };
+}
+
+module.exports = {
+  description: 'Move the single imageUrl of older records into the images array',
+  up,
+  down
+};
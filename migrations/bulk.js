@@ -0,0 +1,45 @@
+const BATCH_SIZE = 500;
+
+/**
+ * Collect bulkWrite operations for a collection and send them in batches.
+ * With `dryRun` nothing is written, but operations are still counted, so a
+ * migration reports the same numbers either way. Call flush() when done.
+ */
+function bulkWriter(collection, { dryRun }) {
+  let operations = [];
+  let count = 0;
+
+  const flush = async () => {
+    if (operations.length && !dryRun) {
+      await collection.bulkWrite(operations);
+    }
+    count += operations.length;
+    operations = [];
+  };
+
+  return {
+    async add(operation) {
+      operations.push(operation);
+      if (operations.length >= BATCH_SIZE) {
+        await flush();
+      }
+    },
+    flush,
+    get count() {
+      return count;
+    }
+  };
+}
+
+// The $unset that removes a record's undo data for `field` once it has been
+// used, taking the whole _migrated object with it when nothing else is left
+function unsetUndo(doc, field) {
+  const others = Object.keys(doc._migrated || {}).filter(key => key !== field);
+  return others.length ? { [`_migrated.${field}`]: '' } : { _migrated: '' };
+}
+
+module.exports = {
+  BATCH_SIZE,
+  bulkWriter,
+  unsetUndo
+};
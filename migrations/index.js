@@ -0,0 +1,149 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { Migration } = require('../models/migration');
+
+// Migration files are named "<version>-<name>.js" and run in version order.
+// Each exports a description and up(connection, { dryRun, log }), which returns
+// { changed, state, skipped }, plus down(connection, state, { dryRun, log }) if
+// it can be undone. `state` is saved with the applied migration and handed to
+// down(). `skipped` lists the IDs of records it couldn't bring up to date; they
+// keep their older schemaVersion.
+// It is a single document, so undo data for each record goes on the record
+// instead, under `_migrated.<field>` (hidden from queries by the Tattoo model).
+const MIGRATION_FILE = /^(\d+)-[\w-]+\.js$/;
+
+function loadMigrations() {
+  const migrations = fs.readdirSync(__dirname)
+    .filter(file => MIGRATION_FILE.test(file))
+    .map(file => ({
+      name: file.replace(/\.js$/, ''),
+      version: parseInt(file.match(MIGRATION_FILE)[1], 10),
+      ...require(path.join(__dirname, file))
+    }))
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index && migration.version === migrations[index - 1].version) {
+      throw new Error(`Migrations ${migrations[index - 1].name} and ${migration.name} have the same version`);
+    }
+  });
+  return migrations;
+}
+
+const migrations = loadMigrations();
+
+// The shape new tattoo records are created in; each migration stamps the
+// records it has brought up to date with its version as schemaVersion
+const LATEST_VERSION = migrations.length ? migrations[migrations.length - 1].version : 0;
+
+// The schemaVersion records go back to when a migration is undone
+function previousVersion(migration) {
+  const earlier = migrations.filter(candidate => candidate.version < migration.version);
+  return earlier.length ? earlier[earlier.length - 1].version : 0;
+}
+
+async function appliedByName() {
+  const applied = await Migration.find().lean();
+  return new Map(applied.map(record => [record.name, record]));
+}
+
+// Every migration and whether it has been applied
+async function status() {
+  const applied = await appliedByName();
+  return migrations.map(migration => {
+    const record = applied.get(migration.name);
+    return {
+      name: migration.name,
+      version: migration.version,
+      description: migration.description,
+      applied: Boolean(record),
+      appliedAt: record ? record.appliedAt : null,
+      reversible: typeof migration.down === 'function'
+    };
+  });
+}
+
+// Migrations that haven't been applied yet, in order
+async function pending() {
+  const applied = await appliedByName();
+  return migrations.filter(migration => !applied.has(migration.name));
+}
+
+/**
+ * Apply pending migrations in order, up to and including version `to` (all of
+ * them by default). With `dryRun` each migration reports what it would change
+ * but nothing is written or recorded; a later migration may then see data an
+ * earlier one would have changed. Returns [{ name, version, changed, skipped }],
+ * with the number of records each migration skipped.
+ */
+async function up({ to = LATEST_VERSION, dryRun = false, log = console.log } = {}) {
+  const connection = mongoose.connection;
+  const tattoos = connection.collection('tattoos');
+  const results = [];
+
+  for (const migration of await pending()) {
+    if (migration.version > to) break;
+
+    log(`${dryRun ? 'Checking' : 'Applying'} ${migration.name}: ${migration.description}`);
+    const { changed = 0, state, skipped = [] } = await migration.up(connection, { dryRun, log });
+
+    if (!dryRun) {
+      // Records an earlier migration skipped stay behind at their version
+      const previous = previousVersion(migration);
+      const upToDate = previous
+        ? { schemaVersion: { $gte: previous, $lt: migration.version } }
+        : { $or: [{ schemaVersion: { $exists: false } }, { schemaVersion: { $lt: migration.version } }] };
+      await tattoos.updateMany(
+        { ...upToDate, _id: { $nin: skipped } },
+        { $set: { schemaVersion: migration.version } }
+      );
+      await Migration.create({ name: migration.name, version: migration.version, changed, state });
+    }
+    results.push({ name: migration.name, version: migration.version, changed, skipped: skipped.length });
+  }
+  return results;
+}
+
+/**
+ * Undo applied migrations, newest first, until only those at or below version
+ * `to` remain. Without `to` only the most recent one is undone. Stops with an
+ * error at a migration that can't be undone. Returns [{ name, version, changed }].
+ */
+async function down({ to, dryRun = false, log = console.log } = {}) {
+  const connection = mongoose.connection;
+  const tattoos = connection.collection('tattoos');
+  const applied = await appliedByName();
+  const toUndo = migrations.filter(migration => applied.has(migration.name)).reverse();
+  const results = [];
+
+  for (const [index, migration] of toUndo.entries()) {
+    if (to === undefined ? index > 0 : migration.version <= to) break;
+    if (typeof migration.down !== 'function') {
+      throw new Error(`Migration ${migration.name} can't be undone`);
+    }
+
+    log(`${dryRun ? 'Checking undo of' : 'Undoing'} ${migration.name}: ${migration.description}`);
+    const record = applied.get(migration.name);
+    const { changed = 0 } = await migration.down(connection, record.state || {}, { dryRun, log });
+
+    if (!dryRun) {
+      await tattoos.updateMany(
+        { schemaVersion: { $gte: migration.version } },
+        { $set: { schemaVersion: previousVersion(migration) } }
+      );
+      await Migration.deleteOne({ name: migration.name });
+    }
+    results.push({ name: migration.name, version: migration.version, changed });
+  }
+  return results;
+}
+
+module.exports = {
+  LATEST_VERSION,
+  migrations,
+  status,
+  pending,
+  up,
+  down
+};
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = ['created', 'edited', 'reviewed', 'deleted', 'restored', 'purged'];
+
+// One field that changed in an edit, with its values before and after
+const auditChangeSchema = new mongoose.Schema({
+  field: String,
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Who did what to a tattoo record and when. Entries outlive the record, so
+// the history of a purged record can still be looked up by its ID.
+const auditEntrySchema = new mongoose.Schema({
+  tattoo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tattoo',
+    required: true,
+    index: true
+  },
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+  // Empty for changes made by the server itself, such as the scheduled purge
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changes: [auditChangeSchema],
+  note: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const AuditEntry = mongoose.model('AuditEntry', auditEntrySchema);
+
+module.exports = {
+  AuditEntry,
+  AUDIT_ACTIONS
+};
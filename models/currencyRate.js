@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// ISO 4217 style three-letter code, e.g. AUD
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+// How much one unit of a currency is worth in the base currency (BASE_CURRENCY).
+// Maintained by admins; nothing is fetched from outside.
+const currencyRateSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [CURRENCY_CODE, 'Currency must be a three-letter code, e.g. AUD']
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: [0.000001, 'Rate must be greater than 0']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: false, updatedAt: true }
+});
+
+const CurrencyRate = mongoose.model('CurrencyRate', currencyRateSchema);
+
+module.exports = {
+  CurrencyRate,
+  CURRENCY_CODE
+};
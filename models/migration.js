@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// A data migration that has been applied (see migrations/). `state` is
+// whatever else the migration needs to undo itself; undo data for each record
+// is kept on the record, so this stays small however many records changed.
+const migrationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  changed: {
+    type: Number,
+    default: 0
+  },
+  state: mongoose.Schema.Types.Mixed,
+  appliedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const Migration = mongoose.model('Migration', migrationSchema);
+
+module.exports = {
+  Migration
+};
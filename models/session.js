@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Login sessions. Only a SHA-256 hash of the token is stored, so a leaked
+// database can't be used to sign in.
+const sessionSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Mongo removes the document once this time has passed
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 }
+  }
+});
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = { Session };
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// An entry in the controlled tag vocabulary: the canonical tag and the other
+// spellings that mean the same thing. Both are stored normalised.
+const tagSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  synonyms: {
+    type: [String],
+    default: []
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+tagSchema.index({ synonyms: 1 });
+
+const Tag = mongoose.model('Tag', tagSchema);
+
+module.exports = {
+  Tag
+};
@@ -0,0 +1,562 @@
+const mongoose = require('mongoose');
+const currency = require('../currency/rates');
+const { normalizeTags } = require('../tags/vocabulary');
+const quality = require('../quality/checks');
+const { CONSENT_SCOPES, MAX_CLIENT_REF_LENGTH, CLIENT_REF_COLLATION } = require('../consent/scopes');
+const { LATEST_VERSION } = require('../migrations');
+const { checkProperties, describeProblems } = require('../validation/schema');
+
+const PLACEMENTS = [
+  'head', 'face', 'neck', 'shoulder', 'upper-arm', 'forearm', 'elbow', 'wrist',
+  'hand', 'finger', 'chest', 'stomach', 'ribs', 'upper-back', 'lower-back',
+  'full-back', 'hip', 'thigh', 'knee', 'calf', 'shin', 'ankle', 'foot', 'other'
+];
+
+const COLOR_MODES = ['color', 'black-and-grey'];
+
+const STYLES = [
+  'traditional', 'neo-traditional', 'realism', 'blackwork', 'fine-line',
+  'geometric', 'japanese', 'tribal', 'watercolor', 'lettering', 'dotwork',
+  'illustrative', 'new-school', 'minimalist', 'other'
+];
+
+// Chronological order: client reference, stencil/linework, freshly done, healed
+const IMAGE_ROLES = ['reference', 'stencil', 'fresh', 'healed'];
+
+// Roles to prefer, in order, when one image has to represent the tattoo
+const PRIMARY_ROLE_ORDER = ['fresh', 'healed', 'stencil', 'reference'];
+
+// Upper bounds to catch typos (e.g. millimetres entered as centimetres)
+const MAX_SIZE_CM = 200;
+const MAX_SESSIONS = 50;
+const MAX_ARTIST_LENGTH = 100;
+
+// A smaller copy of an image for list views, stored alongside it
+const thumbnailSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  key: String,
+  driver: String
+}, { _id: false });
+
+const imageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  // Where the image lives, so it can be fetched or deleted without parsing the URL
+  key: String,
+  driver: String,
+  width: Number,
+  height: Number,
+  thumbnail: thumbnailSchema,
+  role: {
+    type: String,
+    enum: IMAGE_ROLES,
+    default: 'fresh'
+  },
+  // Perceptual hash used to spot duplicate uploads (see imaging/phash.js)
+  phash: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Plausibility score from quality/checks.js, refreshed on every save
+const qualityIssueSchema = new mongoose.Schema({
+  code: String,
+  message: String
+}, { _id: false });
+
+// The client's consent to their photos being used (see consent/scopes.js).
+// Records from before consent was tracked have none and are left out of exports.
+const consentSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: CONSENT_SCOPES,
+    required: [true, 'A client reference needs a consent scope']
+  },
+  // When consent was given, or last changed scope
+  givenAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Optional reference to the client (not their name) so their records can be found and purged
+  clientRef: {
+    type: String,
+    trim: true,
+    maxlength: MAX_CLIENT_REF_LENGTH
+  }
+}, { _id: false });
+
+// MongoDB Schema for tattoo data
+const tattooSchema = new mongoose.Schema({
+  images: {
+    type: [imageSchema],
+    validate: {
+      validator: images => images.length > 0,
+      message: 'A tattoo needs at least one image'
+    }
+  },
+  price: {
+    type: Number,
+    required: true
+  },
+  // Currency the price was charged in; see currency/rates.js for conversion
+  currency: {
+    type: String,
+    uppercase: true,
+    match: [currency.CURRENCY_CODE, 'Currency must be a three-letter code, e.g. AUD'],
+    default: currency.DEFAULT_CURRENCY
+  },
+  timeInHours: {
+    type: Number,
+    required: true
+  },
+  tags: [String],
+  placement: {
+    type: String,
+    enum: PLACEMENTS
+  },
+  size: {
+    widthCm: { type: Number, min: 0, max: MAX_SIZE_CM },
+    heightCm: { type: Number, min: 0, max: MAX_SIZE_CM }
+  },
+  colorMode: {
+    type: String,
+    enum: COLOR_MODES
+  },
+  style: {
+    type: String,
+    enum: STYLES
+  },
+  artist: {
+    type: String,
+    trim: true,
+    maxlength: MAX_ARTIST_LENGTH
+  },
+  sessions: {
+    type: Number,
+    min: 1,
+    max: MAX_SESSIONS,
+    validate: {
+      validator: Number.isInteger,
+      message: 'Sessions must be a whole number'
+    }
+  },
+  coverUp: {
+    type: Boolean,
+    default: false
+  },
+  consent: consentSchema,
+  // Artist account that submitted the record; records from before accounts existed have none
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Client-generated ID so a submission resent from the offline queue is only saved once
+  submissionId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Set when the record is moved to the trash; purged after the retention period (see trash/)
+  deletedAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  quality: {
+    score: Number,
+    issues: [qualityIssueSchema],
+    checkedAt: Date
+  },
+  reviewStatus: {
+    type: String,
+    enum: quality.REVIEW_STATUSES,
+    default: 'ok',
+    index: true
+  },
+  // Who last confirmed, corrected or excluded the record
+  review: {
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: Date,
+    note: String
+  },
+  // What migrations need to undo themselves, kept on each record they changed
+  // (see migrations/). Never loaded unless asked for.
+  _migrated: {
+    type: mongoose.Schema.Types.Mixed,
+    select: false
+  },
+  // Shape of the document: the last migration (see migrations/) it is up to date with
+  schemaVersion: {
+    type: Number,
+    default: LATEST_VERSION
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  // Maintain updatedAt on every save; createdAt keeps its own default above
+  timestamps: { createdAt: false, updatedAt: true }
+});
+
+// The image that represents the tattoo in lists and single-image exports
+function primaryImage(images) {
+  if (!images || !images.length) return null;
+  for (const role of PRIMARY_ROLE_ORDER) {
+    const image = images.find(candidate => candidate.role === role);
+    if (image) return image;
+  }
+  return images[0];
+}
+
+tattooSchema.virtual('imageUrl').get(function() {
+  const image = primaryImage(this.images);
+  return image ? image.url : null;
+});
+
+// Images stored before thumbnails were generated fall back to the full-size image
+tattooSchema.virtual('thumbnailUrl').get(function() {
+  const image = primaryImage(this.images);
+  if (!image) return null;
+  return image.thumbnail ? image.thumbnail.url : image.url;
+});
+
+// Derived prices so records in different currencies can be compared; the
+// base-currency ones are null when there is no rate for the record's currency
+tattooSchema.virtual('pricePerHour').get(function() {
+  return currency.perHour(this.price, this.timeInHours);
+});
+
+tattooSchema.virtual('baseCurrency').get(() => currency.BASE_CURRENCY);
+
+tattooSchema.virtual('basePrice').get(function() {
+  return currency.toBase(this.price, this.currency);
+});
+
+tattooSchema.virtual('basePricePerHour').get(function() {
+  return currency.perHour(currency.toBase(this.price, this.currency), this.timeInHours);
+});
+
+// Trashed records are left out of every query unless the query filters on
+// deletedAt itself or is run with the withTrashed option
+function hideTrashed() {
+  const { withTrashed } = this.getOptions();
+  delete this.options.withTrashed;
+  if (withTrashed || this.getFilter().deletedAt !== undefined) return;
+  this.where({ deletedAt: null });
+}
+
+tattooSchema.pre(['find', 'findOne', 'countDocuments', 'findOneAndUpdate', 'updateOne', 'updateMany'], hideTrashed);
+
+tattooSchema.pre('aggregate', function() {
+  const { withTrashed } = this.options;
+  delete this.options.withTrashed;
+  if (withTrashed) return;
+  this.pipeline().unshift({ $match: { deletedAt: null } });
+});
+
+tattooSchema.index({ 'consent.clientRef': 1 }, { collation: CLIENT_REF_COLLATION, sparse: true });
+
+// Clearing the client reference of a record without consent leaves an empty
+// consent behind; drop it rather than failing validation
+tattooSchema.pre('validate', function() {
+  if (this.consent && !this.consent.scope && !this.consent.clientRef) {
+    this.consent = undefined;
+  }
+});
+
+tattooSchema.pre('save', function() {
+  if (this.consent && !this.isNew && this.isModified('consent.scope')) {
+    this.consent.givenAt = new Date();
+  }
+  quality.applyQuality(this);
+});
+
+tattooSchema.set('toJSON', { virtuals: true });
+
+const Tattoo = mongoose.model('Tattoo', tattooSchema);
+
+// Form fields arrive as strings; treat blanks as "not provided"
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+function parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  const normalized = String(value).trim().toLowerCase();
+  if (['true', 'on', 'yes', '1'].includes(normalized)) return true;
+  if (['false', 'off', 'no', '0'].includes(normalized)) return false;
+  return undefined;
+}
+
+// The fields of a create or update request (see validation/schema.js). The
+// same schemas describe them in the OpenAPI document.
+const TATTOO_FIELD_SCHEMAS = {
+  price: {
+    type: 'number',
+    minimum: 0,
+    title: 'Price',
+    description: 'Price charged, in `currency`. 0 is fine, e.g. for a free touch-up.'
+  },
+  currency: {
+    type: 'string',
+    pattern: '^[A-Za-z]{3}$',
+    title: 'Currency',
+    description: 'Code of the currency the price was charged in. Blank uses the default currency of the artist, then of the studio.',
+    'x-message': 'Currency must be a three-letter code, e.g. AUD'
+  },
+  timeInHours: {
+    type: 'number',
+    exclusiveMinimum: 0,
+    title: 'Time',
+    description: 'Hours the tattoo took, over all sessions'
+  },
+  tags: {
+    type: ['array', 'string'],
+    items: { type: 'string' },
+    title: 'Tags',
+    description: 'A list of tags, or one comma separated string'
+  }
+};
+
+const DETAIL_FIELD_SCHEMAS = {
+  placement: { type: 'string', enum: PLACEMENTS, title: 'Placement' },
+  widthCm: {
+    type: 'number',
+    exclusiveMinimum: 0,
+    maximum: MAX_SIZE_CM,
+    title: 'Width',
+    description: 'Width in cm; send together with heightCm'
+  },
+  heightCm: {
+    type: 'number',
+    exclusiveMinimum: 0,
+    maximum: MAX_SIZE_CM,
+    title: 'Height',
+    description: 'Height in cm; send together with widthCm'
+  },
+  colorMode: { type: 'string', enum: COLOR_MODES, title: 'Color mode' },
+  style: { type: 'string', enum: STYLES, title: 'Style' },
+  artist: { type: 'string', maxLength: MAX_ARTIST_LENGTH, title: 'Artist name' },
+  sessions: { type: 'integer', minimum: 1, maximum: MAX_SESSIONS, title: 'Sessions' },
+  coverUp: { type: 'boolean', title: 'Cover-up' }
+};
+
+// With `required`, the client's consent must be confirmed and a scope chosen
+function consentFieldSchemas(required) {
+  return {
+    consent: {
+      type: 'boolean',
+      title: 'Consent',
+      description: 'Confirms the client consented to their photos being used; must be true for new submissions',
+      ...(required ? { enum: [true], 'x-message': 'Please confirm the client has consented to their photos being used' } : {})
+    },
+    consentScope: {
+      type: 'string',
+      enum: CONSENT_SCOPES,
+      title: 'Consent scope',
+      description: 'What the client agreed to; each scope includes the ones before it'
+    },
+    clientRef: {
+      type: 'string',
+      maxLength: MAX_CLIENT_REF_LENGTH,
+      title: 'Client reference',
+      description: 'Reference to the client (not their name) so their records can be found and purged'
+    }
+  };
+}
+
+/**
+ * Schema of a create request body, or with `partial` of an update, where every
+ * field is optional. `requireConsent` is for new submissions from the form.
+ */
+function tattooInputSchema({ partial = false, requireConsent = false } = {}) {
+  return {
+    type: 'object',
+    required: [
+      ...(partial ? [] : ['price', 'timeInHours']),
+      ...(requireConsent ? ['consent', 'consentScope'] : [])
+    ],
+    properties: {
+      ...TATTOO_FIELD_SCHEMAS,
+      ...DETAIL_FIELD_SCHEMAS,
+      ...consentFieldSchemas(requireConsent)
+    }
+  };
+}
+
+// A failure of one field, in the shape the parsers return
+function fieldError(field, message) {
+  return { error: message, fields: { [field]: message } };
+}
+
+// A { error, fields } failure when the body doesn't match the schema, otherwise null
+function checkInput(inputSchema, body) {
+  const problems = checkProperties(inputSchema, body);
+  return problems.length ? describeProblems(problems) : null;
+}
+
+// Read the structured detail fields of a body that has been checked against
+// DETAIL_FIELD_SCHEMAS. When updating, a field sent blank is cleared.
+function readDetails(body, partial) {
+  const details = {};
+  const {
+    placement, widthCm, heightCm, colorMode, style, artist, sessions, coverUp
+  } = body;
+
+  if (partial) {
+    const clearable = { placement, colorMode, style, artist, sessions };
+    Object.keys(clearable).forEach(field => {
+      if (clearable[field] !== undefined && isBlank(clearable[field])) {
+        details[field] = undefined;
+      }
+    });
+    if ((widthCm !== undefined || heightCm !== undefined) && isBlank(widthCm) && isBlank(heightCm)) {
+      details.size = undefined;
+    }
+  }
+
+  if (!isBlank(widthCm) || !isBlank(heightCm)) {
+    if (isBlank(widthCm) || isBlank(heightCm)) {
+      return fieldError(isBlank(widthCm) ? 'widthCm' : 'heightCm', 'Size needs both a width and a height in cm');
+    }
+    details.size = { widthCm: Number(widthCm), heightCm: Number(heightCm) };
+  }
+
+  if (!isBlank(placement)) details.placement = placement;
+  if (!isBlank(colorMode)) details.colorMode = colorMode;
+  if (!isBlank(style)) details.style = style;
+  if (!isBlank(artist)) details.artist = String(artist).trim();
+  if (!isBlank(sessions)) details.sessions = Number(sessions);
+  if (!isBlank(coverUp)) details.coverUp = parseBoolean(coverUp);
+
+  return { details };
+}
+
+// Validate the structured detail fields (placement, size, colour mode, style,
+// artist, sessions, cover-up). Returns { details } or { error, fields }.
+function parseTattooDetails(body, partial) {
+  return checkInput({ properties: DETAIL_FIELD_SCHEMAS }, body) || readDetails(body, partial);
+}
+
+// Read the consent fields of a checked body. When updating, values are
+// returned as paths so the rest of the record's consent is kept.
+function readConsent(body, partial) {
+  const { consentScope, clientRef } = body;
+  const consent = {};
+
+  if (!isBlank(consentScope)) {
+    consent.scope = consentScope;
+  }
+
+  if (clientRef !== undefined) {
+    const trimmedClientRef = String(clientRef).trim();
+    if (trimmedClientRef) {
+      consent.clientRef = trimmedClientRef;
+    } else if (partial) {
+      consent.clientRef = undefined;
+    }
+  }
+
+  if (partial) {
+    const paths = {};
+    Object.keys(consent).forEach(field => {
+      paths[`consent.${field}`] = consent[field];
+    });
+    return { values: paths };
+  }
+  if (!consent.scope) {
+    return consent.clientRef ? fieldError('consentScope', 'A client reference needs a consent scope') : { values: {} };
+  }
+  return { values: { consent } };
+}
+
+/**
+ * Validate a create or update request body (multipart form fields or JSON)
+ * against tattooInputSchema. With `partial` only the fields present in the
+ * body are checked, which is what PATCH needs. `requireConsent` is for new
+ * submissions from the form, which must record the client's consent. Returns
+ * `{ values }` ready to assign to a Tattoo, or `{ error, fields }` with the
+ * problems found.
+ */
+function parseTattooInput(body, { partial = false, requireConsent = false } = {}) {
+  const failure = checkInput(tattooInputSchema({ partial, requireConsent }), body);
+  if (failure) {
+    return failure;
+  }
+
+  const values = {};
+  const { price, timeInHours, tags } = body;
+
+  // Updates can change the price and time but not clear them
+  if (timeInHours !== undefined) {
+    if (isBlank(timeInHours)) {
+      return fieldError('timeInHours', 'Time is required');
+    }
+    values.timeInHours = Number(timeInHours);
+  }
+
+  if (price !== undefined) {
+    if (isBlank(price)) {
+      return fieldError('price', 'Price is required');
+    }
+    values.price = Number(price);
+  }
+
+  if (!partial || tags !== undefined) {
+    const { tags: normalizedTags, error: tagsError } = normalizeTags(tags);
+    if (tagsError) {
+      return fieldError('tags', tagsError);
+    }
+    values.tags = normalizedTags;
+  }
+
+  // Left out when blank so the artist's default applies (see the create route)
+  if (!isBlank(body.currency)) {
+    const code = String(body.currency).trim().toUpperCase();
+    if (!currency.isKnownCurrency(code)) {
+      return fieldError('currency', `Currency must be one of: ${currency.knownCurrencies().join(', ')}`);
+    }
+    values.currency = code;
+  }
+
+  const { details, ...detailsFailure } = readDetails(body, partial);
+  if (detailsFailure.error) {
+    return detailsFailure;
+  }
+
+  const { values: consent, ...consentFailure } = readConsent(body, partial);
+  if (consentFailure.error) {
+    return consentFailure;
+  }
+
+  return { values: { ...values, ...details, ...consent } };
+}
+
+module.exports = {
+  Tattoo,
+  PLACEMENTS,
+  COLOR_MODES,
+  STYLES,
+  IMAGE_ROLES,
+  TATTOO_FIELD_SCHEMAS,
+  DETAIL_FIELD_SCHEMAS,
+  primaryImage,
+  tattooInputSchema,
+  parseTattooDetails,
+  parseTattooInput
+};
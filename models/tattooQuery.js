@@ -0,0 +1,148 @@
+// Query-string handling for GET /api/tattoos: pagination, filters and sorting
+
+const { normalizeTag, canonicalTag } = require('../tags/vocabulary');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'price', 'timeInHours'];
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// The parameters below as schemas (see validation/), so routes can check them
+// up front and describe them in /api/docs. The filters are shared by the
+// endpoints that work on a filtered set of records, e.g. stats and export.
+const PAGE_PARAMETERS = {
+  page: { type: 'integer', minimum: 1, title: 'Page' },
+  limit: { type: 'integer', minimum: 1, maximum: MAX_LIMIT, title: 'Limit', description: `Page size, ${DEFAULT_LIMIT} by default` }
+};
+
+const FILTER_PARAMETERS = {
+  minPrice: { type: 'number', title: 'Minimum price' },
+  maxPrice: { type: 'number', title: 'Maximum price' },
+  minHours: { type: 'number', title: 'Minimum hours' },
+  maxHours: { type: 'number', title: 'Maximum hours' },
+  tags: { type: 'string', description: 'Comma separated tags' },
+  tagMatch: { type: 'string', enum: ['any', 'all'], title: 'Tag match', description: 'Whether records need any (the default) or all of the tags' },
+  from: { type: 'string', format: 'date', title: 'From date', description: 'Created on or after; a full date-time also works' },
+  to: { type: 'string', format: 'date', title: 'To date', description: 'Created on or before; a full date-time also works' }
+};
+
+const SORT_PARAMETERS = {
+  sort: { type: 'string', enum: SORT_FIELDS, title: 'Sort' },
+  order: { type: 'string', enum: ['asc', 'desc'], title: 'Order' }
+};
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+function parseNumber(value, name) {
+  const parsed = Number(value);
+  if (isNaN(parsed)) {
+    throw new Error(`${name} must be a valid number`);
+  }
+  return parsed;
+}
+
+function parseDate(value, name) {
+  const parsed = new Date(value);
+  if (isNaN(parsed.getTime())) {
+    throw new Error(`${name} must be a valid date`);
+  }
+  return parsed;
+}
+
+// Add a { $gte, $lte } condition on a numeric field for the given bounds
+function addRange(filter, field, min, max, label) {
+  const range = {};
+  if (!isBlank(min)) range.$gte = parseNumber(min, `Minimum ${label}`);
+  if (!isBlank(max)) range.$lte = parseNumber(max, `Maximum ${label}`);
+  if (range.$gte !== undefined && range.$lte !== undefined && range.$gte > range.$lte) {
+    throw new Error(`Minimum ${label} cannot be greater than maximum ${label}`);
+  }
+  if (Object.keys(range).length) filter[field] = range;
+}
+
+/**
+ * Turn request query parameters into a Mongo filter, sort and page window.
+ *
+ * Supported parameters:
+ *   page, limit                     1-based page number and page size (max 100)
+ *   minPrice, maxPrice              inclusive price range
+ *   minHours, maxHours              inclusive timeInHours range
+ *   tags, tagMatch                  comma separated tags, matched "any" (default) or "all"
+ *   from, to                        createdAt range; a bare YYYY-MM-DD "to" covers that whole day
+ *   sort, order                     one of SORT_FIELDS, "asc" or "desc" (default createdAt desc)
+ *
+ * Throws an Error with a user-facing message when a parameter is invalid.
+ */
+function parseTattooQuery(query) {
+  const filter = {};
+
+  const page = isBlank(query.page) ? 1 : parseNumber(query.page, 'Page');
+  const limit = isBlank(query.limit) ? DEFAULT_LIMIT : parseNumber(query.limit, 'Limit');
+  if (!Number.isInteger(page) || page < 1) {
+    throw new Error('Page must be a whole number of at least 1');
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new Error(`Limit must be a whole number between 1 and ${MAX_LIMIT}`);
+  }
+
+  addRange(filter, 'price', query.minPrice, query.maxPrice, 'price');
+  addRange(filter, 'timeInHours', query.minHours, query.maxHours, 'hours');
+
+  if (!isBlank(query.tags)) {
+    // Written the same way as stored tags, so "Floral" finds "floral"
+    const tags = String(query.tags).split(',').map(tag => canonicalTag(normalizeTag(tag))).filter(Boolean);
+    const tagMatch = isBlank(query.tagMatch) ? 'any' : query.tagMatch;
+    if (!['any', 'all'].includes(tagMatch)) {
+      throw new Error('Tag match must be "any" or "all"');
+    }
+    if (tags.length) {
+      filter.tags = tagMatch === 'all' ? { $all: tags } : { $in: tags };
+    }
+  }
+
+  const createdAt = {};
+  if (!isBlank(query.from)) {
+    createdAt.$gte = parseDate(query.from, 'From date');
+  }
+  if (!isBlank(query.to)) {
+    const to = parseDate(query.to, 'To date');
+    if (DATE_ONLY.test(query.to)) {
+      to.setUTCDate(to.getUTCDate() + 1);
+      createdAt.$lt = to;
+    } else {
+      createdAt.$lte = to;
+    }
+  }
+  if (Object.keys(createdAt).length) filter.createdAt = createdAt;
+
+  const sortField = isBlank(query.sort) ? 'createdAt' : query.sort;
+  if (!SORT_FIELDS.includes(sortField)) {
+    throw new Error(`Sort must be one of: ${SORT_FIELDS.join(', ')}`);
+  }
+  const order = isBlank(query.order) ? 'desc' : query.order;
+  if (!['asc', 'desc'].includes(order)) {
+    throw new Error('Order must be "asc" or "desc"');
+  }
+  const direction = order === 'asc' ? 1 : -1;
+
+  return {
+    filter,
+    // _id breaks ties so records don't repeat or go missing between pages
+    sort: { [sortField]: direction, _id: direction },
+    page,
+    limit,
+    skip: (page - 1) * limit
+  };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  PAGE_PARAMETERS,
+  FILTER_PARAMETERS,
+  SORT_PARAMETERS,
+  parseTattooQuery
+};
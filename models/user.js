@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const mongoose = require('mongoose');
+const { CURRENCY_CODE } = require('./currencyRate');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['artist', 'admin'];
+const MIN_PASSWORD_LENGTH = 8;
+const KEY_LENGTH = 64;
+
+const userSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9._-]{3,40}$/, 'Username must be 3-40 letters, numbers, dots, dashes or underscores']
+  },
+  displayName: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  // "salt:hash", both hex encoded, from scrypt
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'artist'
+  },
+  // Currency preselected for this artist's records; the studio default (DEFAULT_CURRENCY) when unset
+  defaultCurrency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [CURRENCY_CODE, 'Currency must be a three-letter code, e.g. AUD']
+  },
+  // Set only on the account made by first-time setup. Unique, so two setup
+  // requests racing each other can't both create an admin.
+  firstAccount: {
+    type: Boolean
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+userSchema.index({ firstAccount: 1 }, { unique: true, partialFilterExpression: { firstAccount: true } });
+
+userSchema.methods.setPassword = async function(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  this.passwordHash = `${salt}:${hash.toString('hex')}`;
+};
+
+userSchema.methods.checkPassword = async function(password) {
+  if (typeof password !== 'string' || typeof this.passwordHash !== 'string') return false;
+  // Anything but the "salt:hash" setPassword writes can't match any password
+  const [salt, storedHash, ...rest] = this.passwordHash.split(':');
+  if (!salt || rest.length || !/^[0-9a-f]+$/i.test(storedHash || '') || storedHash.length !== KEY_LENGTH * 2) {
+    return false;
+  }
+  const storedBuffer = Buffer.from(storedHash, 'hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return crypto.timingSafeEqual(hash, storedBuffer);
+};
+
+userSchema.methods.isAdmin = function() {
+  return this.role === 'admin';
+};
+
+// Never send the password hash to clients
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    delete ret.firstAccount;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const User = mongoose.model('User', userSchema);
+
+module.exports = {
+  User,
+  ROLES,
+  MIN_PASSWORD_LENGTH
+};
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const { CONSENT_SCOPES } = require('../consent/scopes');
+
+const WEBHOOK_EVENTS = ['tattoo.created', 'tattoo.updated', 'tattoo.deleted'];
+
+// An address told about changes to the records (see webhooks/). The secret
+// signs every delivery; it is kept as is because signing needs it, and is
+// only sent to clients when it is created or replaced.
+const webhookSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^https?:\/\/\S+$/i, 'URL must start with http:// or https://']
+  },
+  secret: {
+    type: String,
+    required: true
+  },
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    validate: [events => events.length > 0, 'Choose at least one event']
+  },
+  // Records are only included in payloads when their client consented to this use
+  consentScope: {
+    type: String,
+    enum: CONSENT_SCOPES,
+    default: CONSENT_SCOPES[0]
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+webhookSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.secret;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+module.exports = {
+  Webhook,
+  WEBHOOK_EVENTS
+};
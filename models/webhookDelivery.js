@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+// Finished deliveries are kept this long for the delivery log
+const LOG_DAYS = parseFloat(process.env.WEBHOOK_LOG_DAYS) || 30;
+
+// One try at sending a delivery
+const deliveryAttemptSchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  // The receiver's HTTP status; empty when no response came back
+  statusCode: Number,
+  error: String,
+  durationMs: Number
+}, { _id: false });
+
+// An event on its way to one webhook. Pending deliveries are the outbox: they
+// are stored before anything is sent, so they survive a restart, and stay
+// pending until they are delivered or run out of attempts.
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true,
+    index: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // The body that is sent, as JSON
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: 'pending'
+  },
+  attempts: [deliveryAttemptSchema],
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Mongo removes the delivery LOG_DAYS after it was delivered or given up on
+  finishedAt: {
+    type: Date,
+    index: { expires: LOG_DAYS * 24 * 60 * 60 }
+  }
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = {
+  WebhookDelivery,
+  DELIVERY_STATUSES
+};
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const express = require('express');
+const mongoose = require('mongoose');
+const storage = require('../storage');
+const journal = require('../journal');
+const metrics = require('./metrics');
+
+// Cloudinary's Admin API is rate limited per hour, so a storage check is reused
+// for this long rather than repeated on every readiness probe
+const STORAGE_CHECK_TTL_MS = 60 * 1000;
+
+// Give up on a storage check that hangs, so /readyz still answers in time
+const STORAGE_CHECK_TIMEOUT_MS = 5000;
+
+// Optional token that /metrics requires as "Authorization: Bearer <token>"
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+
+const databaseStates = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+// Express route patterns keep the label values bounded (/api/tattoos/:id
+// rather than one series per record). Requests that didn't reach a route are
+// 404s, API requests turned away before routing (e.g. malformed JSON or a
+// body that is too large) or static files.
+function routeLabel(req, res) {
+  if (req.route) return String(req.route.path);
+  if (res.statusCode === 404) return 'not found';
+  return /^\/api(\/|\?|$)/.test(req.originalUrl) ? 'unmatched' : 'static';
+}
+
+// Uploaded files as received by multer, whichever way the route asked for them
+function uploadedFiles(req) {
+  if (req.file) return [req.file];
+  if (Array.isArray(req.files)) return req.files;
+  return Object.values(req.files || {}).flat();
+}
+
+// Count and time every request, and record the size of uploaded files
+function requestMetrics(req, res, next) {
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    const route = routeLabel(req, res);
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    metrics.httpRequestDuration.observe({ method: req.method, route }, seconds);
+    uploadedFiles(req).forEach(file => {
+      metrics.uploadSize.observe({ field: file.fieldname }, file.size);
+    });
+  });
+  next();
+}
+
+// Mongoose emits 'reconnected' (after another 'connected') when a lost connection comes back
+mongoose.connection.on('reconnected', () => metrics.databaseReconnects.inc());
+
+metrics.gauge('mongodb_up', 'Whether the MongoDB connection is open (1) or not (0)', () => (journal.isDatabaseAvailable() ? 1 : 0));
+
+metrics.gauge('journal_entries', 'Submissions waiting in the journal for the database, and ones that failed to replay', async () => {
+  const { pending, failed } = await journal.status();
+  return [{ labels: { state: 'pending' }, value: pending }, { labels: { state: 'failed' }, value: failed }];
+});
+
+metrics.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', () => process.memoryUsage().rss);
+
+metrics.gauge('process_uptime_seconds', 'Seconds since the server process started', () => process.uptime());
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+let lastStorageCheck = null;
+
+// Whether the active storage backend can be reached, reusing a recent result
+async function checkStorage() {
+  if (lastStorageCheck && Date.now() - lastStorageCheck.checkedAt < STORAGE_CHECK_TTL_MS) {
+    return lastStorageCheck.result;
+  }
+
+  let result;
+  try {
+    await withTimeout(storage.ping(), STORAGE_CHECK_TIMEOUT_MS, `No answer from ${storage.label} in ${STORAGE_CHECK_TIMEOUT_MS}ms`);
+    result = { ok: true, driver: storage.name };
+  } catch (error) {
+    console.error(`Readiness check: ${storage.label} storage is unavailable:`, error.message);
+    result = { ok: false, driver: storage.name, error: `${storage.label} storage is unavailable` };
+  }
+  lastStorageCheck = { checkedAt: Date.now(), result };
+  return result;
+}
+
+// Whether a request carries the metrics token, compared in constant time
+function hasMetricsToken(req) {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '';
+  const expected = crypto.createHash('sha256').update(METRICS_TOKEN).digest();
+  const given = crypto.createHash('sha256').update(token).digest();
+  return crypto.timingSafeEqual(expected, given);
+}
+
+const router = express.Router();
+
+// Liveness: the process is up and serving requests. This doesn't look at
+// MongoDB, since submissions are still accepted (journaled) while it is down.
+router.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+});
+
+// Readiness: MongoDB is connected and the storage backend can be reached
+router.get('/readyz', async (req, res) => {
+  try {
+    const readyState = mongoose.connection.readyState;
+    const database = { ok: readyState === 1, state: databaseStates[readyState] || 'unknown' };
+    const [storageCheck, journalStatus] = await Promise.all([checkStorage(), journal.status()]);
+    const ready = database.ok && storageCheck.ok;
+
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'ready' : 'not ready',
+      checks: {
+        database,
+        storage: storageCheck,
+        journal: journalStatus
+      }
+    });
+  } catch (error) {
+    console.error('Error checking readiness:', error);
+    res.status(503).json({ status: 'not ready', error: 'Server error' });
+  }
+});
+
+// Prometheus scrape endpoint
+router.get('/metrics', async (req, res) => {
+  if (METRICS_TOKEN && !hasMetricsToken(req)) {
+    return res.status(401).json({ error: 'A valid metrics token is required' });
+  }
+
+  try {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(await metrics.render());
+  } catch (error) {
+    console.error('Error rendering metrics:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = {
+  requestMetrics,
+  checkStorage,
+  metrics,
+  router
+};
@@ -0,0 +1,172 @@
+// A small in-process metrics registry rendered in the Prometheus text format
+// (https://prometheus.io/docs/instrumenting/exposition_formats/). Only
+// counters, gauges and histograms with labels are needed here.
+
+// Request latencies in seconds (the Prometheus client defaults)
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Upload sizes in bytes, from a small PNG up to the default UPLOAD_MAX_MB
+const SIZE_BUCKETS = [64 * 1024, 256 * 1024, 1024 * 1024, 2 * 1024 * 1024, 5 * 1024 * 1024, 10 * 1024 * 1024, 25 * 1024 * 1024];
+
+const registry = [];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// Series are kept per label set; the key is the label values in labelNames order
+function seriesKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+function labelsFromKey(labelNames, key) {
+  const values = JSON.parse(key);
+  return labelNames.reduce((labels, name, index) => {
+    labels[name] = values[index];
+    return labels;
+  }, {});
+}
+
+function header(name, help, type) {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+function counter(name, help, labelNames = []) {
+  const values = new Map();
+  const metric = {
+    inc(labels, amount = 1) {
+      const key = seriesKey(labelNames, labels);
+      values.set(key, (values.get(key) || 0) + amount);
+    },
+    render() {
+      const lines = header(name, help, 'counter');
+      if (!labelNames.length && !values.size) lines.push(`${name} 0`);
+      values.forEach((value, key) => {
+        lines.push(`${name}${formatLabels(labelsFromKey(labelNames, key))} ${value}`);
+      });
+      return lines;
+    }
+  };
+  registry.push(metric);
+  return metric;
+}
+
+// A gauge's value is read when /metrics is scraped; `collect` returns a
+// number, or [{ labels, value }] for a gauge with labels
+function gauge(name, help, collect) {
+  const metric = {
+    async render() {
+      const lines = header(name, help, 'gauge');
+      const result = await collect();
+      const samples = Array.isArray(result) ? result : [{ labels: {}, value: result }];
+      samples.forEach(({ labels, value }) => {
+        lines.push(`${name}${formatLabels(labels)} ${Number(value)}`);
+      });
+      return lines;
+    }
+  };
+  registry.push(metric);
+  return metric;
+}
+
+function histogram(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+  const series = new Map();
+  const metric = {
+    observe(labels, value) {
+      const key = seriesKey(labelNames, labels);
+      if (!series.has(key)) {
+        series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+      }
+      const entry = series.get(key);
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+    render() {
+      const lines = header(name, help, 'histogram');
+      series.forEach((entry, key) => {
+        const labels = labelsFromKey(labelNames, key);
+        buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${entry.counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${entry.count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${entry.sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${entry.count}`);
+      });
+      return lines;
+    }
+  };
+  registry.push(metric);
+  return metric;
+}
+
+// Every registered metric in the text exposition format
+async function render() {
+  const lines = [];
+  for (const metric of registry) {
+    lines.push(...await metric.render());
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+const httpRequests = counter(
+  'http_requests_total',
+  'HTTP requests handled, by route and status code',
+  ['method', 'route', 'status']
+);
+
+const httpRequestDuration = histogram(
+  'http_request_duration_seconds',
+  'Time taken to respond to HTTP requests, by route',
+  ['method', 'route']
+);
+
+const uploadSize = histogram(
+  'upload_size_bytes',
+  'Size of uploaded files as received, before processing, by form field',
+  ['field'],
+  SIZE_BUCKETS
+);
+
+const storageErrors = counter(
+  'storage_errors_total',
+  'Failed image storage operations, by backend and operation',
+  ['driver', 'operation']
+);
+
+const databaseReconnects = counter(
+  'mongodb_reconnects_total',
+  'Times the MongoDB connection came back after being lost'
+);
+
+const databaseConnectFailures = counter(
+  'mongodb_connect_failures_total',
+  'Failed attempts to make the initial MongoDB connection'
+);
+
+const webhookAttempts = counter(
+  'webhook_delivery_attempts_total',
+  'Webhook delivery attempts, by event and outcome (delivered, retrying or failed)',
+  ['event', 'outcome']
+);
+
+module.exports = {
+  counter,
+  gauge,
+  histogram,
+  render,
+  httpRequests,
+  httpRequestDuration,
+  uploadSize,
+  storageErrors,
+  databaseReconnects,
+  databaseConnectFailures,
+  webhookAttempts
+};
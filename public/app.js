@@ -1,37 +1,159 @@
 document.addEventListener('DOMContentLoaded', () => {
   const tattooForm = document.getElementById('tattooForm');
-  const imageUpload = document.getElementById('imageUpload');
+  const imageInputs = document.querySelectorAll('.image-role-input');
   const imagePreview = document.getElementById('imagePreview');
   const tattooList = document.getElementById('tattooList');
+  
+  const filterForm = document.getElementById('filterForm');
+  const listSummary = document.getElementById('listSummary');
+  const listSentinel = document.getElementById('listSentinel');
+  
+  // Records currently shown in the list, keyed by ID, for inline editing
+  const tattoosById = new Map();
+  
+  // Signed-in account from /api/auth/me; null when browsing anonymously
+  let currentUser = null;
+  
+  // Pagination state for infinite scroll
+  const PAGE_SIZE = 20;
+  let currentPage = 0;
+  let hasMore = false;
+  let isLoadingPage = false;
 
   // iOS detection for app behavior
   const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent);
 
-  // Load existing tattoo data
-  fetchTattoos();
-
-  // Image preview functionality with added iOS support
-  imageUpload.addEventListener('change', (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
+  // Tags are picked as chips with suggestions from existing records
+  TagInput.attach(document.getElementById('tags'));
 
-    if (!file.type.match('image.*')) {
-      alert('Please select an image file');
-      return;
-    }
-
-    // Add file size check for iOS devices (which tend to have large photos)
-    if (file.size > 5 * 1024 * 1024 && isIOS) {
-      alert('Image is too large. Please select a smaller image or take a new photo with lower resolution.');
-      return;
-    }
+  // Currencies records can use (GET /api/currencies); prices are shown in their own currency
+  let currencyInfo = { base: 'USD', default: 'USD', currencies: [] };
+  
+  // Work out who is signed in and which currencies exist, then load existing tattoo data
+  Promise.all([loadCurrentUser(), loadCurrencies()]).then(fetchTattoos);
+  
+  // Submissions saved on this device while offline, waiting to be sent
+  const pendingQueue = document.getElementById('pendingQueue');
+  const SYNC_TAG = 'pending-submissions';
+  const SYNC_INTERVAL_MS = 60 * 1000;
+  
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+      console.error('Service worker registration failed:', error);
+    });
+    // The worker replays the queue in the background and reports back here
+    navigator.serviceWorker.addEventListener('message', (e) => {
+      if (e.data && e.data.type === 'queue-updated') {
+        renderPendingQueue();
+        if (e.data.summary.sent) fetchTattoos();
+      }
+    });
+  }
+  
+  window.addEventListener('online', syncPendingQueue);
+  setInterval(() => {
+    if (navigator.onLine) syncPendingQueue();
+  }, SYNC_INTERVAL_MS);
+  syncPendingQueue();
 
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      imagePreview.innerHTML = `<img src="${e.target.result}" alt="Preview">`;
-    };
-    reader.readAsDataURL(file);
+  // Same limit as the server, which still checks it; photos are normally well
+  // under it once compressed (image-compression.js)
+  const MAX_IMAGE_SIZE = 25 * 1024 * 1024;
+  
+  // Compressed versions of the files picked in each role input, as promises of
+  // ImageCompression results, so compression runs while the form is filled in
+  const compressedImages = new Map();
+  
+  // Some browsers report HEIC photos without a type, so fall back to the extension
+  function isImageFile(file) {
+    return file.type ? file.type.startsWith('image/') : /\.(heic|heif)$/i.test(file.name);
+  }
+  
+  // Image preview functionality with added iOS support
+  imageInputs.forEach(input => {
+    input.addEventListener('change', async (e) => {
+      const files = Array.from(e.target.files);
+      compressedImages.delete(input);
+      
+      if (files.some(file => !isImageFile(file))) {
+        alert('Please select an image file');
+        e.target.value = '';
+        return renderImagePreview();
+      }
+      
+      const compression = ImageCompression.compressAll(files);
+      compressedImages.set(input, compression);
+      renderImagePreview();
+      
+      // Only files that couldn't be compressed can still be over the limit
+      const results = await compression;
+      if (compressedImages.get(input) === compression && results.some(result => result.file.size > MAX_IMAGE_SIZE)) {
+        alert(`Image is too large. Please select an image under ${MAX_IMAGE_SIZE / (1024 * 1024)}MB.`);
+        e.target.value = '';
+        compressedImages.delete(input);
+        renderImagePreview();
+      }
+    });
   });
+  
+  tattooForm.addEventListener('reset', () => compressedImages.clear());
+  
+  // Show every selected file, labelled with its role and its original and
+  // compressed sizes, in one carousel
+  async function renderImagePreview() {
+    const images = [];
+    imageInputs.forEach(input => {
+      Array.from(input.files).forEach(file => {
+        images.push({ url: URL.createObjectURL(file), role: input.name, caption: 'Compressing...' });
+      });
+    });
+    showPreview(images);
+    if (!images.length) return;
+    
+    const pending = Array.from(imageInputs).filter(input => input.files.length);
+    const results = await Promise.all(pending.map(input => compressedImages.get(input) || Promise.resolve([])));
+    
+    // Another selection may have replaced this one while compressing
+    if (pending.some((input, i) => !compressedImages.has(input) || results[i].length !== input.files.length)) return;
+    
+    const compressed = [];
+    pending.forEach((input, i) => {
+      results[i].forEach(result => {
+        compressed.push({
+          url: URL.createObjectURL(result.file),
+          role: input.name,
+          caption: result.compressed
+            ? `${ImageCompression.formatSize(result.originalSize)} → ${ImageCompression.formatSize(result.compressedSize)}`
+            : ImageCompression.formatSize(result.originalSize)
+        });
+      });
+    });
+    showPreview(compressed);
+  }
+  
+  function showPreview(images) {
+    imagePreview.querySelectorAll('img').forEach(img => URL.revokeObjectURL(img.src));
+    imagePreview.innerHTML = images.length ? renderCarousel(images) : '';
+  }
+  
+  // Swap the files picked in each role input for their compressed versions
+  async function useCompressedImages(formData) {
+    for (const input of imageInputs) {
+      if (!input.files.length) continue;
+      const results = await (compressedImages.get(input) || ImageCompression.compressAll(input.files));
+      formData.delete(input.name);
+      results.forEach(result => formData.append(input.name, result.file));
+    }
+  }
+  
+  // Browsers send empty file parts for file inputs with nothing selected
+  function removeEmptyFiles(formData) {
+    Array.from(formData.entries()).forEach(([key, value]) => {
+      if (value instanceof File && !value.name && !value.size) {
+        formData.delete(key);
+      }
+    });
+  }
 
   // Prevent iOS zoom on form fields
   document.querySelectorAll('input[type="text"], input[type="number"]').forEach(input => {
@@ -45,22 +167,31 @@ document.addEventListener('DOMContentLoaded', () => {
     const formData = new FormData(tattooForm);
     const submitBtn = tattooForm.querySelector('button[type="submit"]');
     
+    removeEmptyFiles(formData);
+    
     // Basic validation
     const price = formData.get('price');
     const time = formData.get('timeInHours');
-    const image = formData.get('image');
+    const imageCount = Array.from(imageInputs).reduce((count, input) => count + input.files.length, 0);
     
-    if (!price || !time || !image.name) {
+    if (!price || !time || !imageCount) {
       alert('Please fill all required fields and select an image');
       return;
     }
     
+    if (!formData.get('consent')) {
+      alert('Please confirm the client has agreed to their photos being used');
+      return;
+    }
+    
     // Disable button and show loading state
     const originalBtnText = submitBtn.innerHTML;
     submitBtn.disabled = true;
     submitBtn.innerHTML = '<span class="loading-spinner"></span> Saving...';
     
     try {
+      await useCompressedImages(formData);
+      
       // Add a small delay on iOS to prevent animation jank
       if (isIOS) await new Promise(r => setTimeout(r, 100));
       
@@ -68,20 +199,32 @@ document.addEventListener('DOMContentLoaded', () => {
         price: formData.get('price'),
         timeInHours: formData.get('timeInHours'),
         tags: formData.get('tags'),
-        imageFile: formData.get('image').name
+        placement: formData.get('placement'),
+        style: formData.get('style'),
+        imageCount
       });
       
-      const response = await fetch('/api/tattoos', {
-        method: 'POST',
-        body: formData
-      });
+      // Lets the server recognise this submission if it is sent again from the queue
+      formData.set('submissionId', newSubmissionId());
       
-      let result;
-      try {
-        result = await response.json();
-      } catch (parseError) {
-        console.error('Error parsing response:', parseError);
-        throw new Error('Could not parse server response');
+      let response = null;
+      let result = {};
+      if (navigator.onLine) {
+        try {
+          ({ response, result } = await sendTattooForm('/api/tattoos', 'POST', formData));
+        } catch (networkError) {
+          if (!(networkError instanceof TypeError)) throw networkError;
+          console.error('Network error, queueing submission:', networkError);
+        }
+      }
+      
+      // No connection, or the server couldn't take it right now: keep it on this device
+      if (!response || response.status >= 500) {
+        await queueSubmission(formData);
+        tattooForm.reset();
+        renderImagePreview();
+        alert('No connection to the server. The tattoo is saved on this device and will be sent automatically.');
+        return;
       }
       
       if (!response.ok) {
@@ -91,12 +234,18 @@ document.addEventListener('DOMContentLoaded', () => {
       
       // Reset form
       tattooForm.reset();
-      imagePreview.innerHTML = '';
+      renderImagePreview();
+      
+      // Accepted into the server's journal while its database is down; it shows up once saved
+      if (result.queued) {
+        alert(result.message);
+        return;
+      }
       
       // Refresh the tattoo list
       fetchTattoos();
       
-      alert('Tattoo data saved successfully!');
+      alert('Tattoo data saved successfully!' + duplicateWarning(result.duplicates) + qualityWarning(result.tattoo));
     } catch (error) {
       console.error('Error:', error);
       alert(`Error: ${error.message}`);
@@ -123,13 +272,61 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }, { passive: true });
 
-  // Handle delete button clicks with improved error reporting
+  // Carousel arrows scroll one slide at a time
+  document.addEventListener('click', (e) => {
+    if (!e.target.classList.contains('carousel-nav')) return;
+    e.preventDefault();
+    const track = e.target.closest('.carousel').querySelector('.carousel-track');
+    const direction = e.target.classList.contains('carousel-prev') ? -1 : 1;
+    track.scrollBy({ left: direction * track.clientWidth, behavior: 'smooth' });
+  });
+  
+  // Handle edit, cancel and delete button clicks with improved error reporting
   tattooList.addEventListener('click', async (e) => {
+    if (e.target.classList.contains('image-delete-btn')) {
+      const { id, imageId } = e.target.dataset;
+      if (!confirm('Delete this image? This cannot be undone.')) return;
+      
+      try {
+        const response = await fetch(`/api/tattoos/${id}/images/${imageId}`, { method: 'DELETE' });
+        const result = await response.json();
+        
+        if (!response.ok) {
+          throw new Error(result.error || 'Failed to delete image');
+        }
+        
+        // Stay in edit mode with the updated image list
+        tattoosById.set(id, result.tattoo);
+        openEditForm(e.target.closest('.tattoo-item'), result.tattoo);
+      } catch (error) {
+        console.error('Error deleting image:', error);
+        alert(`Error deleting image: ${error.message}`);
+      }
+      return;
+    }
+    
+    if (e.target.classList.contains('edit-btn')) {
+      const tattoo = tattoosById.get(e.target.dataset.id);
+      if (tattoo) openEditForm(e.target.closest('.tattoo-item'), tattoo);
+      return;
+    }
+    
+    if (e.target.classList.contains('cancel-edit-btn')) {
+      const tattoo = tattoosById.get(e.target.dataset.id);
+      if (tattoo) e.target.closest('.tattoo-item').innerHTML = renderTattoo(tattoo);
+      return;
+    }
+    
+    if (e.target.classList.contains('history-btn')) {
+      toggleHistory(e.target.closest('.tattoo-item'), e.target.dataset.id);
+      return;
+    }
+    
     if (e.target.classList.contains('delete-btn')) {
       const id = e.target.dataset.id;
       console.log('Delete button clicked for ID:', id);
       
-      if (confirm('Are you sure you want to delete this tattoo? This cannot be undone.')) {
+      if (confirm('Move this tattoo to the trash? It can be restored from the trash until it is purged.')) {
         try {
           console.log('Sending delete request for ID:', id);
           const response = await fetch(`/api/tattoos/${id}`, {
@@ -144,7 +341,7 @@ document.addEventListener('DOMContentLoaded', () => {
           }
           
           // Refresh the list after successful deletion
-          alert('Tattoo deleted successfully!');
+          alert(`Tattoo moved to the trash. It will be deleted for good after ${result.retentionDays} days.`);
           fetchTattoos();
         } catch (error) {
           console.error('Error deleting tattoo:', error);
@@ -154,57 +351,775 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
   
-  // Fetch and display tattoo entries
-  async function fetchTattoos() {
+  // Save inline edits
+  tattooList.addEventListener('submit', async (e) => {
+    if (!e.target.classList.contains('edit-form')) return;
+    e.preventDefault();
+    
+    const editForm = e.target;
+    const id = editForm.dataset.id;
+    const formData = new FormData(editForm);
+    const saveBtn = editForm.querySelector('button[type="submit"]');
+    
+    // New images are sent under their role's field name; always send the
+    // cover-up state since unchecked boxes are left out of form data
+    formData.delete('newImages');
+    formData.delete('newImageRole');
+    formData.set('coverUp', editForm.elements.coverUp.checked ? 'true' : 'false');
+    
+    saveBtn.disabled = true;
+    saveBtn.innerHTML = '<span class="loading-spinner"></span> Saving...';
+    
     try {
-      // Show loading indicator
-      tattooList.innerHTML = '<div class="loading">Loading data...</div>';
+      const newImages = await ImageCompression.compressAll(editForm.elements.newImages.files);
+      newImages.forEach(result => {
+        formData.append(editForm.elements.newImageRole.value, result.file);
+      });
       
-      const response = await fetch('/api/tattoos');
-      const tattoos = await response.json();
+      const { response, result } = await sendTattooForm(`/api/tattoos/${id}`, 'PATCH', formData);
       
       if (!response.ok) {
-        throw new Error('Failed to fetch tattoo data');
+        console.error('Server error details:', result);
+        throw new Error(result.error || result.details || 'Failed to save changes');
+      }
+      
+      tattoosById.set(id, result.tattoo);
+      editForm.closest('.tattoo-item').innerHTML = renderTattoo(result.tattoo);
+      
+      const warning = duplicateWarning(result.duplicates) + qualityWarning(result.tattoo);
+      if (warning) alert(warning.trim());
+    } catch (error) {
+      console.error('Error updating tattoo:', error);
+      alert(`Error saving: ${error.message}`);
+      saveBtn.disabled = false;
+      saveBtn.textContent = 'Save';
+    }
+  });
+  
+  // Send a create or edit form. If the server refuses it because an image looks
+  // like one already submitted, ask whether to save it anyway and resend.
+  async function sendTattooForm(url, method, formData) {
+    let response = await fetch(url, { method, body: formData });
+    let result = await parseJsonResponse(response);
+    
+    if (response.status === 409 && result.duplicates) {
+      const saveAnyway = confirm(`${result.error}.${duplicateWarning(result.duplicates)}\n\nSave it anyway?`);
+      if (!saveAnyway) {
+        throw new Error('Not saved: possible duplicate');
+      }
+      formData.set('allowDuplicate', 'true');
+      response = await fetch(url, { method, body: formData });
+      result = await parseJsonResponse(response);
+    }
+    
+    return { response, result };
+  }
+  
+  async function parseJsonResponse(response) {
+    try {
+      return await response.json();
+    } catch (parseError) {
+      console.error('Error parsing response:', parseError);
+      // Proxies answer with HTML error pages while the server is down
+      if (response.status >= 500) return {};
+      throw new Error('Could not parse server response');
+    }
+  }
+  
+  function duplicateWarning(duplicates) {
+    if (!duplicates || !duplicates.length) return '';
+    const matches = duplicates
+      .map(match => `${match.tattooId} (${Math.round(match.similarity * 100)}% similar)`)
+      .join('\n');
+    return `\n\nPossible duplicate of:\n${matches}`;
+  }
+  
+  const HISTORY_ACTIONS = {
+    created: 'Created',
+    edited: 'Edited',
+    reviewed: 'Reviewed',
+    deleted: 'Moved to the trash',
+    restored: 'Restored',
+    purged: 'Deleted for good'
+  };
+  
+  function formatChangeValue(value) {
+    if (value === undefined || value === null || value === '') return '—';
+    if (Array.isArray(value)) return value.join(', ') || '—';
+    if (typeof value === 'object') return Object.values(value).join(' × ');
+    return String(value);
+  }
+  
+  // Who created, changed, deleted or restored a record, from /api/tattoos/:id/history
+  async function toggleHistory(item, id) {
+    const container = item.querySelector('.tattoo-history');
+    if (!container.hidden) {
+      container.hidden = true;
+      return;
+    }
+    
+    container.hidden = false;
+    container.textContent = 'Loading history...';
+    try {
+      const response = await fetch(`/api/tattoos/${id}/history`);
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to load history');
       }
       
-      displayTattoos(tattoos);
+      container.innerHTML = '';
+      if (!result.entries.length) {
+        container.textContent = 'No history recorded for this tattoo.';
+      }
+      result.entries.forEach(entry => {
+        const line = document.createElement('div');
+        line.className = 'history-entry';
+        const who = entry.user ? (entry.user.displayName || entry.user.username) : 'the server';
+        const changes = (entry.changes || [])
+          .map(change => `${change.field}: ${formatChangeValue(change.from)} → ${formatChangeValue(change.to)}`)
+          .join('; ');
+        line.textContent = `${new Date(entry.createdAt).toLocaleString()} · ${HISTORY_ACTIONS[entry.action] || entry.action} by ${who}` +
+          (changes ? ` (${changes})` : '') +
+          (entry.note ? ` “${entry.note}”` : '');
+        container.appendChild(line);
+      });
+    } catch (error) {
+      console.error('Error loading history:', error);
+      container.textContent = `Error loading history: ${error.message}`;
+    }
+  }
+  
+  // The plausibility checks' findings when the record went to the review queue
+  function qualityWarning(tattoo) {
+    if (!tattoo || tattoo.reviewStatus !== 'flagged' || !tattoo.quality) return '';
+    const issues = tattoo.quality.issues.map(issue => `- ${issue.message}`).join('\n');
+    return `\n\nFlagged for review:\n${issues}`;
+  }
+  
+  // Save a submission to the offline queue and ask to be woken when back online
+  async function queueSubmission(formData) {
+    await OfflineQueue.add(formData);
+    renderPendingQueue();
+    
+    if ('serviceWorker' in navigator) {
+      try {
+        const registration = await navigator.serviceWorker.ready;
+        if (registration.sync) await registration.sync.register(SYNC_TAG);
+      } catch (error) {
+        // Without Background Sync the page retries on its own (online event and timer)
+        console.error('Background sync unavailable:', error);
+      }
+    }
+  }
+  
+  async function syncPendingQueue() {
+    try {
+      const pending = (await OfflineQueue.list()).filter(item => item.status === 'pending');
+      if (!pending.length) return renderPendingQueue();
+      
+      const summary = await OfflineQueue.replay();
+      if (summary.sent) fetchTattoos();
+    } catch (error) {
+      console.error('Error sending queued submissions:', error);
+    }
+    renderPendingQueue();
+  }
+  
+  async function renderPendingQueue() {
+    let items = [];
+    try {
+      items = await OfflineQueue.list();
+    } catch (error) {
+      console.error('Could not read the offline queue:', error);
+    }
+    
+    pendingQueue.hidden = !items.length;
+    if (!items.length) {
+      pendingQueue.innerHTML = '';
+      return;
+    }
+    
+    const waiting = items.filter(item => item.status === 'pending').length;
+    const failed = items.length - waiting;
+    pendingQueue.innerHTML = `
+      <details>
+        <summary>
+          <span class="pending-count">${items.length}</span>
+          ${waiting ? `${waiting} waiting to upload` : ''}${waiting && failed ? ', ' : ''}${failed ? `${failed} need attention` : ''}
+        </summary>
+        <ul class="pending-list">
+          ${items.map(item => `
+            <li class="pending-item ${item.status}">
+              <span>
+                ${escapeHTML(item.summary.price)} ${escapeHTML(item.summary.currency || '')} · ${escapeHTML(item.summary.timeInHours)}h
+                · ${item.summary.imageCount} image${item.summary.imageCount === 1 ? '' : 's'}
+                ${item.summary.tags ? `· ${escapeHTML(item.summary.tags)}` : ''}
+                <small>Saved ${new Date(item.createdAt).toLocaleString()}${item.lastError ? ` · ${escapeHTML(item.lastError)}` : ''}</small>
+              </span>
+              <span class="pending-actions">
+                <button type="button" class="link-btn pending-retry" data-id="${item.id}">Retry</button>
+                <button type="button" class="link-btn pending-discard" data-id="${item.id}">Discard</button>
+              </span>
+            </li>
+          `).join('')}
+        </ul>
+        <button type="button" class="link-btn pending-sync">Send now</button>
+      </details>
+    `;
+  }
+  
+  pendingQueue.addEventListener('click', async (e) => {
+    const id = Number(e.target.dataset.id);
+    
+    if (e.target.classList.contains('pending-discard')) {
+      if (!confirm('Discard this saved tattoo? It has not been uploaded and will be lost.')) return;
+      await OfflineQueue.remove(id);
+      renderPendingQueue();
+    } else if (e.target.classList.contains('pending-retry')) {
+      const item = (await OfflineQueue.list()).find(candidate => candidate.id === id);
+      if (!item) return;
+      // A possible duplicate only goes through once someone has confirmed it
+      let allowDuplicate = false;
+      if (item.duplicates && item.duplicates.length) {
+        allowDuplicate = confirm(`${item.lastError}.${duplicateWarning(item.duplicates)}\n\nSave it anyway?`);
+        if (!allowDuplicate) return;
+      }
+      await OfflineQueue.retry(id, { allowDuplicate });
+      syncPendingQueue();
+    } else if (e.target.classList.contains('pending-sync')) {
+      syncPendingQueue();
+    }
+  });
+  
+  // crypto.randomUUID is only available on HTTPS and localhost
+  function newSubmissionId() {
+    if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+  }
+  
+  async function loadCurrencies() {
+    try {
+      const response = await fetch('/api/currencies');
+      if (!response.ok) throw new Error(`Server returned ${response.status}`);
+      currencyInfo = await response.json();
+    } catch (error) {
+      console.error('Error loading currencies:', error);
+    }
+    
+    const select = document.getElementById('currency');
+    const codes = currencyInfo.currencies.length
+      ? currencyInfo.currencies.map(entry => entry.code)
+      : [currencyInfo.default];
+    select.innerHTML = codes.map(code => `<option value="${escapeHTML(code)}">${escapeHTML(code)}</option>`).join('');
+    selectDefaultCurrency();
+  }
+  
+  // Preselect the artist's own default currency, which a form reset also returns to
+  function selectDefaultCurrency() {
+    const select = document.getElementById('currency');
+    const preferred = (currentUser && currentUser.defaultCurrency) || currencyInfo.default;
+    Array.from(select.options).forEach(option => {
+      option.defaultSelected = option.value === preferred;
+    });
+    select.value = preferred;
+  }
+  
+  function formatPrice(amount, code) {
+    const currencyCode = code || currencyInfo.default;
+    try {
+      return new Intl.NumberFormat(undefined, { style: 'currency', currency: currencyCode }).format(amount);
+    } catch (error) {
+      return `${amount.toFixed(2)} ${currencyCode}`;
+    }
+  }
+  
+  // Price per hour, plus the base-currency equivalent for records in other currencies
+  function formatRate(tattoo) {
+    const parts = [];
+    if (tattoo.pricePerHour !== null && tattoo.pricePerHour !== undefined) {
+      parts.push(`${formatPrice(tattoo.pricePerHour, tattoo.currency)}/hr`);
+    }
+    if (tattoo.currency && tattoo.currency !== tattoo.baseCurrency && tattoo.basePrice !== null) {
+      parts.push(`≈ ${formatPrice(tattoo.basePrice, tattoo.baseCurrency)}`);
+    }
+    return parts.length ? `<div class="tattoo-rate">${parts.join(' · ')}</div>` : '';
+  }
+  
+  // The last signed-in account is remembered so the form still works offline
+  async function loadCurrentUser() {
+    try {
+      const response = await fetch('/api/auth/me');
+      const result = await response.json();
+      currentUser = response.ok ? result.user : null;
+      rememberUser(currentUser);
+    } catch (error) {
+      console.error('Error loading account:', error);
+      currentUser = navigator.onLine ? null : rememberedUser();
+    }
+    renderAccountBar();
+  }
+  
+  function rememberUser(user) {
+    try {
+      if (user) localStorage.setItem('currentUser', JSON.stringify(user));
+      else localStorage.removeItem('currentUser');
+    } catch (error) {
+      // Storage can be unavailable in private browsing
+    }
+  }
+  
+  function rememberedUser() {
+    try {
+      return JSON.parse(localStorage.getItem('currentUser'));
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  function renderAccountBar() {
+    const accountBar = document.getElementById('accountBar');
+    selectDefaultCurrency();
+    
+    tattooForm.hidden = !currentUser;
+    document.getElementById('loginPrompt').hidden = Boolean(currentUser);
+    
+    if (!currentUser) {
+      accountBar.innerHTML = '<a href="/login.html">Log in</a>';
+      return;
+    }
+    
+    const adminLinks = currentUser.role === 'admin'
+      ? '<a href="/users.html">Users</a><a href="/currencies.html">Currencies</a><a href="/tags.html">Tags</a><a href="/review.html">Review</a><a href="/consent.html">Client data</a><a href="/webhooks.html">Webhooks</a><a href="/uploads-browser">Uploads</a>'
+      : '';
+    accountBar.innerHTML = `
+      <span>Signed in as <strong>${escapeHTML(currentUser.displayName || currentUser.username)}</strong></span>
+      <a href="/stats.html">Stats</a><a href="/trash.html">Trash</a>
+      ${adminLinks}
+      <button type="button" id="logoutBtn" class="link-btn">Log out</button>
+    `;
+    
+    document.getElementById('logoutBtn').addEventListener('click', async () => {
+      try {
+        await fetch('/api/auth/logout', { method: 'POST' });
+      } catch (error) {
+        console.error('Error logging out:', error);
+      }
+      currentUser = null;
+      rememberUser(null);
+      renderAccountBar();
+      fetchTattoos();
+    });
+  }
+  
+  // Mirrors the server rule: artists edit their own records, admins edit everything
+  function canModify(tattoo) {
+    if (!currentUser) return false;
+    if (currentUser.role === 'admin') return true;
+    const ownerId = tattoo.owner && (tattoo.owner._id || tattoo.owner);
+    return ownerId === currentUser._id;
+  }
+  
+  // Estimate panel: reuse the add form's option lists so both stay in sync
+  const estimateForm = document.getElementById('estimateForm');
+  const estimateResult = document.getElementById('estimateResult');
+  
+  estimateForm.querySelectorAll('select[data-options-from]').forEach(select => {
+    select.innerHTML = document.getElementById(select.dataset.optionsFrom).innerHTML;
+  });
+  
+  estimateForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    
+    const body = {};
+    new FormData(estimateForm).forEach((value, key) => {
+      if (String(value).trim() !== '') body[key] = value;
+    });
+    
+    const submitBtn = estimateForm.querySelector('button[type="submit"]');
+    const originalBtnText = submitBtn.innerHTML;
+    submitBtn.disabled = true;
+    submitBtn.innerHTML = '<span class="loading-spinner"></span> Estimating...';
+    
+    try {
+      const response = await fetch('/api/estimate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const result = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(result.error || 'Could not estimate');
+      }
+      
+      displayEstimate(result);
+    } catch (error) {
+      console.error('Error estimating:', error);
+      estimateResult.hidden = false;
+      estimateResult.innerHTML = `<p>${escapeHTML(error.message)}</p>`;
+    } finally {
+      submitBtn.disabled = false;
+      submitBtn.innerHTML = originalBtnText;
+    }
+  });
+  
+  function displayEstimate(result) {
+    const confidence = Math.round(result.confidence * 100);
+    const metrics = result.model.metrics;
+    const metricsHTML = metrics
+      ? `Typical error on ${metrics.validationSize} held-out tattoos: ±${formatPrice(metrics.price.mae, result.currency)} and ±${metrics.timeInHours.mae.toFixed(1)} hrs.`
+      : 'Not enough data yet to measure accuracy.';
+    
+    estimateResult.hidden = false;
+    estimateResult.innerHTML = `
+      <div class="estimate-value">${formatPrice(result.price.estimate, result.currency)} · ${formatTime(result.timeInHours.estimate)}</div>
+      <div class="estimate-range">${confidence}% range: ${formatPrice(result.price.low, result.currency)}–${formatPrice(result.price.high, result.currency)}, ${formatTime(result.timeInHours.low)}–${formatTime(result.timeInHours.high)}</div>
+      <div class="estimate-model">Based on ${result.model.sampleCount} tattoos. ${metricsHTML}</div>
+    `;
+  }
+  
+  // Filter bar: apply or clear, then start again from the first page
+  filterForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    fetchTattoos();
+  });
+  
+  filterForm.addEventListener('reset', () => {
+    // Let the form clear its fields before reading them
+    setTimeout(fetchTattoos, 0);
+  });
+  
+  // Infinite scroll: load the next page when the end of the list comes into view
+  if ('IntersectionObserver' in window) {
+    const observer = new IntersectionObserver(entries => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        loadNextPage();
+      }
+    }, { rootMargin: '200px' });
+    observer.observe(listSentinel);
+  }
+  
+  listSentinel.addEventListener('click', (e) => {
+    if (e.target.classList.contains('load-more-btn')) {
+      loadNextPage();
+    }
+  });
+  
+  // Query string for the current filter bar values, leaving out empty fields
+  function buildListQuery(page) {
+    const params = new URLSearchParams();
+    new FormData(filterForm).forEach((value, key) => {
+      if (String(value).trim() !== '') params.set(key, value);
+    });
+    params.set('page', page);
+    params.set('limit', PAGE_SIZE);
+    return params.toString();
+  }
+  
+  // Fetch and display the first page of tattoo entries
+  async function fetchTattoos() {
+    currentPage = 0;
+    hasMore = false;
+    tattoosById.clear();
+    
+    // Show loading indicator
+    tattooList.innerHTML = '<div class="loading">Loading data...</div>';
+    listSummary.textContent = '';
+    listSentinel.innerHTML = '';
+    
+    await loadNextPage({ force: true });
+  }
+  
+  async function loadNextPage({ force = false } = {}) {
+    if (isLoadingPage || (!hasMore && !force)) return;
+    isLoadingPage = true;
+    
+    const page = currentPage + 1;
+    if (page > 1) {
+      listSentinel.innerHTML = '<div class="loading">Loading more...</div>';
+    }
+    
+    try {
+      const response = await fetch(`/api/tattoos?${buildListQuery(page)}`);
+      const result = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to fetch tattoo data');
+      }
+      
+      currentPage = page;
+      hasMore = result.hasMore;
+      displayTattoos(result.tattoos, { append: page > 1 });
+      updateListSummary(result);
     } catch (error) {
       console.error('Error fetching tattoos:', error);
-      tattooList.innerHTML = '<p>Error loading tattoo data. Please try again later.</p>';
+      if (page === 1) {
+        tattooList.innerHTML = `<p>Error loading tattoo data: ${escapeHTML(error.message)}</p>`;
+      }
+    } finally {
+      isLoadingPage = false;
+      listSentinel.innerHTML = hasMore
+        ? '<button type="button" class="load-more-btn filter-reset-btn">Load more</button>'
+        : '';
     }
   }
   
-  function displayTattoos(tattoos) {
-    if (!tattoos.length) {
-      tattooList.innerHTML = '<p>No tattoo data available yet. Add your first tattoo above!</p>';
+  function hasActiveFilters() {
+    return ['minPrice', 'maxPrice', 'minHours', 'maxHours', 'tags', 'from', 'to']
+      .some(name => filterForm.elements[name].value.trim() !== '');
+  }
+  
+  function updateListSummary(result) {
+    if (!result.total) {
+      listSummary.textContent = '';
+      return;
+    }
+    const filtered = result.total !== result.unfilteredTotal ? ` (filtered from ${result.unfilteredTotal})` : '';
+    listSummary.textContent = `Showing ${tattoosById.size} of ${result.total} tattoos${filtered}`;
+  }
+  
+  function displayTattoos(tattoos, { append = false } = {}) {
+    if (!append && !tattoos.length) {
+      tattooList.innerHTML = hasActiveFilters()
+        ? '<p>No tattoos match these filters.</p>'
+        : '<p>No tattoo data available yet. Add your first tattoo above!</p>';
       return;
     }
     
-    tattooList.innerHTML = '';
+    if (!append) {
+      tattooList.innerHTML = '';
+    }
     
     tattoos.forEach(tattoo => {
+      tattoosById.set(tattoo._id, tattoo);
+      
       const tattooElement = document.createElement('div');
       tattooElement.className = 'tattoo-item';
-      
-      const tagsHTML = tattoo.tags.map(tag => `<span class="tag">${tag}</span>`).join('');
-      
-      // Display time in hours with delete button - with improved positioning
-      tattooElement.innerHTML = `
-        <div class="tattoo-actions">
-          <button class="delete-btn" data-id="${tattoo._id}">Delete</button>
-        </div>
-        <img src="${tattoo.imageUrl}" alt="Tattoo" class="tattoo-image" loading="lazy" onerror="this.src='/img/placeholder.svg'">
-        <div class="tattoo-details">
-          <div class="tattoo-price">$${tattoo.price.toFixed(2)}</div>
-          <div class="tattoo-time">${formatTime(tattoo.timeInHours)}</div>
-          <div class="tattoo-tags">${tagsHTML || '<span class="tag">No tags</span>'}</div>
-        </div>
-      `;
+      tattooElement.innerHTML = renderTattoo(tattoo);
       
       tattooList.appendChild(tattooElement);
     });
   }
   
+  function renderTattoo(tattoo) {
+    const tagsHTML = tattoo.tags.map(tag => `<span class="tag">${tag}</span>`).join('');
+    
+    // Edit and delete buttons only for records the signed-in user may change
+    const actionsHTML = canModify(tattoo) ? `
+      <div class="tattoo-actions">
+        <button class="edit-btn" data-id="${tattoo._id}">Edit</button>
+        <button class="history-btn" data-id="${tattoo._id}">History</button>
+        <button class="delete-btn" data-id="${tattoo._id}">Delete</button>
+      </div>
+    ` : '';
+    
+    // Display time in hours - with improved positioning
+    return `
+      ${actionsHTML}
+      ${renderCarousel(tattooImages(tattoo), { imageClass: 'tattoo-image', thumbnails: true })}
+      <div class="tattoo-details">
+        <div class="tattoo-price">${formatPrice(tattoo.price, tattoo.currency)}</div>
+        <div class="tattoo-time">${formatTime(tattoo.timeInHours)}${formatSessions(tattoo.sessions)}</div>
+        ${formatRate(tattoo)}
+        ${formatDetails(tattoo)}
+        <div class="tattoo-tags">${tagsHTML || '<span class="tag">No tags</span>'}</div>
+        <div class="tattoo-history" hidden></div>
+      </div>
+    `;
+  }
+  
+  // Images with the main one first; records from before multi-image support only have imageUrl
+  function tattooImages(tattoo) {
+    const images = (tattoo.images && tattoo.images.length)
+      ? tattoo.images.slice()
+      : [{ url: tattoo.imageUrl, role: 'fresh' }];
+    const primaryIndex = images.findIndex(image => image.url === tattoo.imageUrl);
+    if (primaryIndex > 0) {
+      images.unshift(images.splice(primaryIndex, 1)[0]);
+    }
+    return images;
+  }
+  
+  const ROLE_LABELS = {
+    reference: 'Reference',
+    stencil: 'Stencil',
+    fresh: 'Fresh',
+    healed: 'Healed'
+  };
+  
+  // Swipeable carousel with a role badge per image. `deleteFor` adds a delete
+  // button to each image of that tattoo when there is more than one.
+  // `thumbnails` shows the small copies, each linking to the full-size image.
+  function renderCarousel(images, { imageClass = '', deleteFor = null, thumbnails = false } = {}) {
+    const slides = images.map(image => {
+      const deleteHTML = deleteFor && images.length > 1
+        ? `<button type="button" class="image-delete-btn" data-id="${deleteFor}" data-image-id="${image._id}">Delete</button>`
+        : '';
+      const imgHTML = `<img src="${thumbnails && image.thumbnail ? image.thumbnail.url : image.url}" alt="${ROLE_LABELS[image.role] || 'Tattoo'} photo" class="${imageClass}" loading="lazy" onerror="this.src='/img/placeholder.svg'">`;
+      return `
+        <figure class="carousel-slide">
+          ${thumbnails ? `<a href="${image.url}" target="_blank" rel="noopener">${imgHTML}</a>` : imgHTML}
+          <figcaption class="role-badge">${ROLE_LABELS[image.role] || image.role}${images.length > 1 ? ` · ${images.length} photos` : ''}</figcaption>
+          ${image.caption ? `<span class="image-size-badge">${escapeHTML(image.caption)}</span>` : ''}
+          ${deleteHTML}
+        </figure>
+      `;
+    }).join('');
+    
+    const navHTML = images.length > 1
+      ? '<button type="button" class="carousel-nav carousel-prev" aria-label="Previous image">‹</button><button type="button" class="carousel-nav carousel-next" aria-label="Next image">›</button>'
+      : '';
+    
+    return `<div class="carousel"><div class="carousel-track">${slides}</div>${navHTML}</div>`;
+  }
+  
+  // Swap a list item's details for a form prefilled with its current values.
+  // The select options are copied from the main form so they stay in sync.
+  function openEditForm(tattooElement, tattoo) {
+    const details = tattooElement.querySelector('.tattoo-details');
+    const size = tattoo.size || {};
+    
+    details.innerHTML = `
+      <form class="edit-form" data-id="${tattoo._id}">
+        ${renderCarousel(tattooImages(tattoo), { deleteFor: tattoo._id })}
+        <label>Add images
+          <span class="form-row">
+            <select name="newImageRole" aria-label="Role of new images">
+              <option value="fresh">Fresh</option>
+              <option value="healed">Healed</option>
+              <option value="stencil">Stencil</option>
+              <option value="reference">Reference</option>
+            </select>
+            <input type="file" name="newImages" accept="image/*,.heic,.heif" multiple>
+          </span>
+        </label>
+        <label>Price
+          <span class="form-row">
+            <input type="number" name="price" required min="0" step="0.01">
+            <select name="currency" aria-label="Currency" class="currency-select">${document.getElementById('currency').innerHTML}</select>
+          </span>
+        </label>
+        <label>Time (hours)
+          <input type="number" name="timeInHours" required min="0" step="0.1">
+        </label>
+        <label>Placement
+          <select name="placement">${document.getElementById('placement').innerHTML}</select>
+        </label>
+        <label>Size (cm)
+          <span class="form-row">
+            <input type="number" name="widthCm" min="0" max="200" step="0.5" placeholder="W" aria-label="Width in cm">
+            <span class="form-row-separator">&times;</span>
+            <input type="number" name="heightCm" min="0" max="200" step="0.5" placeholder="H" aria-label="Height in cm">
+          </span>
+        </label>
+        <label>Color
+          <select name="colorMode">${document.getElementById('colorMode').innerHTML}</select>
+        </label>
+        <label>Style
+          <select name="style">${document.getElementById('style').innerHTML}</select>
+        </label>
+        <label>Artist
+          <input type="text" name="artist" maxlength="100">
+        </label>
+        <label>Sessions
+          <input type="number" name="sessions" min="1" max="50" step="1">
+        </label>
+        <label class="form-check">
+          <input type="checkbox" name="coverUp" value="true"> Cover-up
+        </label>
+        <label>Tags
+          <input type="text" name="tags">
+        </label>
+        <label>Client consent
+          <select name="consentScope">${tattoo.consent ? '' : '<option value="">Not recorded</option>'}${document.getElementById('consentScope').innerHTML}</select>
+        </label>
+        <label>Client reference
+          <input type="text" name="clientRef" maxlength="100">
+        </label>
+        <div class="edit-actions">
+          <button type="submit" class="save-btn">Save</button>
+          <button type="button" class="cancel-edit-btn" data-id="${tattoo._id}">Cancel</button>
+        </div>
+      </form>
+    `;
+    
+    // Fill values through the DOM rather than the template so nothing needs escaping
+    const fields = details.querySelector('.edit-form').elements;
+    fields.price.value = tattoo.price;
+    fields.currency.value = tattoo.currency || currencyInfo.default;
+    fields.timeInHours.value = tattoo.timeInHours;
+    fields.placement.value = tattoo.placement || '';
+    fields.widthCm.value = size.widthCm || '';
+    fields.heightCm.value = size.heightCm || '';
+    fields.colorMode.value = tattoo.colorMode || '';
+    fields.style.value = tattoo.style || '';
+    fields.artist.value = tattoo.artist || '';
+    fields.sessions.value = tattoo.sessions || '';
+    fields.coverUp.checked = Boolean(tattoo.coverUp);
+    fields.tags.value = tattoo.tags.join(', ');
+    fields.consentScope.value = tattoo.consent ? tattoo.consent.scope : '';
+    fields.clientRef.value = (tattoo.consent && tattoo.consent.clientRef) || '';
+    TagInput.attach(fields.tags);
+  }
+  
+  function formatSessions(sessions) {
+    if (!sessions || sessions === 1) return '';
+    return ` over ${sessions} sessions`;
+  }
+  
+  // Turn stored enum values like "black-and-grey" into "Black and grey"
+  function formatLabel(value) {
+    const text = value.replace(/-/g, ' ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+  
+  const CONSENT_LABELS = {
+    training: 'Consent: AI training only',
+    portfolio: 'Consent: training and portfolio',
+    public: 'Consent: training, portfolio and public'
+  };
+  
+  function formatConsent(consent) {
+    if (!consent) return 'No consent recorded';
+    const clientRef = consent.clientRef ? ` · Client ${escapeHTML(consent.clientRef)}` : '';
+    return `${CONSENT_LABELS[consent.scope] || consent.scope}${clientRef}`;
+  }
+  
+    function formatDetails(tattoo) {
+    const parts = [];
+    
+    if (tattoo.style) parts.push(formatLabel(tattoo.style));
+    if (tattoo.placement) parts.push(formatLabel(tattoo.placement));
+    if (tattoo.size && tattoo.size.widthCm && tattoo.size.heightCm) {
+      parts.push(`${tattoo.size.widthCm} × ${tattoo.size.heightCm} cm`);
+    }
+    if (tattoo.colorMode) parts.push(formatLabel(tattoo.colorMode));
+    if (tattoo.coverUp) parts.push('Cover-up');
+    
+    const lines = [];
+    if (parts.length) lines.push(`<div class="tattoo-meta">${parts.join(' · ')}</div>`);
+    if (tattoo.artist) lines.push(`<div class="tattoo-meta">By ${escapeHTML(tattoo.artist)}</div>`);
+    if (tattoo.owner && tattoo.owner.username) {
+      lines.push(`<div class="tattoo-meta">Added by ${escapeHTML(tattoo.owner.displayName || tattoo.owner.username)}</div>`);
+    }
+    if (canModify(tattoo)) {
+      lines.push(`<div class="tattoo-meta">${formatConsent(tattoo.consent)}</div>`);
+    }
+    if (tattoo.reviewStatus === 'flagged') {
+      lines.push('<div class="tattoo-meta review-flag">Flagged for review</div>');
+    } else if (tattoo.reviewStatus === 'excluded') {
+      lines.push('<div class="tattoo-meta review-flag">Excluded from exports</div>');
+    }
+    
+    return lines.join('');
+  }
+  
+  function escapeHTML(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+  
   function formatTime(hours) {
     if (hours === 1) {
       return '1 hr';
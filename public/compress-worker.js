@@ -0,0 +1,34 @@
+// Decodes, downscales and re-encodes one image off the main thread.
+// Message in:  { id, file, maxDimension, quality, minQuality, targetBytes }
+// Message out: { id, blob, width, height } or { id, error }
+self.addEventListener('message', async (e) => {
+  const { id, file, maxDimension, quality, minQuality, targetBytes } = e.data;
+
+  try {
+    // imageOrientation applies the EXIF rotation so portrait phone photos stay upright
+    const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+    const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+    const width = Math.round(bitmap.width * scale);
+    const height = Math.round(bitmap.height * scale);
+
+    const canvas = new OffscreenCanvas(width, height);
+    const context = canvas.getContext('2d');
+    // JPEG has no transparency; match the server's white background
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, width, height);
+    context.drawImage(bitmap, 0, 0, width, height);
+    bitmap.close();
+
+    // Step the quality down until the file fits the target size
+    let currentQuality = quality;
+    let blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: currentQuality });
+    while (blob.size > targetBytes && currentQuality > minQuality) {
+      currentQuality = Math.max(minQuality, currentQuality - 0.1);
+      blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: currentQuality });
+    }
+
+    self.postMessage({ id, blob, width, height });
+  } catch (error) {
+    self.postMessage({ id, error: error.message || String(error) });
+  }
+});
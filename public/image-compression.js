@@ -0,0 +1,142 @@
+// Shrinks photos in the browser before they are uploaded, so large phone
+// photos upload quickly (and fit in the offline queue). Work happens in
+// compress-worker.js where OffscreenCanvas is available, otherwise on a
+// regular canvas. The server still resizes and enforces its own size limit.
+(function(global) {
+  // Matches the server's stored size (IMAGE_MAX_DIMENSION), so nothing is lost
+  const MAX_DIMENSION = 2048;
+  const TARGET_BYTES = 1.5 * 1024 * 1024;
+  const QUALITY = 0.85;
+  const MIN_QUALITY = 0.5;
+
+  // GIFs would lose their animation; HEIC can't be decoded by most browsers
+  // and is converted on the server instead
+  const SKIPPED_TYPES = /image\/(gif|heic|heif)/;
+
+  const supportsWorker = typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' &&
+    typeof createImageBitmap !== 'undefined';
+
+  let worker = null;
+  let nextId = 0;
+  const pending = new Map();
+
+  function getWorker() {
+    if (!worker) {
+      worker = new Worker('/compress-worker.js');
+      worker.addEventListener('message', (e) => {
+        const { id, error, ...result } = e.data;
+        const { resolve, reject } = pending.get(id);
+        pending.delete(id);
+        if (error) reject(new Error(error));
+        else resolve(result);
+      });
+    }
+    return worker;
+  }
+
+  function compressInWorker(file) {
+    return new Promise((resolve, reject) => {
+      const id = nextId++;
+      pending.set(id, { resolve, reject });
+      getWorker().postMessage({
+        id,
+        file,
+        maxDimension: MAX_DIMENSION,
+        quality: QUALITY,
+        minQuality: MIN_QUALITY,
+        targetBytes: TARGET_BYTES
+      });
+    });
+  }
+
+  function loadImage(file) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(file);
+      const img = new Image();
+      img.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(img);
+      };
+      img.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('Could not decode image'));
+      };
+      img.src = url;
+    });
+  }
+
+  function canvasToBlob(canvas, quality) {
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode image'))), 'image/jpeg', quality);
+    });
+  }
+
+  // Main-thread fallback for browsers without OffscreenCanvas in workers (older Safari).
+  // Current browsers apply the EXIF orientation when drawing an <img>.
+  async function compressOnMainThread(file) {
+    const img = await loadImage(file);
+    const scale = Math.min(1, MAX_DIMENSION / Math.max(img.naturalWidth, img.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(img.naturalWidth * scale);
+    canvas.height = Math.round(img.naturalHeight * scale);
+
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+    let quality = QUALITY;
+    let blob = await canvasToBlob(canvas, quality);
+    while (blob.size > TARGET_BYTES && quality > MIN_QUALITY) {
+      quality = Math.max(MIN_QUALITY, quality - 0.1);
+      blob = await canvasToBlob(canvas, quality);
+    }
+    return { blob, width: canvas.width, height: canvas.height };
+  }
+
+  function jpegName(filename) {
+    return filename.replace(/\.[^.]+$/, '') + '.jpg';
+  }
+
+  /**
+   * Compress one image file. Resolves with { file, originalSize, compressedSize,
+   * compressed }. The original is returned unchanged when it can't be decoded
+   * here or when re-encoding wouldn't make it smaller.
+   */
+  async function compress(file) {
+    const unchanged = { file, originalSize: file.size, compressedSize: file.size, compressed: false };
+    if (SKIPPED_TYPES.test(file.type) || /\.(heic|heif)$/i.test(file.name)) {
+      return unchanged;
+    }
+
+    let result;
+    try {
+      result = supportsWorker ? await compressInWorker(file) : await compressOnMainThread(file);
+    } catch (error) {
+      console.error(`Could not compress ${file.name}, uploading the original:`, error);
+      return unchanged;
+    }
+
+    if (result.blob.size >= file.size) {
+      return unchanged;
+    }
+
+    const compressedFile = new File([result.blob], jpegName(file.name), { type: 'image/jpeg', lastModified: file.lastModified });
+    return { file: compressedFile, originalSize: file.size, compressedSize: compressedFile.size, compressed: true };
+  }
+
+  function compressAll(files) {
+    return Promise.all(Array.from(files).map(compress));
+  }
+
+  function formatSize(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  }
+
+  global.ImageCompression = {
+    compress,
+    compressAll,
+    formatSize
+  };
+})(window);
@@ -0,0 +1,194 @@
+// Submissions that couldn't be sent (offline, or the server was unreachable)
+// are kept in IndexedDB and sent again later. Loaded by both the page and the
+// service worker (sw.js), so it only uses APIs available in both.
+(function(global) {
+  const DB_NAME = 'tattoo-data-collector';
+  const DB_VERSION = 1;
+  const STORE = 'pendingSubmissions';
+  const LOCK_NAME = 'pending-submissions';
+
+  // Responses worth retrying later; anything else needs the user to look at it
+  const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+  function openDb() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Run one request against the store and resolve with its result once the transaction commits
+  async function withStore(mode, action) {
+    const db = await openDb();
+    try {
+      return await new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE, mode);
+        const request = action(transaction.objectStore(STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      });
+    } finally {
+      db.close();
+    }
+  }
+
+  // Files are stored as ArrayBuffers; Blobs in IndexedDB are unreliable on older iOS
+  async function serializeFormData(formData) {
+    const fields = [];
+    for (const [name, value] of formData.entries()) {
+      if (typeof value === 'string') {
+        fields.push({ name, value });
+      } else {
+        fields.push({ name, file: { buffer: await value.arrayBuffer(), filename: value.name, type: value.type } });
+      }
+    }
+    return fields;
+  }
+
+  function toFormData(fields) {
+    const formData = new FormData();
+    fields.forEach(field => {
+      if (field.file) {
+        formData.append(field.name, new Blob([field.file.buffer], { type: field.file.type }), field.file.filename);
+      } else {
+        formData.append(field.name, field.value);
+      }
+    });
+    return formData;
+  }
+
+  /**
+   * Queue a create-tattoo form for sending later. The form should carry a
+   * submissionId so the server can tell a resend from a new submission.
+   */
+  async function add(formData) {
+    const fields = await serializeFormData(formData);
+    const item = {
+      fields,
+      summary: {
+        price: formData.get('price'),
+        currency: formData.get('currency'),
+        timeInHours: formData.get('timeInHours'),
+        tags: formData.get('tags') || '',
+        imageCount: fields.filter(field => field.file).length
+      },
+      status: 'pending',
+      attempts: 0,
+      lastError: null,
+      createdAt: new Date().toISOString()
+    };
+    item.id = await withStore('readwrite', store => store.add(item));
+    return item;
+  }
+
+  function list() {
+    return withStore('readonly', store => store.getAll());
+  }
+
+  function get(id) {
+    return withStore('readonly', store => store.get(id));
+  }
+
+  function put(item) {
+    return withStore('readwrite', store => store.put(item));
+  }
+
+  function remove(id) {
+    return withStore('readwrite', store => store.delete(id));
+  }
+
+  async function send(item) {
+    let response;
+    try {
+      response = await fetch('/api/tattoos', { method: 'POST', body: toFormData(item.fields), credentials: 'same-origin' });
+    } catch (networkError) {
+      return { outcome: 'retry', error: 'No connection' };
+    }
+
+    let result = {};
+    try {
+      result = await response.json();
+    } catch (parseError) {
+      // Error pages from proxies aren't JSON
+    }
+
+    if (response.ok) return { outcome: 'sent', result };
+    if (response.status === 401) return { outcome: 'stop', error: 'Log in again to send queued tattoos' };
+    if (RETRYABLE_STATUSES.includes(response.status)) {
+      return { outcome: 'retry', error: result.error || `Server error (${response.status})` };
+    }
+    return { outcome: 'failed', error: result.error || `Rejected by the server (${response.status})`, result };
+  }
+
+  async function replayAll() {
+    const summary = { sent: 0, failed: 0, remaining: 0, stopped: null };
+    const items = (await list()).filter(item => item.status === 'pending');
+
+    for (const [index, item] of items.entries()) {
+      const { outcome, error, result } = await send(item);
+
+      if (outcome === 'sent') {
+        await remove(item.id);
+        summary.sent++;
+        continue;
+      }
+
+      item.attempts++;
+      item.lastError = error;
+      item.lastAttemptAt = new Date().toISOString();
+      if (outcome === 'failed') {
+        item.status = 'failed';
+        item.duplicates = (result && result.duplicates) || null;
+        summary.failed++;
+      }
+      await put(item);
+
+      // Without a connection or a session the rest would fail the same way
+      if (outcome === 'retry' || outcome === 'stop') {
+        summary.remaining = items.length - index;
+        summary.stopped = error;
+        break;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Send every pending submission, oldest first. Successful ones are removed;
+   * ones the server rejects are marked failed and kept until retried or
+   * discarded. Only one page or worker replays at a time.
+   */
+  function replay() {
+    if (global.navigator && navigator.locks) {
+      return navigator.locks.request(LOCK_NAME, replayAll);
+    }
+    return replayAll();
+  }
+
+  // Put a failed submission back in line, optionally accepting a possible duplicate
+  async function retry(id, { allowDuplicate = false } = {}) {
+    const item = await get(id);
+    if (!item) return;
+    if (allowDuplicate) {
+      item.fields = item.fields.filter(field => field.name !== 'allowDuplicate');
+      item.fields.push({ name: 'allowDuplicate', value: 'true' });
+    }
+    item.status = 'pending';
+    item.duplicates = null;
+    await put(item);
+  }
+
+  global.OfflineQueue = {
+    add,
+    list,
+    remove,
+    retry,
+    replay
+  };
+})(self);
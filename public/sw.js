@@ -0,0 +1,82 @@
+// Service worker: keeps the app shell available offline and sends queued
+// submissions (offline-queue.js) when the browser regains a connection.
+importScripts('/offline-queue.js');
+
+// Bump when the shell files change so clients pick up the new versions
+const CACHE_NAME = 'tattoo-shell-v5';
+const SYNC_TAG = 'pending-submissions';
+
+const SHELL_FILES = [
+  '/',
+  '/index.html',
+  '/login.html',
+  '/styles.css',
+  '/app.js',
+  '/offline-queue.js',
+  '/image-compression.js',
+  '/tag-input.js',
+  '/compress-worker.js',
+  '/manifest.webmanifest',
+  '/img/placeholder.svg',
+  '/img/icon.svg',
+  '/img/icon-192.png',
+  '/img/icon-512.png'
+];
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Shell files: network first so deploys show up straight away, cache when offline.
+// API calls and uploaded images always go to the network.
+self.addEventListener('fetch', event => {
+  const url = new URL(event.request.url);
+  if (event.request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  const isShellFile = SHELL_FILES.includes(url.pathname);
+  const isNavigation = event.request.mode === 'navigate';
+  if (!isShellFile && !isNavigation) return;
+
+  event.respondWith(
+    fetch(event.request)
+      .then(response => {
+        if (response.ok && isShellFile) {
+          const copy = response.clone();
+          caches.open(CACHE_NAME).then(cache => cache.put(url.pathname, copy));
+        }
+        return response;
+      })
+      // Other pages need the server, so offline they fall back to the collector form
+      .catch(() => caches.match(isShellFile ? url.pathname : '/index.html'))
+  );
+});
+
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => client.postMessage(message));
+}
+
+// Background Sync (Chromium) fires when connectivity returns, even with the app closed
+self.addEventListener('sync', event => {
+  if (event.tag !== SYNC_TAG) return;
+
+  event.waitUntil(
+    OfflineQueue.replay().then(async summary => {
+      await notifyClients({ type: 'queue-updated', summary });
+      // Rejecting asks the browser to try the sync again later
+      if (summary.stopped) throw new Error(summary.stopped);
+    })
+  );
+});
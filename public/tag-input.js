@@ -0,0 +1,218 @@
+// Turns a comma separated tags field into chips with suggestions from
+// GET /api/tags. The original input stays in the form (hidden) and always
+// holds the chosen tags as "a, b, c", so forms submit it unchanged.
+(function(global) {
+  const SUGGESTION_LIMIT = 8;
+  const DEBOUNCE_MS = 150;
+
+  // Same rules as the server (tags/vocabulary.js), so chips show what will be stored
+  function normalizeTag(tag) {
+    return String(tag)
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(/^#+\s*/, '')
+      .slice(0, 50);
+  }
+
+  function parseTags(value) {
+    const tags = [];
+    String(value || '').split(',').forEach(raw => {
+      const tag = normalizeTag(raw);
+      if (tag && !tags.includes(tag)) tags.push(tag);
+    });
+    return tags;
+  }
+
+  async function fetchSuggestions(prefix) {
+    const params = new URLSearchParams({ q: prefix, limit: SUGGESTION_LIMIT });
+    const response = await fetch(`/api/tags?${params}`);
+    if (!response.ok) return [];
+    const result = await response.json();
+    return result.tags;
+  }
+
+  /**
+   * Replace a text input with a chip editor. Returns { refresh } to re-read
+   * the input after its value is changed from code.
+   */
+  function attach(input) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'tag-input';
+    const chipList = document.createElement('span');
+    chipList.className = 'tag-chips';
+    const field = document.createElement('input');
+    field.type = 'text';
+    field.className = 'tag-input-field';
+    field.placeholder = input.placeholder || 'Add a tag';
+    field.autocomplete = 'off';
+    field.setAttribute('aria-label', input.getAttribute('aria-label') || 'Add a tag');
+    const suggestionList = document.createElement('ul');
+    suggestionList.className = 'tag-suggestions';
+    suggestionList.hidden = true;
+
+    if (input.id) {
+      // Keep <label for="..."> pointing at something that takes focus
+      field.id = input.id;
+      input.removeAttribute('id');
+    }
+
+    wrapper.append(chipList, field, suggestionList);
+    input.after(wrapper);
+    input.hidden = true;
+
+    let tags = parseTags(input.value);
+    let suggestions = [];
+    let highlighted = -1;
+    let debounceTimer = null;
+    let lookup = 0;
+
+    function render() {
+      chipList.innerHTML = '';
+      tags.forEach(tag => {
+        const chip = document.createElement('span');
+        chip.className = 'tag-chip';
+        chip.textContent = tag;
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'tag-chip-remove';
+        removeBtn.setAttribute('aria-label', `Remove ${tag}`);
+        removeBtn.textContent = '×';
+        removeBtn.addEventListener('click', () => removeTag(tag));
+        chip.appendChild(removeBtn);
+        chipList.appendChild(chip);
+      });
+      input.value = tags.join(', ');
+    }
+
+    function addTag(raw) {
+      const tag = normalizeTag(raw);
+      if (tag && !tags.includes(tag)) {
+        tags.push(tag);
+        render();
+      }
+      field.value = '';
+      hideSuggestions();
+    }
+
+    function removeTag(tag) {
+      tags = tags.filter(existing => existing !== tag);
+      render();
+      field.focus();
+    }
+
+    // Text typed but not yet turned into a chip still counts
+    function commitPending() {
+      if (field.value.trim()) addTag(field.value);
+    }
+
+    function hideSuggestions() {
+      suggestions = [];
+      highlighted = -1;
+      suggestionList.hidden = true;
+    }
+
+    function renderSuggestions() {
+      suggestionList.innerHTML = '';
+      suggestions.forEach((suggestion, index) => {
+        const item = document.createElement('li');
+        item.className = index === highlighted ? 'highlighted' : '';
+        item.textContent = suggestion.name;
+        const count = document.createElement('span');
+        count.className = 'tag-suggestion-count';
+        count.textContent = suggestion.count;
+        item.appendChild(count);
+        // mousedown fires before the field loses focus
+        item.addEventListener('mousedown', (e) => {
+          e.preventDefault();
+          addTag(suggestion.name);
+        });
+        suggestionList.appendChild(item);
+      });
+      suggestionList.hidden = suggestions.length === 0;
+    }
+
+    async function updateSuggestions() {
+      const prefix = normalizeTag(field.value);
+      if (!prefix) {
+        hideSuggestions();
+        return;
+      }
+
+      const current = ++lookup;
+      try {
+        const found = await fetchSuggestions(prefix);
+        if (current !== lookup) return;
+        suggestions = found.filter(suggestion => !tags.includes(suggestion.name));
+        highlighted = -1;
+        renderSuggestions();
+      } catch (error) {
+        // Offline: typing still works, just without suggestions
+        hideSuggestions();
+      }
+    }
+
+    field.addEventListener('input', () => {
+      if (field.value.includes(',')) {
+        const parts = field.value.split(',');
+        field.value = parts.pop();
+        parts.forEach(addTag);
+      }
+      clearTimeout(debounceTimer);
+      debounceTimer = setTimeout(updateSuggestions, DEBOUNCE_MS);
+    });
+
+    field.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        // Don't submit the form while a tag is being typed
+        if (field.value.trim() || highlighted >= 0) {
+          e.preventDefault();
+          addTag(highlighted >= 0 ? suggestions[highlighted].name : field.value);
+        }
+      } else if (e.key === 'Backspace' && !field.value && tags.length) {
+        tags.pop();
+        render();
+      } else if (e.key === 'ArrowDown' && suggestions.length) {
+        e.preventDefault();
+        highlighted = (highlighted + 1) % suggestions.length;
+        renderSuggestions();
+      } else if (e.key === 'ArrowUp' && suggestions.length) {
+        e.preventDefault();
+        highlighted = highlighted <= 0 ? suggestions.length - 1 : highlighted - 1;
+        renderSuggestions();
+      } else if (e.key === 'Escape') {
+        hideSuggestions();
+      }
+    });
+
+    field.addEventListener('blur', () => {
+      commitPending();
+      hideSuggestions();
+    });
+
+    wrapper.addEventListener('click', (e) => {
+      if (e.target === wrapper || e.target === chipList) field.focus();
+    });
+
+    function refresh() {
+      tags = parseTags(input.value);
+      field.value = '';
+      hideSuggestions();
+      render();
+    }
+
+    if (input.form) {
+      // Capture so the tags are in the input before the form's own submit handler reads them
+      input.form.addEventListener('submit', commitPending, true);
+      // reset() restores the input's default value after this event
+      input.form.addEventListener('reset', () => setTimeout(refresh));
+    }
+
+    render();
+    return { refresh };
+  }
+
+  global.TagInput = {
+    attach
+  };
+})(window);
@@ -0,0 +1,162 @@
+const currency = require('../currency/rates');
+
+// Review states: "ok" passed the checks, "flagged" waits in the review queue,
+// "confirmed" was checked by a reviewer, "excluded" is left out of exports
+const REVIEW_STATUSES = ['ok', 'flagged', 'confirmed', 'excluded'];
+
+// Records scoring below this go to the review queue
+const REVIEW_THRESHOLD = process.env.QUALITY_REVIEW_THRESHOLD !== undefined
+  ? parseFloat(process.env.QUALITY_REVIEW_THRESHOLD)
+  : 70;
+
+// The hourly rate is only compared once there are enough records to compare against
+const MIN_SAMPLES = 20;
+
+// Robust z-scores (from the median and median absolute deviation) above
+// these count as unusual and as outliers
+const UNUSUAL_Z = 2.5;
+const OUTLIER_Z = 3.5;
+
+// Longer than this in one sitting usually means a price typed into the hours field
+const MAX_HOURS_PER_SESSION = 12;
+const MIN_HOURS = 0.25;
+
+// Fields the checks look at; changing one sends a reviewed record back through them
+const CHECKED_FIELDS = ['price', 'currency', 'timeInHours', 'sessions', 'tags'];
+
+// Hourly rates of the current records, cached so checks run synchronously on save
+let distribution = { sampleCount: 0, median: null, mad: null };
+
+function median(sorted) {
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Summarise the base-currency hourly rates of `records` on a log scale, where
+ * rates are roughly symmetric. Records without a rate for their currency are
+ * left out.
+ */
+function buildDistribution(records) {
+  const logRates = records
+    .map(record => currency.perHour(currency.toBase(record.price, record.currency), record.timeInHours))
+    .filter(rate => rate > 0)
+    .map(Math.log)
+    .sort((a, b) => a - b);
+
+  if (!logRates.length) {
+    return { sampleCount: 0, median: null, mad: null };
+  }
+
+  const center = median(logRates);
+  const deviations = logRates.map(rate => Math.abs(rate - center)).sort((a, b) => a - b);
+  return { sampleCount: logRates.length, median: center, mad: median(deviations) };
+}
+
+function setDistribution(next) {
+  distribution = next;
+}
+
+function getDistribution() {
+  return distribution;
+}
+
+// The typical hourly rate in the base currency, or null before there is enough data
+function typicalRate() {
+  if (distribution.sampleCount < MIN_SAMPLES) return null;
+  return Math.round(Math.exp(distribution.median) * 100) / 100;
+}
+
+function checkRate(record, issues) {
+  if (distribution.sampleCount < MIN_SAMPLES || !distribution.mad) return;
+
+  const rate = currency.perHour(currency.toBase(record.price, record.currency), record.timeInHours);
+  if (!(rate > 0)) return;
+
+  // 0.6745 scales the MAD to a standard deviation for normally distributed data
+  const z = 0.6745 * (Math.log(rate) - distribution.median) / distribution.mad;
+  const describe = how => `Hourly rate of ${rate.toFixed(2)} ${currency.BASE_CURRENCY} is ${how} ` +
+    `${z > 0 ? 'above' : 'below'} the typical ${typicalRate()}`;
+
+  if (Math.abs(z) > OUTLIER_Z) {
+    issues.push({ code: 'rate-outlier', penalty: 40, message: describe('far') });
+  } else if (Math.abs(z) > UNUSUAL_Z) {
+    issues.push({ code: 'rate-unusual', penalty: 15, message: describe('well') });
+  }
+}
+
+/**
+ * Score how plausible a record looks, from 100 down. Returns { score, issues,
+ * needsReview }, where each issue is { code, message }.
+ */
+function assessRecord(record) {
+  const issues = [];
+  const price = Number(record.price);
+  const hours = Number(record.timeInHours);
+  const sessions = record.sessions || 1;
+
+  if (!(hours > 0)) {
+    issues.push({ code: 'hours-invalid', penalty: 60, message: 'Time must be more than 0 hours' });
+  } else if (hours / sessions > MAX_HOURS_PER_SESSION) {
+    issues.push({
+      code: 'hours-extreme',
+      penalty: 40,
+      message: `${hours} hours${sessions > 1 ? ` over ${sessions} sessions` : ' in one session'} is unlikely; was the price entered as the time?`
+    });
+  } else if (hours < MIN_HOURS) {
+    issues.push({ code: 'hours-tiny', penalty: 25, message: `${hours} hours is under 15 minutes` });
+  }
+
+  if (!(price > 0)) {
+    issues.push({ code: 'price-zero', penalty: 30, message: 'Price is 0; check this was a free piece' });
+  } else if (hours > 0 && price < hours) {
+    issues.push({ code: 'price-below-hours', penalty: 40, message: 'Price is lower than the number of hours; were they swapped?' });
+  }
+
+  if (price > 0 && hours > 0) {
+    checkRate(record, issues);
+  }
+
+  if (!record.tags || !record.tags.length) {
+    issues.push({ code: 'tags-missing', penalty: 15, message: 'No tags' });
+  }
+
+  const score = Math.max(0, 100 - issues.reduce((total, issue) => total + issue.penalty, 0));
+  return {
+    score,
+    issues: issues.map(({ code, message }) => ({ code, message })),
+    needsReview: score < REVIEW_THRESHOLD
+  };
+}
+
+/**
+ * Store a fresh quality score on a Tattoo document and put it in the review
+ * queue when it needs a look. A status set in the same save (a reviewer's
+ * decision) is kept. An excluded record stays excluded until a reviewer
+ * changes that, and a confirmed one is only flagged again when one of the
+ * checked fields changes to values that need a look.
+ */
+function applyQuality(tattoo) {
+  const { score, issues, needsReview } = assessRecord(tattoo);
+  tattoo.quality = { score, issues, checkedAt: new Date() };
+
+  if (tattoo.isModified('reviewStatus') || tattoo.reviewStatus === 'excluded') return;
+  if (tattoo.reviewStatus === 'confirmed') {
+    if (needsReview && CHECKED_FIELDS.some(field => tattoo.isModified(field))) tattoo.reviewStatus = 'flagged';
+    return;
+  }
+
+  tattoo.reviewStatus = needsReview ? 'flagged' : 'ok';
+}
+
+module.exports = {
+  REVIEW_STATUSES,
+  REVIEW_THRESHOLD,
+  MIN_SAMPLES,
+  buildDistribution,
+  setDistribution,
+  getDistribution,
+  typicalRate,
+  assessRecord,
+  applyQuality
+};
@@ -0,0 +1,241 @@
+const express = require('express');
+const { Tattoo, parseTattooInput, tattooInputSchema } = require('../models/tattoo');
+const { parseTattooQuery, PAGE_PARAMETERS } = require('../models/tattooQuery');
+const { requireAdmin } = require('../auth');
+const { validate, sendValidationError, refs } = require('../validation');
+const currency = require('../currency/rates');
+const audit = require('../audit');
+const checks = require('./checks');
+
+// How often the hourly-rate distribution is rebuilt from the records
+const REFRESH_MINUTES = 15;
+
+// Rebuild the rate distribution the checks compare against. Excluded records don't count.
+async function loadDistribution() {
+  const records = await Tattoo.find({ reviewStatus: { $ne: 'excluded' } }, 'price currency timeInHours').lean();
+  checks.setDistribution(checks.buildDistribution(records));
+  console.log(`Quality checks compare against ${checks.getDistribution().sampleCount} hourly rates`);
+}
+
+function startSchedule() {
+  const timer = setInterval(() => {
+    loadDistribution().catch(error => console.error('Error refreshing quality distribution:', error));
+  }, REFRESH_MINUTES * 60 * 1000);
+  timer.unref();
+}
+
+function describeDistribution() {
+  return {
+    sampleCount: checks.getDistribution().sampleCount,
+    minSamples: checks.MIN_SAMPLES,
+    typicalRate: checks.typicalRate(),
+    currency: currency.BASE_CURRENCY,
+    threshold: checks.REVIEW_THRESHOLD
+  };
+}
+
+const REVIEW_ACTIONS = ['confirm', 'correct', 'exclude', 'reopen'];
+
+const distributionSchema = {
+  type: 'object',
+  properties: {
+    sampleCount: { type: 'integer' },
+    minSamples: { type: 'integer' },
+    typicalRate: { type: ['number', 'null'] },
+    currency: { type: 'string' },
+    threshold: { type: 'number', description: 'Records scoring below this are flagged' }
+  }
+};
+
+const router = express.Router();
+
+/**
+ * Records in one review state, lowest score first, a page at a time.
+ *
+ *   status        flagged (default), confirmed, excluded or ok
+ *   page, limit   as for GET /api/tattoos
+ */
+router.get('/api/review', requireAdmin, validate({
+  summary: 'List records by review state',
+  query: {
+    properties: {
+      status: { type: 'string', enum: checks.REVIEW_STATUSES, title: 'Status', description: 'flagged by default' },
+      ...PAGE_PARAMETERS
+    }
+  },
+  response: {
+    type: 'object',
+    properties: {
+      tattoos: { type: 'array', items: refs.tattoo },
+      status: { type: 'string' },
+      page: { type: 'integer' },
+      total: { type: 'integer' },
+      hasMore: { type: 'boolean' },
+      counts: { type: 'object', additionalProperties: { type: 'integer' }, description: 'Records in each review state' },
+      distribution: distributionSchema
+    }
+  }
+}), async (req, res) => {
+  const status = req.query.status || 'flagged';
+  if (!checks.REVIEW_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Status must be one of: ${checks.REVIEW_STATUSES.join(', ')}` });
+  }
+
+  let query;
+  try {
+    query = parseTattooQuery({ page: req.query.page, limit: req.query.limit });
+  } catch (queryError) {
+    return res.status(400).json({ error: queryError.message });
+  }
+
+  try {
+    const filter = { reviewStatus: status };
+    const [tattoos, total, counts] = await Promise.all([
+      Tattoo.find(filter).sort({ 'quality.score': 1, createdAt: -1, _id: -1 }).skip(query.skip).limit(query.limit)
+        .populate('owner', 'username displayName')
+        .populate('review.by', 'username displayName'),
+      Tattoo.countDocuments(filter),
+      Tattoo.aggregate([{ $group: { _id: '$reviewStatus', count: { $sum: 1 } } }])
+    ]);
+
+    res.json({
+      tattoos,
+      status,
+      page: query.page,
+      total,
+      hasMore: query.skip + tattoos.length < total,
+      counts: Object.fromEntries(checks.REVIEW_STATUSES.map(name => [
+        name,
+        (counts.find(count => count._id === name) || {}).count || 0
+      ])),
+      distribution: describeDistribution()
+    });
+  } catch (error) {
+    console.error('Error fetching review queue:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Score every record again, e.g. after the threshold changed or for records
+// saved before the checks existed. Reviewers' decisions are kept, and each
+// status that changes is recorded in the record's history.
+router.post('/api/review/rescore', requireAdmin, validate({
+  summary: 'Score every record again',
+  description: "Reviewers' decisions are kept. Each status change is recorded in the record's history.",
+  response: {
+    type: 'object',
+    properties: { success: { type: 'boolean' }, scored: { type: 'integer' }, flagged: { type: 'integer' } }
+  }
+}), async (req, res) => {
+  try {
+    await loadDistribution();
+
+    const operations = [];
+    const statusChanges = [];
+    let flagged = 0;
+    for await (const tattoo of Tattoo.find({}, 'price currency timeInHours sessions tags reviewStatus').lean().cursor()) {
+      const { score, issues, needsReview } = checks.assessRecord(tattoo);
+      const update = { quality: { score, issues, checkedAt: new Date() } };
+      if (!['confirmed', 'excluded'].includes(tattoo.reviewStatus)) {
+        update.reviewStatus = needsReview ? 'flagged' : 'ok';
+        if (needsReview) flagged++;
+        if (update.reviewStatus !== tattoo.reviewStatus) {
+          statusChanges.push({ _id: tattoo._id, from: tattoo.reviewStatus, to: update.reviewStatus });
+        }
+      }
+      operations.push({ updateOne: { filter: { _id: tattoo._id }, update: { $set: update } } });
+    }
+
+    if (operations.length) {
+      await Tattoo.bulkWrite(operations);
+    }
+    for (const { _id, from, to } of statusChanges) {
+      await audit.record('edited', _id, req.user, {
+        changes: [{ field: 'reviewStatus', from, to }],
+        note: 'Rescored'
+      });
+    }
+    console.log(`Admin ${req.user.username} rescored ${operations.length} records (${flagged} flagged)`);
+    res.json({ success: true, scored: operations.length, flagged });
+  } catch (error) {
+    console.error('Error rescoring records:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * Record a reviewer's decision on one record.
+ *
+ *   confirm   the values are right as they are
+ *   correct   apply the corrected fields sent in `values` and confirm
+ *   exclude   leave the record out of exports and the estimator
+ *   reopen    clear the decision and check the record again
+ */
+router.post('/api/review/:id', requireAdmin, validate({
+  summary: 'Record a review decision',
+  params: { properties: { id: { type: 'string', description: 'Tattoo ID' } } },
+  body: {
+    type: 'object',
+    required: ['action'],
+    properties: {
+      action: { type: 'string', enum: REVIEW_ACTIONS, title: 'Action' },
+      note: { type: 'string', maxLength: 1000, title: 'Note' },
+      values: { ...tattooInputSchema({ partial: true }), description: 'The corrected fields, for the correct action' }
+    }
+  },
+  response: { type: 'object', properties: { success: { type: 'boolean' }, tattoo: refs.tattoo } },
+  responses: { 404: { description: 'Tattoo not found' } }
+}), async (req, res) => {
+  const { action, note, values: corrections } = req.body;
+
+  try {
+    const tattoo = await Tattoo.findById(req.params.id);
+    if (!tattoo) {
+      return res.status(404).json({ error: 'Tattoo not found' });
+    }
+
+    const before = audit.snapshot(tattoo);
+    if (action === 'correct') {
+      const { values, ...failure } = parseTattooInput(corrections || {}, { partial: true });
+      if (!values) {
+        const fields = Object.entries(failure.fields).map(([field, message]) => [`values.${field}`, message]);
+        return sendValidationError(res, { error: failure.error, fields: Object.fromEntries(fields) });
+      }
+      tattoo.set(values);
+    }
+
+    if (action === 'reopen') {
+      tattoo.reviewStatus = checks.assessRecord(tattoo).needsReview ? 'flagged' : 'ok';
+      tattoo.review = undefined;
+    } else {
+      tattoo.reviewStatus = action === 'exclude' ? 'excluded' : 'confirmed';
+      tattoo.review = { by: req.user._id, at: new Date(), note: note ? String(note).trim() : undefined };
+    }
+
+    await tattoo.save();
+    await audit.record('reviewed', tattoo._id, req.user, {
+      changes: audit.diffSnapshots(before, audit.snapshot(tattoo)),
+      note: tattoo.review && tattoo.review.note
+    });
+    await tattoo.populate('owner', 'username displayName');
+    console.log(`Admin ${req.user.username} marked tattoo ${tattoo._id} ${tattoo.reviewStatus} (${action})`);
+
+    res.json({ success: true, tattoo });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ error: 'Tattoo not found' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error saving review decision:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = {
+  ...checks,
+  loadDistribution,
+  startSchedule,
+  router
+};
@@ -0,0 +1,83 @@
+// Run the data migrations in migrations/.
+//
+// Usage: npm run migrate -- [status | up | down] [--to <version>] [--dry-run]
+//
+//   status  list the migrations and which have been applied (the default)
+//   up      apply pending migrations, all of them or up to --to
+//   down    undo the most recent migration, or every one above --to
+require('dotenv').config();
+const mongoose = require('mongoose');
+const migrations = require('../migrations');
+
+const COMMANDS = ['status', 'up', 'down'];
+
+function parseArgs(argv) {
+  const args = { command: 'status', dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else if (arg === '--to') {
+      const to = Number(argv[++i]);
+      if (!Number.isInteger(to) || to < 0) {
+        throw new Error('--to needs a migration version, e.g. --to 1');
+      }
+      args.to = to;
+    } else if (COMMANDS.includes(arg)) {
+      args.command = arg;
+    } else {
+      throw new Error(`Unknown argument "${arg}". Usage: npm run migrate -- [${COMMANDS.join(' | ')}] [--to <version>] [--dry-run]`);
+    }
+  }
+  return args;
+}
+
+async function printStatus() {
+  const list = await migrations.status();
+  list.forEach(migration => {
+    const state = migration.applied ? `applied ${migration.appliedAt.toISOString()}` : 'pending';
+    const reversible = migration.reversible ? '' : ' (irreversible)';
+    console.log(`${migration.name}  ${state}${reversible}\n    ${migration.description}`);
+  });
+  if (!list.length) {
+    console.log('No migrations');
+  }
+}
+
+async function main() {
+  const { command, to, dryRun } = parseArgs(process.argv.slice(2));
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/tattoo-data', {
+    serverSelectionTimeoutMS: 5000,
+    family: 4
+  });
+
+  try {
+    if (command === 'status') {
+      await printStatus();
+      return;
+    }
+
+    const results = await migrations[command]({ to, dryRun });
+    if (!results.length) {
+      console.log(command === 'up' ? 'No pending migrations' : 'No migrations to undo');
+    }
+    const verb = command === 'up' ? 'applied' : 'undone';
+    results.forEach(({ name, changed, skipped }) => {
+      // Skipped records keep their older schemaVersion
+      const left = skipped ? `, ${skipped} skipped` : '';
+      if (dryRun) {
+        console.log(`${name}: would change ${changed} records${left} (dry run, nothing written)`);
+      } else {
+        console.log(`${name}: ${verb}, ${changed} records changed${left}`);
+      }
+    });
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
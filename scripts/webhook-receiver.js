@@ -0,0 +1,69 @@
+// A webhook receiver for trying out webhooks locally: prints each delivery and
+// checks its signature.
+//
+// Usage: npm run webhook-receiver -- [--port <port>] [--secret <secret>] [--status <code>]
+//
+//   --port    port to listen on (default 4000); register http://localhost:<port>/ as the webhook URL
+//   --secret  the webhook's secret (or WEBHOOK_SECRET); without it signatures aren't checked
+//   --status  answer every delivery with this status instead, e.g. 500 to watch the retries
+require('dotenv').config();
+const http = require('http');
+const { verifySignature } = require('../webhooks/signature');
+
+function parseArgs(argv) {
+  const args = { port: 4000, secret: process.env.WEBHOOK_SECRET || '', status: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--port' || arg === '--status') {
+      const value = Number(argv[++i]);
+      if (!Number.isInteger(value) || value <= 0) {
+        throw new Error(`${arg} needs a number, e.g. ${arg} ${arg === '--port' ? 4000 : 500}`);
+      }
+      args[arg.slice(2)] = value;
+    } else if (arg === '--secret') {
+      args.secret = argv[++i] || '';
+    } else {
+      throw new Error(`Unknown argument "${arg}". Usage: npm run webhook-receiver -- [--port <port>] [--secret <secret>] [--status <code>]`);
+    }
+  }
+  return args;
+}
+
+function main() {
+  const { port, secret, status } = parseArgs(process.argv.slice(2));
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      const problem = secret ? verifySignature(secret, req.headers, body) : null;
+      const answer = status || (problem ? 401 : 204);
+
+      console.log(`\n${new Date().toISOString()} ${req.method} ${req.url} ${req.headers['x-webhook-event'] || ''} -> ${answer}`);
+      console.log(`  delivery ${req.headers['x-webhook-id'] || '(none)'}, signature ${secret ? (problem || 'valid') : 'not checked'}`);
+      try {
+        console.log(JSON.stringify(JSON.parse(body), null, 2));
+      } catch (error) {
+        console.log(body);
+      }
+
+      res.writeHead(answer);
+      res.end();
+    });
+  });
+
+  server.listen(port, () => {
+    console.log(`Webhook receiver listening on http://localhost:${port}/`);
+    if (!secret) {
+      console.log('No --secret given, so signatures are not checked');
+    }
+  });
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
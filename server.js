@@ -1,146 +1,222 @@
 const express = require('express');
 const mongoose = require('mongoose');
-const multer = require('multer');
 const path = require('path');
 const cors = require('cors');
-const fs = require('fs');
-const cloudinary = require('cloudinary').v2;
 require('dotenv').config();
-
-// Configure Cloudinary
-const cloudinaryConfig = {
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-};
-
-// Validate Cloudinary credentials
-if (!cloudinaryConfig.cloud_name || !cloudinaryConfig.api_key || !cloudinaryConfig.api_secret) {
-  console.error('⚠️ Missing Cloudinary credentials in environment variables!');
-  console.error('Please ensure CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, and CLOUDINARY_API_SECRET are set.');
-} else {
-  console.log('Cloudinary configuration found with cloud name:', cloudinaryConfig.cloud_name);
-}
-
-cloudinary.config(cloudinaryConfig);
+const storage = require('./storage');
+const { Tattoo, parseTattooInput, tattooInputSchema } = require('./models/tattoo');
+const { parseTattooQuery, PAGE_PARAMETERS, FILTER_PARAMETERS, SORT_PARAMETERS } = require('./models/tattooQuery');
+const auth = require('./auth');
+const estimator = require('./estimator');
+const dataExport = require('./export');
+const dataImport = require('./import');
+const duplicates = require('./duplicates');
+const imaging = require('./imaging/pipeline');
+const currency = require('./currency');
+const tags = require('./tags');
+const quality = require('./quality');
+const audit = require('./audit');
+const trash = require('./trash');
+const stats = require('./stats');
+const consent = require('./consent');
+const integrity = require('./integrity');
+const journal = require('./journal');
+const webhooks = require('./webhooks');
+const monitoring = require('./monitoring');
+const migrations = require('./migrations');
+const validation = require('./validation');
+const { imageFields, imageFieldSchemas, uploadedImages } = require('./upload');
 
 const app = express();
 const PORT = process.env.PORT || 3000; // Standard port for Render
 
 // Ensure uploads directory exists
-const uploadsDir = path.join(__dirname, 'uploads');
-if (!fs.existsSync(uploadsDir)) {
-  console.log('Creating uploads directory...');
-  fs.mkdirSync(uploadsDir, { recursive: true });
-}
+storage.local.ensureDir();
+
+// Only origins listed in CORS_ORIGINS (comma separated) may call the API from other sites
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
 
 // Middleware
-app.use(cors());
+app.use(monitoring.requestMetrics);
+app.use('/api', validation.errorEnvelope);
+app.use(cors({ origin: corsOrigins.length ? corsOrigins : false, credentials: true }));
 app.use(express.json());
+app.use(monitoring.router);
 app.use(express.static('public'));
-app.use('/uploads', express.static('uploads'));
+app.use('/uploads', express.static(storage.local.uploadsDir));
+app.use(auth.authenticate);
+app.use(auth.router);
+app.use(estimator.router);
+app.use(dataImport.router);
+app.use(duplicates.router);
+app.use(currency.router);
+app.use(tags.router);
+app.use(quality.router);
+app.use(audit.router);
+app.use(trash.router);
+app.use(stats.router);
+app.use(consent.router);
+app.use(integrity.router);
+app.use(journal.router);
+app.use(webhooks.router);
+app.use(validation.router);
 
-// Set up multer for file uploads - use memory storage for Cloudinary
-const storage = multer.memoryStorage();
+// Resize and strip the uploaded files; returns null after sending a 400 if one isn't a readable image
+async function processUploadsOrReject(uploads, res) {
+  try {
+    return await imaging.processUploads(uploads);
+  } catch (processingError) {
+    console.error('Error processing uploaded image:', processingError);
+    res.status(400).json({ error: 'Unsupported or damaged image file' });
+    return null;
+  }
+}
 
-const upload = multer({ 
-  storage: storage,
-  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit to match client-side iOS check
-  fileFilter: function(req, file, cb) {
-    const filetypes = /jpeg|jpg|png|gif/;
-    const extname = filetypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = filetypes.test(file.mimetype);
-    
-    if (mimetype && extname) {
-      return cb(null, true);
-    } else {
-      cb('Error: Images only!');
+// Keep a submission in the journal until the database is back, and tell the
+// client it has been accepted rather than saved
+async function journalSubmission(res, submission) {
+  const entry = await journal.append(submission);
+  res.status(202).json({
+    success: true,
+    queued: true,
+    submissionId: entry.submissionId,
+    message: 'The database is unavailable. The tattoo has been received and will be saved when it is back.'
+  });
+}
+
+// The multipart form of the create and update endpoints: the tattoo's fields and its image files
+function tattooFormSchema(options) {
+  const schema = tattooInputSchema(options);
+  return {
+    ...schema,
+    properties: {
+      ...schema.properties,
+      ...imageFieldSchemas,
+      submissionId: { type: 'string', maxLength: 100, description: 'Chosen by the client so a resend of the same submission is only saved once' },
+      allowDuplicate: { type: 'boolean', description: 'Save even if an image looks like one already in the dataset' }
     }
-  }
-});
+  };
+}
 
-// MongoDB Schema for tattoo data
-const tattooSchema = new mongoose.Schema({
-  imageUrl: {
-    type: String,
-    required: true
-  },
-  price: {
-    type: Number,
-    required: true
-  },
-  timeInHours: {
-    type: Number,
-    required: true
-  },
-  tags: [String],
-  createdAt: {
-    type: Date,
-    default: Date.now
+const savedTattooSchema = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    tattoo: validation.refs.tattoo,
+    duplicates: { type: 'array', items: { type: 'object' }, description: 'Records with similar images' }
   }
-});
+};
 
-const Tattoo = mongoose.model('Tattoo', tattooSchema);
+const tattooIdParams = { properties: { id: { type: 'string', description: 'Tattoo ID' } } };
 
 // API endpoints
-app.post('/api/tattoos', upload.single('image'), async (req, res) => {
+app.post('/api/tattoos', auth.requireAuth, imageFields, validation.validate({
+  summary: 'Submit a tattoo',
+  description: 'Needs at least one image. While the database is unavailable the submission is kept in the journal and answered with 202.',
+  multipart: true,
+  body: tattooFormSchema({ requireConsent: true }),
+  responses: {
+    200: { description: 'This submissionId was already saved; the saved record', schema: savedTattooSchema },
+    201: { description: 'Saved', schema: savedTattooSchema },
+    202: { description: 'Queued until the database is back' },
+    409: { description: 'An image looks like one already in the dataset; resend with allowDuplicate to save anyway' }
+  }
+}), async (req, res) => {
   try {
     // Log request information including user agent
     console.log('Request received from:', req.headers['user-agent']);
     
-    if (!req.file) {
+    const submissionId = typeof req.body.submissionId === 'string' ? req.body.submissionId.trim() : '';
+    
+    const uploads = uploadedImages(req);
+    if (!uploads.length) {
       return res.status(400).json({ error: 'No image uploaded' });
     }
 
-    const { price, timeInHours, tags } = req.body;
-    
-    // Convert and validate timeInHours
-    let parsedTimeInHours;
-    try {
-      parsedTimeInHours = parseFloat(timeInHours);
-      if (isNaN(parsedTimeInHours)) {
-        return res.status(400).json({ error: 'Time must be a valid number' });
-      }
-    } catch (parseError) {
-      console.error('Error parsing timeInHours:', timeInHours, parseError);
-      return res.status(400).json({ error: 'Invalid time format' });
+    // Validate price, time, tags, the structured detail fields and the client's consent
+    const { values, ...failure } = parseTattooInput(req.body, { requireConsent: true });
+    if (!values) {
+      return validation.sendValidationError(res, failure);
     }
     
-    console.log('Parsed timeInHours:', parsedTimeInHours);
+    console.log('Parsed timeInHours:', values.timeInHours);
     
-    if (!price || !timeInHours) {
-      return res.status(400).json({ error: 'Price and time are required' });
-    }
+    const processed = await processUploadsOrReject(uploads, res);
+    if (!processed) return;
     
-    // Upload to Cloudinary
-    const fileBuffer = req.file.buffer;
-    const fileType = req.file.mimetype;
+    const submission = {
+      processed,
+      values: { ...values, currency: values.currency || req.user.defaultCurrency || undefined },
+      owner: req.user._id,
+      submissionId
+    };
+    // While the database is down, submissions are written to the journal instead (see journal/)
+    if (!journal.isDatabaseAvailable()) {
+      return journalSubmission(res, submission);
+    }
     
-    // Convert buffer to data URI
-    const dataURI = `data:${fileType};base64,${fileBuffer.toString('base64')}`;
+    let hashes;
+    let matches;
+    try {
+      // A resend of something already saved (e.g. the response was lost) returns the saved record
+      if (submissionId) {
+        const existing = await Tattoo.findOne({ submissionId }).setOptions({ withTrashed: true });
+        if (existing) {
+          console.log('Submission already saved as tattoo', existing._id);
+          return res.json({ success: true, tattoo: existing, duplicates: [], alreadySaved: true });
+        }
+      }
+      
+      // Look for images that are already in the dataset
+      hashes = await Promise.all(processed.map(({ image }) => duplicates.safeHash(image.buffer)));
+      matches = await duplicates.findDuplicates(hashes);
+    } catch (lookupError) {
+      // The database is gone but the driver hadn't noticed yet
+      if (journal.isUnavailableError(lookupError)) {
+        return journalSubmission(res, submission);
+      }
+      throw lookupError;
+    }
+    if (duplicates.shouldReject(matches, req.body)) {
+      return res.status(409).json({ error: 'This image looks like one that has already been submitted', duplicates: matches });
+    }
     
+    let images = [];
     try {
-      console.log('Starting Cloudinary upload, file size:', fileBuffer.length, 'bytes');
-      // Upload to Cloudinary
-      const cloudinaryResult = await cloudinary.uploader.upload(dataURI, {
-        folder: 'tattoo-data', // Creates a folder in your Cloudinary account
-        resource_type: 'image'
-      });
-      console.log('Cloudinary upload successful, URL:', cloudinaryResult.secure_url);
+      // Upload to the configured storage backend
+      images = await storage.storeImages(processed, hashes);
       
       const newTattoo = new Tattoo({
-        imageUrl: cloudinaryResult.secure_url, // Use the Cloudinary URL
-        price: parseFloat(price),
-        timeInHours: parsedTimeInHours, // Use the validated value
-        tags: tags ? tags.split(',').map(tag => tag.trim()) : []
+        images,
+        owner: submission.owner,
+        submissionId: submissionId || undefined,
+        ...submission.values
       });
 
       await newTattoo.save();
-      console.log('Tattoo saved to database with ID:', newTattoo._id);
-      res.status(201).json({ success: true, tattoo: newTattoo });
-    } catch (cloudinaryError) {
-      console.error('Error during upload or database save:', cloudinaryError);
-      return res.status(500).json({ error: 'Failed to process upload', details: cloudinaryError.message });
+      await audit.record('created', newTattoo._id, req.user);
+      console.log('Tattoo saved to database with ID:', newTattoo._id, `(${images.length} images)`);
+      if (matches.length) {
+        console.log(`Tattoo ${newTattoo._id} has ${matches.length} possible duplicate(s)`);
+      }
+      res.status(201).json({ success: true, tattoo: newTattoo, duplicates: matches });
+    } catch (uploadError) {
+      // Don't leave uploaded images behind if the record wasn't saved
+      await storage.deleteImages(images);
+      
+      // The same submission was saved by a concurrent resend
+      if (uploadError.code === 11000 && submissionId) {
+        const existing = await Tattoo.findOne({ submissionId }).setOptions({ withTrashed: true });
+        if (existing) {
+          return res.json({ success: true, tattoo: existing, duplicates: [], alreadySaved: true });
+        }
+      }
+      // The database went away mid-request
+      if (journal.isUnavailableError(uploadError)) {
+        return journalSubmission(res, submission);
+      }
+      console.error('Error during upload or database save:', uploadError);
+      return res.status(500).json({ error: 'Failed to process upload' });
     }
   } catch (error) {
     console.error('Error saving tattoo data:', error);
@@ -148,56 +224,225 @@ app.post('/api/tattoos', upload.single('image'), async (req, res) => {
   }
 });
 
-app.get('/api/tattoos', async (req, res) => {
+// List tattoos a page at a time, with optional filters and sorting (see models/tattooQuery.js)
+app.get('/api/tattoos', validation.validate({
+  summary: 'List tattoos',
+  description: 'Visitors who are not signed in only see records the client agreed to make public.',
+  query: { properties: { ...PAGE_PARAMETERS, ...FILTER_PARAMETERS, ...SORT_PARAMETERS } },
+  response: {
+    type: 'object',
+    properties: {
+      tattoos: { type: 'array', items: validation.refs.tattoo },
+      page: { type: 'integer' },
+      limit: { type: 'integer' },
+      total: { type: 'integer' },
+      totalPages: { type: 'integer' },
+      hasMore: { type: 'boolean' },
+      unfilteredTotal: { type: 'integer', description: 'Visible records before filtering' }
+    }
+  }
+}), async (req, res) => {
+  let query;
+  try {
+    query = parseTattooQuery(req.query);
+  } catch (queryError) {
+    return res.status(400).json({ error: queryError.message });
+  }
+  
+  // Visitors who aren't signed in only see records the client agreed to make public,
+  // and never the client reference
+  const visible = req.user ? {} : { 'consent.scope': { $in: consent.scopesAllowing('public') } };
+  const hidden = req.user ? '' : '-consent.clientRef';
+  
   try {
-    const tattoos = await Tattoo.find().sort({ createdAt: -1 });
-    res.json(tattoos);
+    const [tattoos, total, unfilteredTotal] = await Promise.all([
+      Tattoo.find({ ...query.filter, ...visible }).select(hidden).sort(query.sort).skip(query.skip).limit(query.limit)
+        .populate('owner', 'username displayName'),
+      Tattoo.countDocuments({ ...query.filter, ...visible }),
+      Tattoo.countDocuments(visible)
+    ]);
+    
+    res.json({
+      tattoos,
+      page: query.page,
+      limit: query.limit,
+      total,
+      totalPages: Math.ceil(total / query.limit),
+      hasMore: query.skip + tattoos.length < total,
+      unfilteredTotal
+    });
   } catch (error) {
     console.error('Error fetching tattoo data:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Delete a tattoo
-app.delete('/api/tattoos/:id', async (req, res) => {
+// Update a tattoo's details. Any image files sent are added to its images.
+app.patch('/api/tattoos/:id', auth.requireAuth, imageFields, validation.validate({
+  summary: 'Update a tattoo',
+  description: 'Only the fields sent are changed; a blank optional field clears it. Image files sent are added to the record.',
+  params: tattooIdParams,
+  multipart: true,
+  body: tattooFormSchema({ partial: true }),
+  response: savedTattooSchema,
+  responses: {
+    403: { description: 'Not your tattoo' },
+    404: { description: 'Tattoo not found' },
+    409: { description: 'An image looks like one already in the dataset; resend with allowDuplicate to save anyway' }
+  }
+}), async (req, res) => {
   try {
-    const tattooId = req.params.id;
-    
-    // Find the tattoo to get its image URL
-    const tattoo = await Tattoo.findById(tattooId);
+    const tattoo = await Tattoo.findById(req.params.id);
     
     if (!tattoo) {
       return res.status(404).json({ error: 'Tattoo not found' });
     }
     
-    // Extract the public ID from the Cloudinary URL
-    const urlParts = tattoo.imageUrl.split('/');
-    const publicIdWithExtension = urlParts[urlParts.length - 1];
-    const publicId = 'tattoo-data/' + publicIdWithExtension.split('.')[0];
+    if (!auth.canModify(req.user, tattoo)) {
+      return res.status(403).json({ error: 'You can only edit your own tattoos' });
+    }
+    
+    // Same rules as creation, applied only to the fields that were sent
+    const { values, ...failure } = parseTattooInput(req.body, { partial: true });
+    if (!values) {
+      return validation.sendValidationError(res, failure);
+    }
+    
+    // New images are checked against every other tattoo
+    const processed = await processUploadsOrReject(uploadedImages(req), res);
+    if (!processed) return;
+    const hashes = await Promise.all(processed.map(({ image }) => duplicates.safeHash(image.buffer)));
+    const matches = await duplicates.findDuplicates(hashes, { excludeTattooId: tattoo._id });
+    if (duplicates.shouldReject(matches, req.body)) {
+      return res.status(409).json({ error: 'This image looks like one that has already been submitted', duplicates: matches });
+    }
     
-    console.log(`Attempting to delete image with public ID: ${publicId}`);
+    let added = [];
+    const before = audit.snapshot(tattoo);
     
-    // Delete from Cloudinary
     try {
-      const cloudinaryResult = await cloudinary.uploader.destroy(publicId);
-      console.log('Cloudinary delete result:', cloudinaryResult);
-    } catch (cloudinaryError) {
-      console.error('Error deleting from Cloudinary:', cloudinaryError);
-      // Continue with database deletion even if Cloudinary delete fails
+      added = await storage.storeImages(processed, hashes);
+      
+      tattoo.set(values);
+      added.forEach(image => tattoo.images.push(image));
+      await tattoo.save();
+      await tattoo.populate('owner', 'username displayName');
+      
+      const changes = audit.diffSnapshots(before, audit.snapshot(tattoo));
+      if (changes.length) await audit.record('edited', tattoo._id, req.user, { changes });
+      console.log('Tattoo updated with ID:', tattoo._id);
+    } catch (updateError) {
+      console.error('Error during image upload or database update:', updateError);
+      
+      // Don't leave new images behind if the record wasn't updated
+      await storage.deleteImages(added);
+      
+      if (updateError.name === 'ValidationError') {
+        return res.status(400).json({ error: updateError.message });
+      }
+      return res.status(500).json({ error: 'Failed to update tattoo' });
+    }
+    
+    res.json({ success: true, tattoo, duplicates: matches });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ error: 'Tattoo not found' });
+    }
+    console.error('Error updating tattoo:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete a single image from a tattoo. The last image can't be removed.
+app.delete('/api/tattoos/:id/images/:imageId', auth.requireAuth, validation.validate({
+  summary: 'Delete an image from a tattoo',
+  params: { properties: { ...tattooIdParams.properties, imageId: { type: 'string', description: 'Image ID' } } },
+  response: { type: 'object', properties: { success: { type: 'boolean' }, tattoo: validation.refs.tattoo } },
+  responses: {
+    403: { description: 'Not your tattoo' },
+    404: { description: 'Tattoo or image not found' }
+  }
+}), async (req, res) => {
+  try {
+    const tattoo = await Tattoo.findById(req.params.id);
+    
+    if (!tattoo) {
+      return res.status(404).json({ error: 'Tattoo not found' });
+    }
+    
+    if (!auth.canModify(req.user, tattoo)) {
+      return res.status(403).json({ error: 'You can only edit your own tattoos' });
+    }
+    
+    const image = tattoo.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    
+    if (tattoo.images.length === 1) {
+      return res.status(400).json({ error: 'A tattoo needs at least one image; delete the tattoo instead' });
+    }
+    
+    const removed = image.toObject();
+    const before = audit.snapshot(tattoo);
+    tattoo.images.pull(image._id);
+    await tattoo.save();
+    await storage.deleteImages([removed]);
+    await audit.record('edited', tattoo._id, req.user, { changes: audit.diffSnapshots(before, audit.snapshot(tattoo)) });
+    await tattoo.populate('owner', 'username displayName');
+    
+    res.json({ success: true, tattoo });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ error: 'Tattoo not found' });
+    }
+    console.error('Error deleting image:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Move a tattoo to the trash. Its images are kept until the trash is purged (see trash/).
+app.delete('/api/tattoos/:id', auth.requireAuth, validation.validate({
+  summary: 'Move a tattoo to the trash',
+  params: tattooIdParams,
+  response: {
+    type: 'object',
+    properties: { success: { type: 'boolean' }, message: { type: 'string' }, retentionDays: { type: 'integer' } }
+  },
+  responses: {
+    403: { description: 'Not your tattoo' },
+    404: { description: 'Tattoo not found' }
+  }
+}), async (req, res) => {
+  try {
+    const tattoo = await Tattoo.findById(req.params.id);
+    
+    if (!tattoo) {
+      return res.status(404).json({ error: 'Tattoo not found' });
+    }
+    
+    if (!auth.canModify(req.user, tattoo)) {
+      return res.status(403).json({ error: 'You can only delete your own tattoos' });
     }
     
-    // Delete from database
-    await Tattoo.findByIdAndDelete(tattooId);
+    tattoo.deletedAt = new Date();
+    tattoo.deletedBy = req.user._id;
+    await tattoo.save();
+    await audit.record('deleted', tattoo._id, req.user);
+    console.log(`Tattoo ${tattoo._id} moved to the trash by ${req.user.username}`);
     
-    res.json({ success: true, message: 'Tattoo deleted successfully' });
+    res.json({ success: true, message: 'Tattoo moved to the trash', retentionDays: trash.RETENTION_DAYS });
   } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ error: 'Tattoo not found' });
+    }
     console.error('Error deleting tattoo:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
 // Simple uploads browser
-app.get('/uploads-browser', (req, res) => {
+app.get('/uploads-browser', auth.requireAdminPage, (req, res) => {
   res.send(`
     <html>
       <head>
@@ -226,16 +471,22 @@ app.get('/uploads-browser', (req, res) => {
         <div class="header">
           <h1>Uploads Browser</h1>
           <div>
+            <a href="/import.html" class="btn">Import Data</a>
+            <a href="/export.html" class="btn">Export Data</a>
+            <a href="/duplicates.html" class="btn">Duplicates</a>
             <a href="/download-data" class="btn">Download JSON Data</a>
           </div>
         </div>
         
         <div class="tabs">
           <div class="tab active" data-tab="files">Files</div>
-          <div class="tab" data-tab="diagnostics">Diagnostics</div>
+          <div class="tab" data-tab="orphans">Orphans</div>
           <div class="tab" data-tab="missing">Missing Files</div>
+          <div class="tab" data-tab="diagnostics">Diagnostics</div>
         </div>
         
+        <div id="message"></div>
+        
         <div id="files" class="tab-content active">
           <div class="info">
             <p>Loading file information from the server...</p>
@@ -245,23 +496,30 @@ app.get('/uploads-browser', (req, res) => {
           </div>
         </div>
         
-        <div id="diagnostics" class="tab-content">
-          <h2>Server Information</h2>
-          <div id="serverInfo" class="info">
-            <div class="loading">Loading server info...</div>
+        <div id="orphans" class="tab-content">
+          <h2>Orphans</h2>
+          <p>Files in storage that no record uses, including records in the trash. Files added in the last hour are left out, as their record may still be being saved.</p>
+          <p><button type="button" class="btn" id="deleteOrphansBtn" hidden>Delete selected</button></p>
+          <div id="orphanGrid" class="image-grid">
+            <div class="loading">Checking for orphans...</div>
           </div>
-          <p><strong>Storage Provider:</strong> Cloudinary</p>
-          <p>Your images are stored securely on Cloudinary's cloud storage.</p>
         </div>
         
         <div id="missing" class="tab-content">
           <h2>Missing Files</h2>
-          <p>These are files referenced in the database but not found on disk:</p>
+          <p>These are files referenced in the database but not found in storage, or whose storage couldn't be checked:</p>
           <div id="missingFiles">
             <div class="loading">Checking for missing files...</div>
           </div>
         </div>
         
+        <div id="diagnostics" class="tab-content">
+          <h2>Server Information</h2>
+          <div id="serverInfo" class="info">
+            <div class="loading">Loading server info...</div>
+          </div>
+        </div>
+        
         <script>
           // Tab switching functionality
           document.querySelectorAll('.tab').forEach(tab => {
@@ -279,6 +537,108 @@ app.get('/uploads-browser', (req, res) => {
             });
           });
           
+          function escapeHTML(text) {
+            const div = document.createElement('div');
+            div.textContent = text === undefined || text === null ? '' : String(text);
+            return div.innerHTML;
+          }
+          
+          function showMessage(text, type) {
+            document.getElementById('message').innerHTML = \`<div class="\${type}">\${escapeHTML(text)}</div>\`;
+          }
+          
+          async function postAction(url, body) {
+            const response = await fetch(url, {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify(body)
+            });
+            const result = await response.json();
+            if (!response.ok) {
+              throw new Error(result.error || 'Request failed');
+            }
+            return result;
+          }
+          
+          function renderFiles(data) {
+            const fileGrid = document.getElementById('fileGrid');
+            if (data.files.length === 0) {
+              fileGrid.innerHTML = '<p>No files found on the server.</p>';
+              return;
+            }
+            
+            fileGrid.innerHTML = data.files.map(file => \`
+              <div class="image-item">
+                <span class="badge">\${escapeHTML(file.driver)}</span>
+                <a href="\${escapeHTML(file.path)}" target="_blank">
+                  <img src="\${escapeHTML(file.path)}" alt="\${escapeHTML(file.name)}" onerror="this.src='/img/placeholder.svg'; this.onerror=null;">
+                  <div class="image-name">\${escapeHTML(file.name)}</div>
+                </a>
+                <div class="image-info">
+                  <small>Created: \${new Date(file.created).toLocaleDateString()}</small>
+                  <small>\${file.used ? '' : ' · Not linked to a record'}</small>
+                </div>
+              </div>
+            \`).join('');
+          }
+          
+          function renderOrphans(data) {
+            const orphanGrid = document.getElementById('orphanGrid');
+            const deleteBtn = document.getElementById('deleteOrphansBtn');
+            deleteBtn.hidden = data.orphans.length === 0;
+            if (data.orphans.length === 0) {
+              orphanGrid.innerHTML = '<p>No orphaned files.</p>';
+              return;
+            }
+            
+            orphanGrid.innerHTML = data.orphans.map((file, index) => \`
+              <div class="image-item">
+                <span class="badge">\${escapeHTML(file.driver)}</span>
+                <a href="\${escapeHTML(file.url)}" target="_blank">
+                  <img src="\${escapeHTML(file.url)}" alt="\${escapeHTML(file.name)}" onerror="this.src='/img/placeholder.svg'; this.onerror=null;">
+                </a>
+                <label class="image-name"><input type="checkbox" class="orphan-select" data-index="\${index}" checked> \${escapeHTML(file.name)}</label>
+              </div>
+            \`).join('');
+          }
+          
+          // Orphans that could stand in for a missing file: same-named ones first
+          function relinkOptions(missing, orphans) {
+            const candidateKeys = missing.candidates.map(file => file.driver + ':' + file.key);
+            const sorted = orphans
+              .map((file, index) => ({ file, index, suggested: candidateKeys.includes(file.driver + ':' + file.key) }))
+              .filter(option => option.file.driver === missing.driver || missing.status === 'unreachable')
+              .sort((a, b) => b.suggested - a.suggested);
+            return sorted.map(option => \`<option value="\${option.index}">\${option.suggested ? '★ ' : ''}\${escapeHTML(option.file.name)}</option>\`).join('');
+          }
+          
+          function renderMissing(data) {
+            const missingFilesDiv = document.getElementById('missingFiles');
+            if (data.missingFiles.length === 0) {
+              missingFilesDiv.innerHTML = '<p>No missing files.</p>';
+              return;
+            }
+            
+            missingFilesDiv.innerHTML = data.missingFiles.map((file, index) => {
+              const options = relinkOptions(file, data.orphans);
+              const repairLabel = file.kind === 'thumbnail' ? 'Make a new thumbnail' : 'Remove from record';
+              return \`
+                <div class="missing-file">
+                  <p><strong>\${file.status === 'missing' ? 'Missing' : 'Unreachable'} \${escapeHTML(file.kind)}</strong> (\${escapeHTML(file.role)}): \${escapeHTML(file.reason)}</p>
+                  <p><strong>URL in database:</strong> \${escapeHTML(file.url)}</p>
+                  <p><strong>Record ID:</strong> \${escapeHTML(file.tattooId)}\${file.trashed ? ' (in the trash)' : ''}</p>
+                  <p>
+                    \${options ? \`<select class="relink-select" data-index="\${index}">\${options}</select>
+                    <button type="button" class="btn relink-btn" data-index="\${index}">Re-link</button>\` : ''}
+                    <button type="button" class="btn repair-btn" data-index="\${index}">\${repairLabel}</button>
+                  </p>
+                </div>
+              \`;
+            }).join('');
+          }
+          
+          let report = null;
+          
           // Load file data from API
           async function loadServerFiles() {
             try {
@@ -288,58 +648,72 @@ app.get('/uploads-browser', (req, res) => {
               if (!response.ok) {
                 throw new Error(data.error || 'Failed to fetch server files');
               }
+              report = data;
               
               // Update server info
               const serverInfoDiv = document.getElementById('serverInfo');
               serverInfoDiv.innerHTML = \`
-                <p><strong>Environment:</strong> \${data.serverInfo.environment}</p>
-                <p><strong>Storage:</strong> \${data.serverInfo.storage}</p>
+                <p><strong>Environment:</strong> \${escapeHTML(data.serverInfo.environment)}</p>
+                <p><strong>Storage:</strong> \${escapeHTML(data.serverInfo.storage)}</p>
                 <p><strong>Total files:</strong> \${data.serverInfo.totalFiles}</p>
+                <p><strong>Orphans:</strong> \${data.orphans.length} · <strong>Missing:</strong> \${data.missingFiles.length}</p>
+                \${data.serverInfo.drivers.map(driver => \`<p><strong>\${escapeHTML(driver.label)}:</strong> \${driver.error ? escapeHTML(driver.error) : driver.files + ' files'}</p>\`).join('')}
+                <p><strong>Checked:</strong> \${new Date(data.serverInfo.checkedAt).toLocaleString()}</p>
               \`;
+              document.querySelector('[data-tab="orphans"]').textContent = \`Orphans (\${data.orphans.length})\`;
+              document.querySelector('[data-tab="missing"]').textContent = \`Missing Files (\${data.missingFiles.length})\`;
               
-              // Display files
-              const fileGrid = document.getElementById('fileGrid');
-              if (data.files.length === 0) {
-                fileGrid.innerHTML = '<p>No files found on the server.</p>';
-                return;
-              }
-              
-              fileGrid.innerHTML = data.files.map(file => \`
-                <div class="image-item">
-                  <span class="badge">Cloudinary</span>
-                  <a href="\${file.path}" target="_blank">
-                    <img src="\${file.path}" alt="\${file.name}" onerror="this.src='/placeholder.png'; this.onerror=null;">
-                    <div class="image-name">\${file.name}</div>
-                  </a>
-                  <div class="image-info">
-                    <small>Created: \${new Date(file.created).toLocaleDateString()}</small>
-                  </div>
-                </div>
-              \`).join('');
-              
-              // Display missing files
-              const missingFilesDiv = document.getElementById('missingFiles');
-              if (data.missingFiles.length === 0) {
-                missingFilesDiv.innerHTML = '<p>No missing files with Cloudinary storage.</p>';
-              } else {
-                missingFilesDiv.innerHTML = data.missingFiles.map(file => \`
-                  <div class="missing-file">
-                    <p><strong>Filename:</strong> \${file.filename}</p>
-                    <p><strong>URL in database:</strong> \${file.url}</p>
-                    <p><strong>Record ID:</strong> \${file.id}</p>
-                  </div>
-                \`).join('');
-              }
+              renderFiles(data);
+              renderOrphans(data);
+              renderMissing(data);
             } catch (error) {
               console.error('Error loading server files:', error);
               document.getElementById('fileGrid').innerHTML = \`
                 <div class="error">
-                  <p>Error loading files: \${error.message}</p>
+                  <p>Error loading files: \${escapeHTML(error.message)}</p>
                 </div>
               \`;
             }
           }
           
+          document.getElementById('deleteOrphansBtn').addEventListener('click', async () => {
+            const files = Array.from(document.querySelectorAll('.orphan-select:checked'))
+              .map(input => report.orphans[input.dataset.index])
+              .map(file => ({ driver: file.driver, key: file.key }));
+            if (!files.length || !confirm(\`Delete \${files.length} orphaned files from storage? This cannot be undone.\`)) return;
+            
+            try {
+              const result = await postAction('/api/server-files/delete-orphans', { files });
+              showMessage(\`Deleted \${result.deleted.length} files\${result.skipped.length ? \`, skipped \${result.skipped.length}\` : ''}.\`, 'info');
+              loadServerFiles();
+            } catch (error) {
+              showMessage(error.message, 'error');
+            }
+          });
+          
+          document.getElementById('missingFiles').addEventListener('click', async (e) => {
+            const button = e.target.closest('.relink-btn, .repair-btn');
+            if (!button) return;
+            const missing = report.missingFiles[button.dataset.index];
+            const target = { tattooId: missing.tattooId, imageId: missing.imageId, kind: missing.kind };
+            
+            try {
+              if (button.classList.contains('relink-btn')) {
+                const select = document.querySelector(\`.relink-select[data-index="\${button.dataset.index}"]\`);
+                const file = report.orphans[select.value];
+                await postAction('/api/server-files/relink', { ...target, file: { driver: file.driver, key: file.key } });
+                showMessage(\`Re-linked the \${missing.kind} to \${file.name}.\`, 'info');
+              } else {
+                if (missing.kind === 'image' && !confirm('Remove this image from its record?')) return;
+                await postAction('/api/server-files/repair', target);
+                showMessage(missing.kind === 'thumbnail' ? 'Made a new thumbnail.' : 'Removed the image from its record.', 'info');
+              }
+              loadServerFiles();
+            } catch (error) {
+              showMessage(error.message, 'error');
+            }
+          });
+          
           // Load data when page loads
           document.addEventListener('DOMContentLoaded', loadServerFiles);
         </script>
@@ -348,67 +722,10 @@ app.get('/uploads-browser', (req, res) => {
   `);
 });
 
-// Data download endpoint
-app.get('/download-data', async (req, res) => {
-  try {
-    // Get all tattoo data from MongoDB
-    const tattoos = await Tattoo.find().sort({ createdAt: -1 });
-    
-    // Create a JSON file with the data
-    const dataJson = JSON.stringify(tattoos, null, 2);
-    
-    // Set headers for file download
-    res.setHeader('Content-Disposition', `attachment; filename=tattoo-data-${new Date().toISOString().slice(0,10)}.json`);
-    res.setHeader('Content-Type', 'application/json');
-    
-    // Send the file
-    res.send(dataJson);
-  } catch (error) {
-    console.error('Error creating data download:', error);
-    res.status(500).send(`Error: ${error.message}`);
-  }
-});
-
-// API endpoint to list files from Cloudinary
-app.get('/api/server-files', async (req, res) => {
-  try {
-    // Get MongoDB records
-    const tattoos = await Tattoo.find();
-    
-    // Create a representation of files from Cloudinary URLs
-    const files = tattoos.map(tattoo => {
-      // Extract the filename from the Cloudinary URL
-      const urlParts = tattoo.imageUrl.split('/');
-      const filenameWithExtension = urlParts[urlParts.length - 1];
-      const publicId = filenameWithExtension.split('.')[0];
-      
-      return {
-        name: filenameWithExtension,
-        path: tattoo.imageUrl, // Cloudinary URL
-        size: 'Stored on Cloudinary',
-        created: tattoo.createdAt,
-        used: true,
-        tattooId: tattoo._id
-      };
-    });
-    
-    res.json({
-      serverInfo: {
-        environment: process.env.NODE_ENV || 'development',
-        storage: 'Cloudinary',
-        totalFiles: files.length
-      },
-      files: files,
-      missingFiles: [] // No missing files with Cloudinary
-    });
-  } catch (error) {
-    console.error('Error listing files:', error);
-    res.status(500).json({
-      error: error.message,
-      stack: error.stack
-    });
-  }
-});
+// Data download endpoints: JSON by default, or CSV/JSONL/zip with fields,
+// filters and a train/val/test split (see export/index.js for the options)
+app.get('/download-data', auth.requireAdminPage, dataExport.handleExport);
+app.get('/api/export', auth.requireAdmin, validation.validate(dataExport.apiSpec), dataExport.handleExport);
 
 // Error handler for 404 (Not Found)
 app.use((req, res, next) => {
@@ -420,12 +737,20 @@ app.use((req, res, next) => {
 
 // Global error handler
 app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
-  
   if (req.path.startsWith('/api/')) {
-    return res.status(500).json({ error: 'Internal server error', message: err.message });
+    // Malformed bodies and rejected uploads are answered like validation failures
+    const { status, error, fields } = validation.apiErrorResponse(err);
+    if (status === 400) {
+      return validation.sendValidationError(res, { error, fields });
+    }
+    if (status >= 500) {
+      console.error('Unhandled error:', err);
+    }
+    return res.status(status).json({ error, ...(fields ? { fields } : {}) });
   }
   
+  console.error('Unhandled error:', err);
+  
   res.status(500).sendFile(path.join(__dirname, 'public', 'error.html'));
 });
 
@@ -433,11 +758,12 @@ app.use((err, req, res, next) => {
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   
-  // Connect to MongoDB after server has started with retry logic
-  const connectWithRetry = (retryCount = 0, maxRetries = 5) => {
+  // Connect to MongoDB after server has started, retrying until it succeeds.
+  // Submissions made in the meantime wait in the journal (see journal/).
+  const connectWithRetry = (retryCount = 0) => {
     const retryDelay = Math.min(Math.pow(2, retryCount) * 1000, 30000); // Exponential backoff with max 30s delay
     
-    console.log(`Attempting to connect to MongoDB (attempt ${retryCount + 1} of ${maxRetries + 1})`);
+    console.log(`Attempting to connect to MongoDB (attempt ${retryCount + 1})`);
     
     mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/tattoo-data', {
       serverSelectionTimeoutMS: 5000, // Timeout after 5s instead of 30s default
@@ -445,16 +771,27 @@ app.listen(PORT, () => {
     })
     .then(() => {
       console.log('Connected to MongoDB successfully');
+      migrations.pending()
+        .then(pending => {
+          if (pending.length) {
+            console.warn(`⚠️ ${pending.length} data migration(s) not applied: ${pending.map(migration => migration.name).join(', ')}. Run npm run migrate -- up`);
+          }
+        })
+        .catch(error => console.error('Error checking data migrations:', error));
+      currency.loadRates().catch(error => console.error('Error loading currency rates:', error));
+      tags.loadVocabulary().catch(error => console.error('Error loading tag vocabulary:', error));
+      quality.loadDistribution().catch(error => console.error('Error loading quality distribution:', error));
+      quality.startSchedule();
+      trash.startSchedule();
+      estimator.startSchedule();
+      journal.startSchedule();
+      webhooks.startSchedule();
     })
     .catch(err => {
       console.error('MongoDB connection error:', err);
-      
-      if (retryCount < maxRetries) {
-        console.log(`Retrying connection in ${retryDelay}ms...`);
-        setTimeout(() => connectWithRetry(retryCount + 1, maxRetries), retryDelay);
-      } else {
-        console.error('Maximum retry attempts reached. Please check your MongoDB connection.');
-      }
+      monitoring.metrics.databaseConnectFailures.inc();
+      console.log(`Retrying connection in ${retryDelay}ms...`);
+      setTimeout(() => connectWithRetry(retryCount + 1), retryDelay);
     });
   };
   
@@ -0,0 +1,238 @@
+const express = require('express');
+const { Tattoo } = require('../models/tattoo');
+const { parseTattooQuery, FILTER_PARAMETERS } = require('../models/tattooQuery');
+const { requireAuth } = require('../auth');
+const { validate } = require('../validation');
+const currency = require('../currency/rates');
+
+// $dateToString formats for the "records over time" series
+const INTERVAL_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+const HISTOGRAM_BUCKETS = 12;
+
+// Categories with fewer records than this are reported as needing more samples
+const DEFAULT_TARGET = 30;
+
+/**
+ * The record's price in the base currency as an aggregation expression, using
+ * the cached conversion rates. Null when its currency has no rate.
+ */
+function basePriceExpression() {
+  const branches = currency.knownCurrencies()
+    .filter(code => currency.rateFor(code) !== null)
+    .map(code => ({ case: { $eq: [{ $ifNull: ['$currency', currency.DEFAULT_CURRENCY] }, code] }, then: currency.rateFor(code) }));
+
+  return { $multiply: ['$price', { $switch: { branches, default: null } }] };
+}
+
+// Histogram with rounded (1-2-5) bucket edges, which reads well for skewed values like prices
+function histogram(field) {
+  return [
+    { $match: { [field]: { $gt: 0 } } },
+    { $bucketAuto: { groupBy: `$${field}`, buckets: HISTOGRAM_BUCKETS, granularity: '1-2-5' } },
+    { $project: { _id: 0, min: '$_id.min', max: '$_id.max', count: 1 } }
+  ];
+}
+
+function countBy(field) {
+  return [
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $project: { _id: 0, name: '$_id', count: 1 } }
+  ];
+}
+
+// Medians are worked out here rather than with $median, which needs MongoDB 7
+function median(values) {
+  if (!values.length) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const value = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Read stats options from query parameters.
+ *
+ *   interval          day, week or month (default) for records over time
+ *   target            records a category should have (default 30); smaller ones are marked
+ *   includeExcluded   "true" to count records a reviewer excluded
+ *   ...filters        the same filters as GET /api/tattoos (price, hours, tags, dates)
+ *
+ * Throws an Error with a user-facing message when an option is invalid.
+ */
+function parseStatsOptions(query) {
+  const interval = query.interval || 'month';
+  if (!INTERVAL_FORMATS[interval]) {
+    throw new Error(`Interval must be one of: ${Object.keys(INTERVAL_FORMATS).join(', ')}`);
+  }
+
+  const target = query.target === undefined || query.target === '' ? DEFAULT_TARGET : Number(query.target);
+  if (!Number.isInteger(target) || target < 1) {
+    throw new Error('Target must be a whole number of at least 1');
+  }
+
+  const { filter } = parseTattooQuery({ ...query, page: undefined, limit: undefined, sort: undefined, order: undefined });
+  if (!['true', '1', 'on'].includes(String(query.includeExcluded).toLowerCase())) {
+    filter.reviewStatus = { $ne: 'excluded' };
+  }
+
+  return { interval, target, filter };
+}
+
+async function computeStats({ interval, target, filter }) {
+  const [result] = await Tattoo.aggregate([
+    { $match: filter },
+    { $addFields: { basePrice: basePriceExpression() } },
+    {
+      $addFields: {
+        basePricePerHour: {
+          $cond: [
+            { $and: [{ $gt: ['$timeInHours', 0] }, { $ne: ['$basePrice', null] }] },
+            { $divide: ['$basePrice', '$timeInHours'] },
+            null
+          ]
+        }
+      }
+    },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        overTime: [
+          { $group: { _id: { $dateToString: { format: INTERVAL_FORMATS[interval], date: '$createdAt' } }, count: { $sum: 1 } } },
+          { $sort: { _id: 1 } },
+          { $project: { _id: 0, period: '$_id', count: 1 } }
+        ],
+        priceHistogram: histogram('basePrice'),
+        hoursHistogram: histogram('timeInHours'),
+        rates: [
+          { $match: { basePricePerHour: { $ne: null } } },
+          { $group: { _id: null, values: { $push: '$basePricePerHour' } } }
+        ],
+        ratesByTag: [
+          { $match: { basePricePerHour: { $ne: null } } },
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', values: { $push: '$basePricePerHour' } } }
+        ],
+        tags: [{ $unwind: '$tags' }, ...countBy('tags')],
+        styles: countBy('style'),
+        placements: countBy('placement'),
+        colorModes: countBy('colorMode')
+      }
+    }
+  ]);
+
+  const rates = result.rates.length ? result.rates[0].values : [];
+  const withTarget = counts => counts.map(entry => ({ ...entry, needsMore: entry.count < target }));
+
+  return {
+    total: result.total.length ? result.total[0].count : 0,
+    currency: currency.BASE_CURRENCY,
+    interval,
+    overTime: result.overTime,
+    priceHistogram: result.priceHistogram,
+    hoursHistogram: result.hoursHistogram,
+    pricePerHour: {
+      median: median(rates),
+      count: rates.length,
+      byTag: result.ratesByTag
+        .map(({ _id, values }) => ({ tag: _id, median: median(values), count: values.length }))
+        .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+    },
+    coverage: {
+      target,
+      tags: withTarget(result.tags),
+      styles: withTarget(result.styles),
+      placements: withTarget(result.placements),
+      colorModes: withTarget(result.colorModes)
+    }
+  };
+}
+
+const countsSchema = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: { name: { type: 'string' }, count: { type: 'integer' }, needsMore: { type: 'boolean' } }
+  }
+};
+
+const histogramSchema = {
+  type: 'array',
+  items: { type: 'object', properties: { min: { type: 'number' }, max: { type: 'number' }, count: { type: 'integer' } } }
+};
+
+const router = express.Router();
+
+// Dataset summary for the dashboard (public/stats.html)
+router.get('/api/stats', requireAuth, validate({
+  summary: 'Summarise the dataset',
+  description: 'Prices are in the base currency; records in a currency without a rate are left out of price figures.',
+  query: {
+    properties: {
+      interval: { type: 'string', enum: Object.keys(INTERVAL_FORMATS), title: 'Interval', description: 'month by default' },
+      target: { type: 'integer', minimum: 1, title: 'Target', description: `Records each category should have, ${DEFAULT_TARGET} by default` },
+      includeExcluded: { type: 'boolean', description: 'Count records a reviewer excluded' },
+      ...FILTER_PARAMETERS
+    }
+  },
+  response: {
+    type: 'object',
+    properties: {
+      total: { type: 'integer' },
+      currency: { type: 'string' },
+      interval: { type: 'string' },
+      overTime: {
+        type: 'array',
+        items: { type: 'object', properties: { period: { type: 'string' }, count: { type: 'integer' } } }
+      },
+      priceHistogram: histogramSchema,
+      hoursHistogram: histogramSchema,
+      pricePerHour: {
+        type: 'object',
+        properties: {
+          median: { type: ['number', 'null'] },
+          count: { type: 'integer' },
+          byTag: {
+            type: 'array',
+            items: { type: 'object', properties: { tag: { type: 'string' }, median: { type: 'number' }, count: { type: 'integer' } } }
+          }
+        }
+      },
+      coverage: {
+        type: 'object',
+        properties: {
+          target: { type: 'integer' },
+          tags: countsSchema,
+          styles: countsSchema,
+          placements: countsSchema,
+          colorModes: countsSchema
+        }
+      }
+    }
+  }
+}), async (req, res) => {
+  let options;
+  try {
+    options = parseStatsOptions(req.query);
+  } catch (optionsError) {
+    return res.status(400).json({ error: optionsError.message });
+  }
+
+  try {
+    res.json(await computeStats(options));
+  } catch (error) {
+    console.error('Error computing stats:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = {
+  parseStatsOptions,
+  computeStats,
+  router
+};
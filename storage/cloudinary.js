@@ -0,0 +1,136 @@
+const https = require('https');
+const cloudinary = require('cloudinary').v2;
+
+// Folder that every upload is placed in on the Cloudinary account
+const FOLDER = 'tattoo-data';
+
+const cloudinaryConfig = {
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET
+};
+
+function isConfigured() {
+  return Boolean(cloudinaryConfig.cloud_name && cloudinaryConfig.api_key && cloudinaryConfig.api_secret);
+}
+
+if (isConfigured()) {
+  cloudinary.config(cloudinaryConfig);
+}
+
+// Download a remote file into a buffer
+function fetchBuffer(url) {
+  return new Promise((resolve, reject) => {
+    https.get(url, (response) => {
+      if (response.statusCode !== 200) {
+        response.resume();
+        return reject(new Error(`Failed to fetch ${url}: HTTP ${response.statusCode}`));
+      }
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => resolve({
+        buffer: Buffer.concat(chunks),
+        contentType: response.headers['content-type']
+      }));
+    }).on('error', reject);
+  });
+}
+
+async function put(buffer, { mimetype }) {
+  // Convert buffer to data URI
+  const dataURI = `data:${mimetype};base64,${buffer.toString('base64')}`;
+
+  console.log('Starting Cloudinary upload, file size:', buffer.length, 'bytes');
+  const result = await cloudinary.uploader.upload(dataURI, {
+    folder: FOLDER,
+    resource_type: 'image'
+  });
+  console.log('Cloudinary upload successful, URL:', result.secure_url);
+
+  return { key: result.public_id, url: result.secure_url };
+}
+
+async function get(key) {
+  return fetchBuffer(cloudinary.url(key, { secure: true }));
+}
+
+async function remove(key) {
+  const result = await cloudinary.uploader.destroy(key);
+  console.log('Cloudinary delete result:', result);
+  // Usually a wrong public ID rather than an already deleted file, so don't let it pass quietly
+  if (result.result === 'not found') {
+    console.warn(`Cloudinary has no image ${key}; check for it with the storage integrity check on /uploads-browser`);
+  }
+}
+
+async function list() {
+  const files = [];
+  let nextCursor;
+
+  do {
+    const page = await cloudinary.api.resources({
+      type: 'upload',
+      prefix: `${FOLDER}/`,
+      max_results: 500,
+      next_cursor: nextCursor
+    });
+    page.resources.forEach(resource => {
+      files.push({
+        key: resource.public_id,
+        name: `${resource.public_id.split('/').pop()}.${resource.format}`,
+        url: resource.secure_url,
+        size: resource.bytes,
+        created: resource.created_at
+      });
+    });
+    nextCursor = page.next_cursor;
+  } while (nextCursor);
+
+  return files;
+}
+
+// Readiness check: the credentials work and the Admin API answers. Admin API
+// calls are rate limited per hour, so callers should not ping on every request.
+async function ping() {
+  if (!isConfigured()) {
+    throw new Error('Cloudinary credentials are not set');
+  }
+  await cloudinary.api.ping();
+}
+
+// Records created before storage keys were saved only have the URL, so the
+// public ID is re-derived from it: everything after the version segment
+// (".../upload/v1712345678/tattoo-data/abc.jpg") without the extension.
+// Public IDs can contain folders and dots, so only the last extension is dropped.
+function keyFromUrl(url) {
+  const pathname = url.split('?')[0];
+  const uploadIndex = pathname.indexOf('/upload/');
+  if (uploadIndex === -1) {
+    return `${FOLDER}/${pathname.split('/').pop().replace(/\.[^.]+$/, '')}`;
+  }
+
+  const segments = pathname.slice(uploadIndex + '/upload/'.length).split('/');
+  const versionIndex = segments.findIndex(segment => /^v\d+$/.test(segment));
+  let idSegments;
+  if (versionIndex !== -1) {
+    idSegments = segments.slice(versionIndex + 1);
+  } else if (segments.includes(FOLDER)) {
+    // No version: skip any transformations before the folder
+    idSegments = segments.slice(segments.indexOf(FOLDER));
+  } else {
+    idSegments = segments.slice(-1);
+  }
+  return decodeURIComponent(idSegments.join('/')).replace(/\.[^./]+$/, '');
+}
+
+module.exports = {
+  name: 'cloudinary',
+  label: 'Cloudinary',
+  isConfigured,
+  put,
+  get,
+  delete: remove,
+  list,
+  ping,
+  keyFromUrl
+};
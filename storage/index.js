@@ -0,0 +1,157 @@
+const cloudinary = require('./cloudinary');
+const local = require('./local');
+const metrics = require('../monitoring/metrics');
+
+const drivers = { cloudinary, local };
+
+// STORAGE_DRIVER picks the backend explicitly; without it Cloudinary is used
+// when its credentials are present and local disk otherwise
+function selectDriver() {
+  const requested = (process.env.STORAGE_DRIVER || '').trim().toLowerCase();
+
+  if (requested && !drivers[requested]) {
+    console.error(`⚠️ Unknown STORAGE_DRIVER "${requested}", expected one of: ${Object.keys(drivers).join(', ')}`);
+  }
+
+  if (requested === 'local') {
+    return local;
+  }
+
+  if (!cloudinary.isConfigured()) {
+    if (requested === 'cloudinary') {
+      console.error('⚠️ Missing Cloudinary credentials in environment variables!');
+      console.error('Please ensure CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, and CLOUDINARY_API_SECRET are set.');
+    }
+    console.log('Falling back to local disk storage in', local.uploadsDir);
+    return local;
+  }
+
+  return cloudinary;
+}
+
+const active = selectDriver();
+console.log('Image storage driver:', active.label);
+
+function getDriver(name) {
+  const driver = name ? drivers[name] : active;
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return driver;
+}
+
+// Work out which driver and key hold an image ({ url, key, driver } as stored
+// on a tattoo). Images saved before keys were recorded only have the URL, so
+// the driver is inferred from it (local files are served from /uploads) and
+// the key is re-derived.
+function locate(image) {
+  const driver = image.driver
+    ? getDriver(image.driver)
+    : (image.url.startsWith('/uploads/') ? local : cloudinary);
+
+  return {
+    driver: driver.name,
+    key: image.key || driver.keyFromUrl(image.url)
+  };
+}
+
+// Run a storage operation, counting failures for /metrics
+async function track(driver, operation, run) {
+  try {
+    return await run();
+  } catch (error) {
+    metrics.storageErrors.inc({ driver: driver.name, operation });
+    throw error;
+  }
+}
+
+async function put(buffer, meta) {
+  const result = await track(active, 'put', () => active.put(buffer, meta));
+  return { driver: active.name, ...result };
+}
+
+function get(key, driverName) {
+  const driver = getDriver(driverName);
+  return track(driver, 'get', () => driver.get(key));
+}
+
+function remove(key, driverName) {
+  const driver = getDriver(driverName);
+  return track(driver, 'delete', () => driver.delete(key));
+}
+
+function list(driverName) {
+  const driver = getDriver(driverName);
+  return track(driver, 'list', () => driver.list());
+}
+
+function ping(driverName) {
+  const driver = getDriver(driverName);
+  return track(driver, 'ping', () => driver.ping());
+}
+
+// Best-effort removal of images and their thumbnails; failures are logged, not thrown
+async function deleteImages(images) {
+  const files = [];
+  images.forEach(image => {
+    files.push(image);
+    if (image.thumbnail) files.push(image.thumbnail);
+  });
+
+  for (const file of files) {
+    const { key, driver } = locate(file);
+    console.log(`Attempting to delete image ${key} from ${driver} storage`);
+    try {
+      await remove(key, driver);
+    } catch (storageError) {
+      console.error('Error deleting image from storage:', storageError);
+    }
+  }
+}
+
+// Upload each processed image (see imaging/pipeline.js) and its thumbnail to
+// the configured storage backend and return the image entries to save on the
+// tattoo, with their perceptual hashes. If one upload fails, the ones already
+// stored are removed again.
+async function storeImages(processed, hashes = []) {
+  const images = [];
+  try {
+    for (const [index, { role, originalname, image, thumbnail }] of processed.entries()) {
+      const stored = await put(image.buffer, { mimetype: image.mimetype, originalname });
+      const entry = {
+        url: stored.url,
+        key: stored.key,
+        driver: stored.driver,
+        width: image.width,
+        height: image.height,
+        role,
+        phash: hashes[index] || undefined
+      };
+      images.push(entry);
+
+      const storedThumbnail = await put(thumbnail.buffer, { mimetype: thumbnail.mimetype, originalname });
+      entry.thumbnail = { url: storedThumbnail.url, key: storedThumbnail.key, driver: storedThumbnail.driver };
+    }
+  } catch (error) {
+    await deleteImages(images);
+    throw error;
+  }
+  return images;
+}
+
+module.exports = {
+  name: active.name,
+  label: active.label,
+  driverNames: Object.keys(drivers),
+  isConfigured: (driverName) => getDriver(driverName).isConfigured(),
+  labelFor: (driverName) => getDriver(driverName).label,
+  put,
+  get,
+  delete: remove,
+  list,
+  ping,
+  locate,
+  deleteImages,
+  storeImages,
+  local
+};
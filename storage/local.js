@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Served by the /uploads static mount in server.js; on Render this is the attached disk
+const uploadsDir = process.env.UPLOADS_DIR
+  ? path.resolve(process.env.UPLOADS_DIR)
+  : path.join(__dirname, '..', 'uploads');
+
+const URL_PREFIX = '/uploads/';
+
+const extensionsByMimetype = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/heic': '.heic'
+};
+
+const mimetypesByExtension = Object.entries(extensionsByMimetype).reduce((map, [mimetype, ext]) => {
+  map[ext] = mimetype;
+  return map;
+}, { '.jpeg': 'image/jpeg' });
+
+function ensureDir() {
+  if (!fs.existsSync(uploadsDir)) {
+    console.log('Creating uploads directory...');
+    fs.mkdirSync(uploadsDir, { recursive: true });
+  }
+}
+
+// Keys are bare file names; reject anything that could escape the uploads directory
+function resolveKey(key) {
+  if (!key || path.basename(key) !== key || key.startsWith('.')) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return path.join(uploadsDir, key);
+}
+
+async function put(buffer, { mimetype, originalname }) {
+  ensureDir();
+
+  const ext = extensionsByMimetype[mimetype] || path.extname(originalname || '').toLowerCase() || '.bin';
+  const key = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}${ext}`;
+
+  console.log('Writing upload to local disk, file size:', buffer.length, 'bytes');
+  await fs.promises.writeFile(resolveKey(key), buffer);
+
+  return { key, url: URL_PREFIX + key };
+}
+
+async function get(key) {
+  const buffer = await fs.promises.readFile(resolveKey(key));
+  return {
+    buffer,
+    contentType: mimetypesByExtension[path.extname(key).toLowerCase()] || 'application/octet-stream'
+  };
+}
+
+async function remove(key) {
+  try {
+    await fs.promises.unlink(resolveKey(key));
+  } catch (error) {
+    // Already gone is as good as deleted
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+async function list() {
+  ensureDir();
+
+  const entries = await fs.promises.readdir(uploadsDir, { withFileTypes: true });
+  const files = await Promise.all(entries
+    .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+    .map(async (entry) => {
+      const stats = await fs.promises.stat(path.join(uploadsDir, entry.name));
+      return {
+        key: entry.name,
+        name: entry.name,
+        url: URL_PREFIX + entry.name,
+        size: stats.size,
+        created: stats.birthtime.getTime() ? stats.birthtime : stats.mtime
+      };
+    }));
+
+  return files;
+}
+
+// Readiness check: the uploads directory exists and can be written to
+async function ping() {
+  ensureDir();
+  await fs.promises.access(uploadsDir, fs.constants.W_OK);
+}
+
+function keyFromUrl(url) {
+  return path.basename(url.split('?')[0]);
+}
+
+module.exports = {
+  name: 'local',
+  label: 'Local disk',
+  uploadsDir,
+  ensureDir,
+  isConfigured: () => true,
+  put,
+  get,
+  delete: remove,
+  list,
+  ping,
+  keyFromUrl
+};
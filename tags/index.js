@@ -0,0 +1,312 @@
+const express = require('express');
+const { Tattoo } = require('../models/tattoo');
+const { Tag } = require('../models/tag');
+const { requireAdmin } = require('../auth');
+const { validate } = require('../validation');
+const audit = require('../audit');
+const vocabulary = require('./vocabulary');
+
+const DEFAULT_SUGGESTIONS = 10;
+
+function tagList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return Array.from(new Set(list.map(vocabulary.normalizeTag).filter(Boolean)));
+}
+
+// Usage count of every tag on the records
+async function tagCounts() {
+  const counts = await Tattoo.aggregate([
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(({ _id, count }) => [_id, count]));
+}
+
+/**
+ * Rewrite the tags of every record matching `filter` (trashed ones included,
+ * so a restored record comes back with the same tags as the rest) with
+ * `rewrite(tags)`. Each changed record gets an audit entry with `note`.
+ * Returns the number of records changed.
+ */
+async function rewriteTags(filter, rewrite, user, note) {
+  const changed = [];
+  const cursor = Tattoo.find(filter, 'tags').setOptions({ withTrashed: true }).lean().cursor();
+  for await (const tattoo of cursor) {
+    const tags = rewrite(tattoo.tags);
+    if (tags.join(',') !== tattoo.tags.join(',')) {
+      changed.push({ _id: tattoo._id, from: tattoo.tags, to: tags });
+    }
+  }
+
+  if (changed.length) {
+    // bulkWrite doesn't run the query hooks, so trashed records aren't hidden here
+    await Tattoo.bulkWrite(changed.map(({ _id, to }) => ({
+      updateOne: { filter: { _id }, update: { $set: { tags: to } } }
+    })));
+  }
+  for (const { _id, from, to } of changed) {
+    await audit.record('edited', _id, user, { changes: [{ field: 'tags', from, to }], note });
+  }
+  return changed.length;
+}
+
+/**
+ * Replace every tag in `from` with `to` on all records, keeping each record's
+ * tag order and dropping the repeat when a record already has `to`. `user`
+ * and `note` go in each changed record's audit entry.
+ * Returns the number of records changed.
+ */
+function replaceTags(from, to, user, note) {
+  return rewriteTags({ tags: { $in: from } }, tags => {
+    const replaced = tags.map(tag => (from.includes(tag) ? to : tag));
+    return replaced.filter((tag, index) => replaced.indexOf(tag) === index);
+  }, user, note);
+}
+
+function vocabularyErrorMessage(error) {
+  if (error.code === 11000) return 'That tag is already in the vocabulary';
+  return null;
+}
+
+const vocabularyParams = { properties: { name: { type: 'string', description: 'The tag' } } };
+
+const router = express.Router();
+
+/**
+ * Tags in use with how many records have each, most used first. Vocabulary
+ * tags nobody has used yet are included with a count of 0.
+ *
+ *   q       only tags starting with this (or with a synonym starting with it)
+ *   limit   at most this many tags
+ */
+router.get('/api/tags', validate({
+  summary: 'List tags with their usage',
+  query: {
+    properties: {
+      q: { type: 'string', description: 'Only tags starting with this' },
+      limit: { type: 'integer', minimum: 1, title: 'Limit' }
+    }
+  },
+  response: {
+    type: 'object',
+    properties: {
+      mode: { type: 'string', description: 'How tags outside the vocabulary are treated' },
+      tags: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            count: { type: 'integer' },
+            inVocabulary: { type: 'boolean' },
+            synonyms: { type: 'array', items: { type: 'string' } }
+          }
+        }
+      }
+    }
+  }
+}), async (req, res) => {
+  try {
+    const [counts, entries] = await Promise.all([tagCounts(), Tag.find().lean()]);
+    const synonymsByName = new Map(entries.map(entry => [entry.name, entry.synonyms]));
+    const names = new Set([...counts.keys(), ...synonymsByName.keys()]);
+
+    const prefix = req.query.q ? vocabulary.normalizeTag(req.query.q) : '';
+    let tags = Array.from(names)
+      .map(name => ({
+        name,
+        count: counts.get(name) || 0,
+        inVocabulary: synonymsByName.has(name),
+        synonyms: synonymsByName.get(name) || []
+      }))
+      .filter(tag => !prefix || tag.name.startsWith(prefix) || tag.synonyms.some(synonym => synonym.startsWith(prefix)))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+
+    const limit = parseInt(req.query.limit, 10) || (prefix ? DEFAULT_SUGGESTIONS : 0);
+    if (limit > 0) tags = tags.slice(0, limit);
+
+    res.json({ mode: vocabulary.VOCABULARY_MODE, tags });
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Add a vocabulary tag, or replace the synonyms of an existing one
+router.put('/api/tags/vocabulary/:name', requireAdmin, validate({
+  summary: 'Add a vocabulary tag or replace its synonyms',
+  description: 'Records using one of the synonyms are moved to the tag.',
+  params: vocabularyParams,
+  body: {
+    type: 'object',
+    properties: { synonyms: { type: ['array', 'string'], items: { type: 'string' }, description: 'A list or comma separated' } }
+  },
+  response: {
+    type: 'object',
+    properties: { success: { type: 'boolean' }, tag: { type: 'object' }, updated: { type: 'integer' } }
+  }
+}), async (req, res) => {
+  try {
+    const name = vocabulary.normalizeTag(req.params.name);
+    if (!name) {
+      return res.status(400).json({ error: 'Tag name is required' });
+    }
+
+    const synonyms = tagList(req.body.synonyms).filter(synonym => synonym !== name);
+    const clash = await Tag.findOne({
+      name: { $ne: name },
+      $or: [{ name: { $in: synonyms } }, { synonyms: { $in: [name, ...synonyms] } }]
+    });
+    if (clash) {
+      return res.status(400).json({ error: `"${clash.name}" already uses one of these names; merge the tags instead` });
+    }
+
+    const tag = await Tag.findOneAndUpdate({ name }, { name, synonyms }, { upsert: true, new: true });
+    await vocabulary.loadVocabulary();
+
+    // Records already using a synonym move to the canonical tag
+    const updated = synonyms.length
+      ? await replaceTags(synonyms, name, req.user, `Moved synonyms of "${name}" to the tag`)
+      : 0;
+    console.log(`Admin ${req.user.username} saved vocabulary tag "${name}" (${synonyms.length} synonyms, ${updated} records updated)`);
+
+    res.json({ success: true, tag, updated });
+  } catch (error) {
+    const message = vocabularyErrorMessage(error);
+    if (message) return res.status(400).json({ error: message });
+    console.error('Error saving vocabulary tag:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Remove a tag from the vocabulary; records keep using it
+router.delete('/api/tags/vocabulary/:name', requireAdmin, validate({
+  summary: 'Remove a tag from the vocabulary',
+  description: 'Records keep using the tag.',
+  params: vocabularyParams,
+  response: { type: 'object', properties: { success: { type: 'boolean' } } },
+  responses: { 404: { description: 'Tag not found in the vocabulary' } }
+}), async (req, res) => {
+  try {
+    const result = await Tag.deleteOne({ name: vocabulary.normalizeTag(req.params.name) });
+    if (!result.deletedCount) {
+      return res.status(404).json({ error: 'Tag not found in the vocabulary' });
+    }
+    await vocabulary.loadVocabulary();
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing vocabulary tag:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * Merge tags into one across all records. With a single tag in `from` this
+ * is a rename. When any of the tags are in the vocabulary, the target takes
+ * over their entry and the merged tags become its synonyms.
+ */
+async function mergeTags(req, res, fromInput, toInput) {
+  try {
+    const to = vocabulary.normalizeTag(toInput || '');
+    const from = tagList(fromInput).filter(tag => tag !== to);
+    if (!to || !from.length) {
+      return res.status(400).json({ error: 'Send the tags to merge as "from" and the tag to keep as "to"' });
+    }
+
+    const note = from.length === 1 ? `Renamed tag "${from[0]}" to "${to}"` : `Merged tags ${from.join(', ')} into "${to}"`;
+    const updated = await replaceTags(from, to, req.user, note);
+
+    const sources = await Tag.find({ name: { $in: from } });
+    let target = await Tag.findOne({ name: to });
+    if (!target && sources.length) {
+      // The vocabulary entry moves to the new name
+      target = sources[0];
+      target.name = to;
+    }
+    if (target) {
+      const synonyms = new Set([...target.synonyms, ...from]);
+      sources.forEach(source => source.synonyms.forEach(synonym => synonyms.add(synonym)));
+      synonyms.delete(to);
+      target.synonyms = Array.from(synonyms);
+      await Tag.deleteMany({ name: { $in: from }, _id: { $ne: target._id } });
+      await target.save();
+    }
+    await vocabulary.loadVocabulary();
+
+    console.log(`Admin ${req.user.username} merged ${from.join(', ')} into "${to}" (${updated} records updated)`);
+    res.json({ success: true, from, to, updated });
+  } catch (error) {
+    console.error('Error merging tags:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+const mergeResponse = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    from: { type: 'array', items: { type: 'string' } },
+    to: { type: 'string' },
+    updated: { type: 'integer', description: 'Records changed' }
+  }
+};
+
+// { from: ["flowers", "florals"], to: "floral" }
+router.post('/api/tags/merge', requireAdmin, validate({
+  summary: 'Merge tags into one',
+  body: {
+    type: 'object',
+    required: ['from', 'to'],
+    properties: {
+      from: { type: ['array', 'string'], items: { type: 'string' }, minItems: 1, title: 'From', description: 'The tags to merge; a list or comma separated' },
+      to: { type: 'string', title: 'To', description: 'The tag to keep' }
+    }
+  },
+  response: mergeResponse
+}), (req, res) => mergeTags(req, res, req.body.from, req.body.to));
+
+// { from: "florals", to: "floral" }
+router.post('/api/tags/rename', requireAdmin, validate({
+  summary: 'Rename a tag',
+  body: {
+    type: 'object',
+    required: ['from', 'to'],
+    properties: {
+      from: { type: 'string', title: 'From' },
+      to: { type: 'string', title: 'To' }
+    }
+  },
+  response: mergeResponse
+}), (req, res) => mergeTags(req, res, [req.body.from], req.body.to));
+
+/**
+ * Rewrite the tags on every record in normal form, mapping synonyms to their
+ * canonical tag. Needed once for records saved before tags were normalised.
+ */
+router.post('/api/tags/normalize', requireAdmin, validate({
+  summary: 'Rewrite the tags on every record in normal form',
+  response: { type: 'object', properties: { success: { type: 'boolean' }, updated: { type: 'integer' } } }
+}), async (req, res) => {
+  try {
+    const updated = await rewriteTags({ 'tags.0': { $exists: true } }, raw => {
+      const tags = [];
+      raw.forEach(tag => {
+        const canonical = vocabulary.canonicalTag(vocabulary.normalizeTag(tag));
+        if (canonical && !tags.includes(canonical)) tags.push(canonical);
+      });
+      return tags;
+    }, req.user, 'Normalised tags');
+
+    console.log(`Admin ${req.user.username} normalised tags on ${updated} records`);
+    res.json({ success: true, updated });
+  } catch (error) {
+    console.error('Error normalising tags:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = {
+  ...vocabulary,
+  replaceTags,
+  router
+};
@@ -0,0 +1,78 @@
+const { Tag } = require('../models/tag');
+
+const MAX_TAG_LENGTH = 50;
+
+// "open" accepts any tag (synonyms are still mapped to their canonical tag);
+// "strict" only accepts tags in the vocabulary
+const VOCABULARY_MODE = (process.env.TAG_VOCABULARY_MODE || 'open').trim().toLowerCase() === 'strict'
+  ? 'strict'
+  : 'open';
+
+// Cached from the Tag collection so tags can be checked synchronously on write
+let canonicalNames = new Set();
+let canonicalBySynonym = new Map();
+
+async function loadVocabulary() {
+  const entries = await Tag.find().lean();
+  canonicalNames = new Set(entries.map(entry => entry.name));
+  canonicalBySynonym = new Map();
+  entries.forEach(entry => {
+    entry.synonyms.forEach(synonym => canonicalBySynonym.set(synonym, entry.name));
+  });
+  console.log(`Loaded ${canonicalNames.size} vocabulary tags (${VOCABULARY_MODE} mode)`);
+}
+
+/**
+ * Normalise how a tag is written: lower case, no leading "#", single spaces
+ * and no surrounding whitespace, so "Floral", " floral " and "#floral" match.
+ */
+function normalizeTag(tag) {
+  return String(tag)
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^#+\s*/, '')
+    .slice(0, MAX_TAG_LENGTH);
+}
+
+// The canonical tag for a normalised tag, following synonyms
+function canonicalTag(tag) {
+  return canonicalBySynonym.get(tag) || tag;
+}
+
+function isInVocabulary(tag) {
+  return canonicalNames.has(tag);
+}
+
+/**
+ * Normalise a list (or comma separated string) of tags, map synonyms to their
+ * canonical tag and drop blanks and repeats. Returns { tags } or, in strict
+ * mode when a tag isn't in the vocabulary, { error }.
+ */
+function normalizeTags(input) {
+  const list = Array.isArray(input) ? input : String(input || '').split(',');
+  const tags = [];
+  list.forEach(raw => {
+    const tag = canonicalTag(normalizeTag(raw));
+    if (tag && !tags.includes(tag)) tags.push(tag);
+  });
+
+  if (VOCABULARY_MODE === 'strict') {
+    const unknown = tags.filter(tag => !canonicalNames.has(tag));
+    if (unknown.length) {
+      return { error: `Unknown tags: ${unknown.join(', ')}. Ask an admin to add them to the tag vocabulary.` };
+    }
+  }
+
+  return { tags };
+}
+
+module.exports = {
+  MAX_TAG_LENGTH,
+  VOCABULARY_MODE,
+  loadVocabulary,
+  normalizeTag,
+  canonicalTag,
+  isInVocabulary,
+  normalizeTags
+};
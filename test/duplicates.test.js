@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { clusterImages, safeHash, shouldReject, DUPLICATE_ACTION } = require('../duplicates');
+
+function hashed(tattooId, id, phash) {
+  return { tattooId, image: { _id: id, url: `/uploads/${id}.jpg`, role: 'fresh', phash } };
+}
+
+test('clusterImages groups images above the similarity threshold', () => {
+  const clusters = clusterImages([
+    hashed('t1', 'a', 'ffff0000ffff0000'),
+    hashed('t2', 'b', 'ffff0000ffff0001'),
+    hashed('t2', 'c', 'ffff0000ffff0003'),
+    hashed('t3', 'd', '0123456789abcdef'),
+    hashed('t4', 'e', 'fedcba9876543210'),
+    hashed('t5', 'f', 'fedcba9876543210')
+  ]);
+
+  assert.equal(clusters.length, 2);
+  assert.deepEqual(clusters[0].images.map(image => image.imageId), ['a', 'b', 'c']);
+  assert.equal(clusters[0].size, 3);
+  assert.equal(clusters[0].tattooCount, 2);
+  assert.equal(clusters[0].images[1].similarity, 1 - 1 / 64);
+  assert.deepEqual(clusters[1].images.map(image => image.imageId), ['e', 'f']);
+  assert.equal(clusters[1].images[0].similarity, 1);
+});
+
+test('clusterImages joins chains of similar images into one cluster', () => {
+  // a~b and b~c are each within the threshold, a and c are not
+  const clusters = clusterImages([
+    hashed('t1', 'a', '0000000000000000'),
+    hashed('t2', 'b', '000000000000001f'),
+    hashed('t3', 'c', '00000000000003ff')
+  ]);
+  assert.equal(clusters.length, 1);
+  assert.equal(clusters[0].size, 3);
+});
+
+test('clusterImages leaves out images without a near copy', () => {
+  assert.deepEqual(clusterImages([hashed('t1', 'a', '0123456789abcdef'), hashed('t2', 'b', 'fedcba9876543210')]), []);
+  assert.deepEqual(clusterImages([]), []);
+});
+
+test('safeHash returns null for data the decoder cannot read', async () => {
+  assert.equal(await safeHash(Buffer.from('not an image')), null);
+});
+
+test('shouldReject only refuses matches in reject mode without allowDuplicate', () => {
+  const matches = [{ tattooId: 't1', similarity: 1 }];
+  assert.equal(shouldReject([], {}), false);
+  assert.equal(shouldReject(matches, { allowDuplicate: 'true' }), false);
+  assert.equal(shouldReject(matches, {}), DUPLICATE_ACTION === 'reject');
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { train, predict } = require('../estimator/model');
+
+function record(id, overrides = {}) {
+  return {
+    _id: `t${id}`,
+    price: 100,
+    timeInHours: 1,
+    tags: [],
+    ...overrides
+  };
+}
+
+// Small floral pieces are cheap and quick, large dragons are not
+function dataset(count) {
+  const records = [];
+  for (let i = 0; i < count; i++) {
+    const large = i % 2 === 1;
+    records.push(record(i, {
+      price: large ? 1000 + i : 150 + i,
+      timeInHours: large ? 8 : 1.5,
+      tags: large ? ['dragon', 'japanese'] : ['floral'],
+      size: large ? { widthCm: 30, heightCm: 40 } : { widthCm: 5, heightCm: 5 },
+      placement: large ? 'full-back' : 'wrist',
+      style: large ? 'japanese' : 'fine-line'
+    }));
+  }
+  return records;
+}
+
+test('train leaves out records without a price or time', () => {
+  const model = train([
+    record(1),
+    record(2, { price: undefined }),
+    record(3, { timeInHours: null }),
+    record(4, { price: 'a lot' })
+  ]);
+  assert.equal(model.sampleCount, 1);
+  assert.equal(model.samples[0].id, 't1');
+});
+
+test('train holds out records for metrics only when there are enough', () => {
+  assert.equal(train(dataset(10)).metrics, null);
+
+  const model = train(dataset(40));
+  assert.equal(model.metrics.validationSize, 8);
+  assert.equal(model.metrics.trainingSize, 32);
+  assert.ok(model.metrics.price.mae >= 0);
+  assert.ok(model.calibration.price.low <= model.calibration.price.high);
+});
+
+test('train is repeatable for the same seed', () => {
+  const first = train(dataset(40), { seed: 7 });
+  const second = train(dataset(40), { seed: 7 });
+  assert.deepEqual(first.metrics, second.metrics);
+  assert.deepEqual(first.calibration, second.calibration);
+});
+
+test('predict estimates from the most similar records', () => {
+  const model = train(dataset(40));
+  const small = predict(model, { tags: ['Floral'], size: { widthCm: 5, heightCm: 5 }, placement: 'wrist', style: 'fine-line' });
+  const large = predict(model, { tags: ['dragon'], size: { widthCm: 30, heightCm: 40 }, placement: 'full-back' });
+
+  assert.ok(small.price.estimate < 200, `small estimate ${small.price.estimate}`);
+  assert.ok(large.price.estimate > 1000, `large estimate ${large.price.estimate}`);
+  assert.equal(small.timeInHours.estimate, 1.5);
+  assert.equal(large.timeInHours.estimate, 8);
+  assert.equal(small.neighbors.length, model.k);
+  assert.equal(small.neighbors[0].similarity, 1);
+  assert.ok(small.neighbors.every(neighbor => Number(neighbor.id.slice(1)) % 2 === 0));
+});
+
+test('predict brackets the estimate with the calibrated range', () => {
+  const model = train(dataset(40));
+  const { price, timeInHours, confidence } = predict(model, { tags: ['floral'] });
+  assert.equal(confidence, 0.8);
+  assert.ok(price.low <= price.estimate && price.estimate <= price.high);
+  assert.ok(timeInHours.low <= timeInHours.estimate && timeInHours.estimate <= timeInHours.high);
+});
+
+test('predict falls back to the neighbours\' range without calibration', () => {
+  const model = train([
+    record(1, { price: 100, tags: ['rose'] }),
+    record(2, { price: 300, tags: ['rose'] }),
+    record(3, { price: 5000, tags: ['skull'] })
+  ], { k: 2 });
+  assert.equal(model.calibration, null);
+
+  const { price, neighbors } = predict(model, { tags: ['rose'] });
+  assert.deepEqual(neighbors.map(neighbor => neighbor.id).sort(), ['t1', 't2']);
+  assert.equal(price.estimate, 200);
+  assert.equal(price.low, 100);
+  assert.equal(price.high, 300);
+});
+
+test('predict uses every record when the query has no features', () => {
+  const model = train([record(1, { price: 100 }), record(2, { price: 300 })], { k: 1 });
+  const { price } = predict(model, {});
+  assert.equal(price.estimate, 200);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FIELDS, parseExportOptions, assignSplit, toRow } = require('../export');
+const { BASE_CURRENCY } = require('../currency/rates');
+
+test('parseExportOptions defaults to every field as JSON, training consent and no excluded records', () => {
+  const options = parseExportOptions({});
+  assert.equal(options.format, 'json');
+  assert.deepEqual(options.fields, FIELDS);
+  assert.equal(options.split, null);
+  assert.equal(options.seed, '42');
+  assert.deepEqual(options.filter.reviewStatus, { $ne: 'excluded' });
+  assert.deepEqual(options.filter['consent.scope'], { $in: ['training', 'portfolio', 'public'] });
+});
+
+test('parseExportOptions narrows the consent filter to scopes covering the use', () => {
+  assert.deepEqual(parseExportOptions({ consentScope: 'public' }).filter['consent.scope'], { $in: ['public'] });
+  assert.equal(parseExportOptions({ includeExcluded: 'true' }).filter.reviewStatus, undefined);
+});
+
+test('parseExportOptions rejects unknown formats, fields and scopes', () => {
+  assert.throws(() => parseExportOptions({ format: 'xml' }), /Format must be one of/);
+  assert.throws(() => parseExportOptions({ fields: 'price,colour' }), /Unknown fields: colour/);
+  assert.throws(() => parseExportOptions({ consentScope: 'everything' }), /Consent scope must be one of/);
+});
+
+test('parseExportOptions normalises the split to fractions', () => {
+  assert.deepEqual(parseExportOptions({ split: '8,1,1' }).split, [0.8, 0.1, 0.1]);
+  assert.deepEqual(parseExportOptions({ split: '50,50,0' }).split, [0.5, 0.5, 0]);
+  for (const split of ['80,20', '80,-10,30', '0,0,0', 'a,b,c']) {
+    assert.throws(() => parseExportOptions({ split }), /Split must be/, split);
+  }
+});
+
+test('assignSplit keeps a record in the same split for the same seed', () => {
+  const split = [0.8, 0.1, 0.1];
+  assert.equal(assignSplit('abc', '42', split), assignSplit('abc', '42', split));
+
+  const ids = Array.from({ length: 200 }, (_, i) => `record-${i}`);
+  const withSeed = seed => ids.map(id => assignSplit(id, seed, split));
+  assert.deepEqual(withSeed('42'), withSeed('42'));
+  assert.notDeepEqual(withSeed('42'), withSeed('7'));
+});
+
+test('assignSplit shares records out roughly in proportion', () => {
+  const counts = { train: 0, val: 0, test: 0 };
+  for (let i = 0; i < 2000; i++) {
+    counts[assignSplit(`record-${i}`, '42', [0.8, 0.1, 0.1])]++;
+  }
+  assert.ok(counts.train > 1500 && counts.train < 1700, `train ${counts.train}`);
+  assert.ok(counts.val > 140 && counts.val < 260, `val ${counts.val}`);
+  assert.ok(counts.test > 140 && counts.test < 260, `test ${counts.test}`);
+
+  for (let i = 0; i < 100; i++) {
+    assert.notEqual(assignSplit(`record-${i}`, '42', [0.5, 0.5, 0]), 'test');
+  }
+});
+
+test('toRow flattens a record to the requested fields', () => {
+  const tattoo = {
+    _id: { toString: () => '664f0000000000000000abcd' },
+    price: 300,
+    currency: BASE_CURRENCY,
+    timeInHours: 4,
+    tags: ['floral', 'rose'],
+    size: { widthCm: 10, heightCm: 12 },
+    images: [
+      { role: 'healed', url: '/uploads/healed.jpg' },
+      { role: 'fresh', url: '/uploads/fresh.jpg' }
+    ],
+    consent: { scope: 'portfolio', givenAt: new Date('2024-05-01T10:00:00Z'), clientRef: 'booking-12' },
+    createdAt: new Date('2024-05-01T09:00:00Z')
+  };
+
+  const row = toRow(tattoo, { fields: FIELDS });
+  assert.equal(row.id, '664f0000000000000000abcd');
+  assert.equal(row.imageUrl, '/uploads/fresh.jpg');
+  assert.deepEqual(row.images, ['healed:/uploads/healed.jpg', 'fresh:/uploads/fresh.jpg']);
+  assert.equal(row.pricePerHour, 75);
+  assert.equal(row.basePrice, 300);
+  assert.equal(row.widthCm, 10);
+  assert.equal(row.reviewStatus, 'ok');
+  assert.equal(row.consentScope, 'portfolio');
+  assert.equal(row.consentGivenAt, '2024-05-01T10:00:00.000Z');
+  assert.equal(row.createdAt, '2024-05-01T09:00:00.000Z');
+  assert.equal(row.split, undefined);
+  assert.ok(!Object.values(row).includes('booking-12'), 'the client reference is never exported');
+
+  const narrow = toRow(tattoo, { fields: ['price', 'tags'], split: [0.8, 0.1, 0.1], seed: '42' });
+  assert.deepEqual(Object.keys(narrow), ['price', 'tags', 'split']);
+  assert.equal(narrow.split, assignSplit('664f0000000000000000abcd', '42', [0.8, 0.1, 0.1]));
+});
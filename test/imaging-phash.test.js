@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { perceptualHash, hashSimilarity } = require('../imaging/phash');
+
+const SIZE = 256;
+
+// A greyscale test picture: a bright disc at (cx, cy) over a diagonal gradient
+function picture({ cx = 0.35, cy = 0.4 } = {}) {
+  const pixels = Buffer.alloc(SIZE * SIZE);
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) {
+      const inDisc = Math.hypot(x / SIZE - cx, y / SIZE - cy) < 0.2;
+      pixels[y * SIZE + x] = inDisc ? 240 : Math.round(((x + y) / (2 * SIZE)) * 120);
+    }
+  }
+  return sharp(pixels, { raw: { width: SIZE, height: SIZE, channels: 1 } });
+}
+
+test('hashSimilarity runs from 0 for opposite hashes to 1 for equal ones', () => {
+  assert.equal(hashSimilarity('0123456789abcdef', '0123456789abcdef'), 1);
+  assert.equal(hashSimilarity('0000000000000000', 'ffffffffffffffff'), 0);
+  assert.equal(hashSimilarity('0000000000000000', '000000000000000f'), 1 - 4 / 64);
+});
+
+test('perceptualHash returns 16 hex characters and is stable', async () => {
+  const png = await picture().png().toBuffer();
+  const hash = await perceptualHash(png);
+  assert.match(hash, /^[0-9a-f]{16}$/);
+  assert.equal(await perceptualHash(png), hash);
+});
+
+test('perceptualHash matches re-encoded and resized copies', async () => {
+  const original = await perceptualHash(await picture().png().toBuffer());
+  const jpeg = await perceptualHash(await picture().jpeg({ quality: 40 }).toBuffer());
+  const smaller = await perceptualHash(await picture().resize(120, 120).webp().toBuffer());
+
+  assert.ok(hashSimilarity(original, jpeg) >= 0.9, `jpeg similarity ${hashSimilarity(original, jpeg)}`);
+  assert.ok(hashSimilarity(original, smaller) >= 0.9, `resized similarity ${hashSimilarity(original, smaller)}`);
+});
+
+test('perceptualHash tells different pictures apart', async () => {
+  const original = await perceptualHash(await picture().png().toBuffer());
+  const moved = await perceptualHash(await picture({ cx: 0.7, cy: 0.75 }).png().toBuffer());
+  const flipped = await perceptualHash(await picture().flop().png().toBuffer());
+
+  assert.ok(hashSimilarity(original, moved) < 0.9, `moved similarity ${hashSimilarity(original, moved)}`);
+  assert.ok(hashSimilarity(original, flipped) < 0.9, `flipped similarity ${hashSimilarity(original, flipped)}`);
+});
+
+test('perceptualHash rejects data that is not an image', async () => {
+  await assert.rejects(perceptualHash(Buffer.from('not an image')));
+});
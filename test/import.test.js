@@ -0,0 +1,89 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const archiver = require('archiver');
+const { parseCsv, runImport } = require('../import');
+
+test('parseCsv splits rows and fields', () => {
+  assert.deepEqual(parseCsv('a,b,c\n1,2,3\n'), [['a', 'b', 'c'], ['1', '2', '3']]);
+  assert.deepEqual(parseCsv('a,b\r\n1,2'), [['a', 'b'], ['1', '2']]);
+  assert.deepEqual(parseCsv('a,,c\n'), [['a', '', 'c']]);
+});
+
+test('parseCsv handles quoted fields', () => {
+  assert.deepEqual(parseCsv('"a,b","say ""hi""","line\nbreak"\n'), [['a,b', 'say "hi"', 'line\nbreak']]);
+  assert.deepEqual(parseCsv('"",x\n'), [['', 'x']]);
+});
+
+test('parseCsv drops blank lines', () => {
+  assert.deepEqual(parseCsv('a\n\n  \nb\n\n'), [['a'], ['b']]);
+  assert.deepEqual(parseCsv(''), []);
+});
+
+// Build a zip in a temporary directory from { name: contents }
+async function makeZip(files) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'import-test-'));
+  const zipPath = path.join(dir, 'archive.zip');
+  const output = fs.createWriteStream(zipPath);
+  const archive = archiver('zip');
+  const written = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    archive.on('error', reject);
+  });
+  archive.pipe(output);
+  Object.entries(files).forEach(([name, contents]) => archive.append(contents, { name }));
+  await archive.finalize();
+  await written;
+  return { zipPath, cleanup: () => fs.promises.rm(dir, { recursive: true, force: true }) };
+}
+
+test('runImport dry run reports each manifest row', async (t) => {
+  const { zipPath, cleanup } = await makeZip({
+    'a/IMG_0001.jpg': 'first',
+    'b/IMG_0001.jpg': 'second',
+    'sleeve/rose.png': 'rose',
+    'notes.txt': 'not an image',
+    '__MACOSX/sleeve/._rose.png': 'resource fork',
+    'manifest.csv': [
+      'File,price,Hours,tags,role,Date',
+      'a/IMG_0001.jpg,250,2.5,floral|rose,healed,2021-06-30',
+      'IMG_0001.jpg,100,1,,,',
+      'ROSE.PNG,100,1,,,',
+      'missing.jpg,100,1,,,',
+      'notes.txt,100,1,,,',
+      'rose.png,-5,1,,,',
+      'rose.png,100,1,,sketch,',
+      'rose.png,100,1,,,not a date',
+      ',100,1,,,'
+    ].join('\n')
+  });
+  t.after(cleanup);
+
+  const report = await runImport({ zipPath, manifestText: null, dryRun: true, user: {} });
+  const byLine = Object.fromEntries(report.rows.map(row => [row.line, row]));
+
+  assert.equal(report.dryRun, true);
+  assert.equal(report.total, 9);
+  assert.equal(report.succeeded, 2);
+  assert.equal(report.failed, 7);
+  assert.equal(byLine[2].status, 'valid');
+  assert.match(byLine[3].error, /matches 2 files in the archive \(a\/IMG_0001\.jpg, b\/IMG_0001\.jpg\)/);
+  assert.equal(byLine[4].status, 'valid');
+  assert.equal(byLine[5].error, 'missing.jpg is not in the archive');
+  assert.match(byLine[6].error, /Images only/);
+  assert.equal(byLine[7].status, 'error');
+  assert.match(byLine[8].error, /Role must be one of/);
+  assert.match(byLine[9].error, /Date must be a valid date/);
+  assert.equal(byLine[10].error, 'Missing filename');
+});
+
+test('runImport needs a manifest with a filename column', async (t) => {
+  const { zipPath, cleanup } = await makeZip({ 'rose.png': 'rose' });
+  t.after(cleanup);
+
+  await assert.rejects(runImport({ zipPath, manifestText: null, dryRun: true, user: {} }), /no \.csv file found/);
+  await assert.rejects(runImport({ zipPath, manifestText: 'price,hours\n1,1\n', dryRun: true, user: {} }), /needs a "filename" column/);
+  await assert.rejects(runImport({ zipPath, manifestText: '\n', dryRun: true, user: {} }), /manifest is empty/);
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The journal directory is read when the module loads
+const JOURNAL_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-test-'));
+process.env.JOURNAL_DIR = JOURNAL_DIR;
+
+const mongoose = require('mongoose');
+const { Tattoo } = require('../models/tattoo');
+const storage = require('../storage');
+const duplicates = require('../duplicates');
+const audit = require('../audit');
+const journal = require('../journal');
+
+test.after(() => fs.rmSync(JOURNAL_DIR, { recursive: true, force: true }));
+
+function processedImage(role = 'fresh') {
+  return {
+    role,
+    originalname: `${role}.jpg`,
+    image: { buffer: Buffer.from(`${role} image`), mimetype: 'image/jpeg', width: 800, height: 600 },
+    thumbnail: { buffer: Buffer.from(`${role} thumbnail`), mimetype: 'image/jpeg' }
+  };
+}
+
+function submission(overrides = {}) {
+  return { processed: [processedImage()], values: { price: 300, timeInHours: 3, tags: ['floral'] }, owner: null, ...overrides };
+}
+
+// The connection's state as the journal sees it (1 is connected)
+function setDatabaseState(t, readyState) {
+  Object.defineProperty(mongoose.connection, 'readyState', { value: readyState, configurable: true });
+  t.after(() => delete mongoose.connection.readyState);
+}
+
+// Stands in for the database and storage: records are kept by submissionId,
+// and saving runs the model's own validation
+function stubDatabase(t) {
+  fs.rmSync(JOURNAL_DIR, { recursive: true, force: true });
+  fs.mkdirSync(JOURNAL_DIR, { recursive: true });
+
+  const saved = new Map();
+  setDatabaseState(t, 1);
+  t.mock.method(Tattoo, 'findOne', filter => ({ setOptions: async () => saved.get(filter.submissionId) || null }));
+  t.mock.method(Tattoo.prototype, 'save', async function() {
+    await this.validate();
+    saved.set(this.submissionId, this);
+    return this;
+  });
+  t.mock.method(storage, 'storeImages', async processed => processed.map(({ role, originalname }) => ({
+    url: `/uploads/${originalname}`,
+    key: originalname,
+    driver: 'local',
+    role,
+    thumbnail: { url: `/uploads/thumb-${originalname}` }
+  })));
+  t.mock.method(storage, 'deleteImages', async () => {});
+  t.mock.method(duplicates, 'safeHash', async () => null);
+  t.mock.method(duplicates, 'findDuplicates', async () => []);
+  t.mock.method(audit, 'record', async () => {});
+  return saved;
+}
+
+test('append writes a complete entry with its images', async t => {
+  stubDatabase(t);
+  const entry = await journal.append(submission({ submissionId: 'form-1' }));
+
+  assert.equal(entry.submissionId, 'form-1');
+  const entryDir = path.join(JOURNAL_DIR, entry.id);
+  const written = JSON.parse(fs.readFileSync(path.join(entryDir, 'entry.json'), 'utf8'));
+  assert.deepEqual(written.values, { price: 300, timeInHours: 3, tags: ['floral'] });
+  assert.equal(fs.readFileSync(path.join(entryDir, written.images[0].image.file), 'utf8'), 'fresh image');
+  assert.equal(fs.readFileSync(path.join(entryDir, written.images[0].thumbnail.file), 'utf8'), 'fresh thumbnail');
+  assert.deepEqual(fs.readdirSync(JOURNAL_DIR).filter(name => name.startsWith('.')), []);
+  assert.deepEqual(await journal.status(), { pending: 1, failed: 0 });
+});
+
+test('replay saves each entry once and removes it', async t => {
+  const saved = stubDatabase(t);
+  // The same submission journalled twice, e.g. a retried request
+  await journal.append(submission({ submissionId: 'form-1' }));
+  await journal.append(submission({ submissionId: 'form-1' }));
+  await journal.append(submission({ submissionId: 'form-2', values: { price: 150, timeInHours: 1 } }));
+
+  const summary = await journal.replay();
+
+  assert.deepEqual(summary, { saved: 3, failed: 0, remaining: 0 });
+  assert.deepEqual(Array.from(saved.keys()), ['form-1', 'form-2']);
+  assert.equal(saved.get('form-2').price, 150);
+  assert.equal(storage.storeImages.mock.callCount(), 2);
+  assert.deepEqual(await journal.status(), { pending: 0, failed: 0 });
+});
+
+test('replay moves an entry that fails validation to failed', async t => {
+  const saved = stubDatabase(t);
+  const bad = await journal.append(submission({ submissionId: 'form-bad', values: { timeInHours: 3 } }));
+  await journal.append(submission({ submissionId: 'form-good' }));
+
+  const summary = await journal.replay();
+
+  assert.deepEqual(summary, { saved: 1, failed: 1, remaining: 0 });
+  assert.deepEqual(Array.from(saved.keys()), ['form-good']);
+  const failedDir = path.join(JOURNAL_DIR, 'failed', bad.id);
+  assert.equal(JSON.parse(fs.readFileSync(path.join(failedDir, 'entry.json'), 'utf8')).submissionId, 'form-bad');
+  assert.match(JSON.parse(fs.readFileSync(path.join(failedDir, 'failure.json'), 'utf8')).error, /price/);
+  assert.equal(storage.deleteImages.mock.callCount(), 1);
+  assert.deepEqual(await journal.status(), { pending: 0, failed: 1 });
+});
+
+test('replay leaves entries in place while the database is down', async t => {
+  stubDatabase(t);
+  setDatabaseState(t, 0);
+  await journal.append(submission({ submissionId: 'form-1' }));
+
+  assert.deepEqual(await journal.replay(), { saved: 0, failed: 0, remaining: 1 });
+  assert.equal(Tattoo.prototype.save.mock.callCount(), 0);
+  assert.deepEqual(await journal.status(), { pending: 1, failed: 0 });
+});
@@ -0,0 +1,189 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { Migration } = require('../models/migration');
+const timeInHours = require('../migrations/001-time-in-hours');
+const imagesArray = require('../migrations/002-images-array');
+const migrations = require('../migrations');
+
+const quiet = { dryRun: false, log: () => {} };
+
+function getPath(doc, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+function setPath(doc, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((object, key) => (object[key] = object[key] || {}), doc);
+  parent[last] = value;
+}
+
+function unsetPath(doc, path) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = getPath(doc, keys.join('.')) || (keys.length ? undefined : doc);
+  if (parent) delete parent[last];
+}
+
+// A deep copy that keeps ObjectIds and dates as they are, like the driver returns them
+function copy(value) {
+  if (Array.isArray(value)) return value.map(copy);
+  if (value && value.constructor === Object) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, copy(item)]));
+  }
+  return value;
+}
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function matches(doc, filter) {
+  return Object.entries(filter).every(([path, condition]) => {
+    if (path === '$or') return condition.some(alternative => matches(doc, alternative));
+    const value = getPath(doc, path);
+    if (!condition || condition.constructor !== Object || !Object.keys(condition).every(key => key.startsWith('$'))) {
+      return same(value, condition);
+    }
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case '$exists': return (value !== undefined) === operand;
+        case '$lt': return value !== undefined && value < operand;
+        case '$gte': return value !== undefined && value >= operand;
+        case '$nin': return !operand.some(candidate => same(candidate, value));
+        default: throw new Error(`Unsupported operator ${operator}`);
+      }
+    });
+  });
+}
+
+function applyUpdate(doc, { $set = {}, $unset = {} }) {
+  Object.entries($set).forEach(([path, value]) => setPath(doc, path, copy(value)));
+  Object.keys($unset).forEach(path => unsetPath(doc, path));
+}
+
+// Just enough of a MongoDB collection for the migrations: find with an
+// inclusion projection, bulkWrite of updateOne and updateMany
+function fakeCollection(docs) {
+  return {
+    docs,
+    find(filter, { projection } = {}) {
+      return docs.filter(doc => matches(doc, filter)).map(doc => {
+        if (!projection) return copy(doc);
+        const projected = { _id: doc._id };
+        Object.keys(projection).forEach(path => {
+          if (getPath(doc, path) !== undefined) setPath(projected, path, copy(getPath(doc, path)));
+        });
+        return projected;
+      });
+    },
+    async bulkWrite(operations) {
+      operations.forEach(({ updateOne: { filter, update } }) => {
+        const doc = docs.find(candidate => matches(candidate, filter));
+        if (doc) applyUpdate(doc, update);
+      });
+    },
+    async updateMany(filter, update) {
+      docs.filter(doc => matches(doc, filter)).forEach(doc => applyUpdate(doc, update));
+    }
+  };
+}
+
+function record(fields) {
+  return { _id: new mongoose.Types.ObjectId(), createdAt: new Date('2024-05-01T10:00:00Z'), ...fields };
+}
+
+function connectionTo(collection) {
+  return { collection: () => collection };
+}
+
+test('001 converts minutes to hours and restores them on down', async () => {
+  const original = [
+    record({ timeInMinutes: 90 }),
+    record({ timeInMinutes: 45, timeInHours: 2 }),
+    record({ timeInMinutes: 'soon' }),
+    record({ timeInHours: 3 })
+  ];
+  const tattoos = fakeCollection(copy(original));
+
+  const result = await timeInHours.up(connectionTo(tattoos), quiet);
+
+  assert.equal(result.changed, 2);
+  assert.deepEqual(result.skipped, [original[2]._id]);
+  assert.equal(tattoos.docs[0].timeInHours, 1.5);
+  assert.equal(tattoos.docs[0].timeInMinutes, undefined);
+  assert.deepEqual(tattoos.docs[0]._migrated, { timeInMinutes: { minutes: 90, hadHours: false } });
+  assert.equal(tattoos.docs[1].timeInHours, 2);
+  assert.deepEqual(tattoos.docs.slice(2), original.slice(2));
+
+  assert.equal((await timeInHours.down(connectionTo(tattoos), {}, quiet)).changed, 2);
+  assert.deepEqual(tattoos.docs, original);
+});
+
+test('002 moves imageUrl into the images array and back on down', async () => {
+  const original = [
+    record({ imageUrl: '/uploads/a.jpg', imageKey: 'a.jpg', storageDriver: 'local' }),
+    record({ imageUrl: '/uploads/b.jpg' }),
+    record({ images: [{ url: '/uploads/c.jpg', role: 'fresh' }] })
+  ];
+  const tattoos = fakeCollection(copy(original));
+
+  assert.equal((await imagesArray.up(connectionTo(tattoos), quiet)).changed, 2);
+  const [moved] = tattoos.docs[0].images;
+  assert.deepEqual(
+    { url: moved.url, key: moved.key, driver: moved.driver, role: moved.role, createdAt: moved.createdAt },
+    { url: '/uploads/a.jpg', key: 'a.jpg', driver: 'local', role: 'fresh', createdAt: original[0].createdAt }
+  );
+  assert.equal(tattoos.docs[0].imageUrl, undefined);
+  assert.deepEqual(tattoos.docs[2], original[2]);
+
+  // A record that gained another image since can't go back
+  tattoos.docs[1].images.push({ url: '/uploads/b2.jpg', role: 'healed' });
+  assert.equal((await imagesArray.down(connectionTo(tattoos), {}, quiet)).changed, 1);
+  assert.deepEqual(tattoos.docs[0], original[0]);
+  assert.equal(tattoos.docs[1].images.length, 2);
+  assert.deepEqual(tattoos.docs[1]._migrated, { imagesArray: true });
+});
+
+test('up stamps the records each migration brought up to date and down undoes them in order', async t => {
+  const original = [
+    record({ timeInMinutes: 120, imageUrl: '/uploads/a.jpg' }),
+    record({ timeInMinutes: 'soon', images: [{ url: '/uploads/b.jpg', role: 'fresh' }] }),
+    record({ timeInHours: 1, images: [{ url: '/uploads/c.jpg', role: 'fresh' }], schemaVersion: migrations.LATEST_VERSION })
+  ];
+  const tattoos = fakeCollection(copy(original));
+  const applied = [];
+  t.mock.method(mongoose.connection, 'collection', () => tattoos);
+  t.mock.method(Migration, 'find', () => ({ lean: async () => copy(applied) }));
+  t.mock.method(Migration, 'create', async fields => { applied.push(fields); });
+  t.mock.method(Migration, 'deleteOne', async ({ name }) => {
+    applied.splice(applied.findIndex(migration => migration.name === name), 1);
+  });
+
+  const results = await migrations.up({ log: () => {} });
+
+  assert.deepEqual(results.map(({ name, changed, skipped }) => [name, changed, skipped]), [
+    ['001-time-in-hours', 1, 1],
+    ['002-images-array', 1, 0]
+  ]);
+  assert.deepEqual(applied.map(migration => migration.name), ['001-time-in-hours', '002-images-array']);
+  assert.equal(tattoos.docs[0].schemaVersion, 2);
+  assert.equal(tattoos.docs[0].timeInHours, 2);
+  assert.equal(tattoos.docs[0].images[0].url, '/uploads/a.jpg');
+  // The record 001 skipped stays behind, so later migrations don't stamp it either
+  assert.equal(tattoos.docs[1].schemaVersion, undefined);
+  assert.equal(tattoos.docs[1].timeInMinutes, 'soon');
+
+  assert.deepEqual((await migrations.down({ log: () => {} })).map(({ name }) => name), ['002-images-array']);
+  assert.equal(tattoos.docs[0].schemaVersion, 1);
+  assert.equal(tattoos.docs[0].imageUrl, '/uploads/a.jpg');
+
+  await migrations.down({ to: 0, log: () => {} });
+  assert.deepEqual(applied, []);
+  assert.deepEqual(tattoos.docs, [
+    { ...original[0], schemaVersion: 0 },
+    original[1],
+    { ...original[2], schemaVersion: 0 }
+  ]);
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const checks = require('../quality/checks');
+const { BASE_CURRENCY } = require('../currency/rates');
+
+function record(overrides = {}) {
+  return { price: 300, currency: BASE_CURRENCY, timeInHours: 3, sessions: 1, tags: ['floral'], ...overrides };
+}
+
+function codes(result) {
+  return result.issues.map(issue => issue.code);
+}
+
+// Records whose hourly rates spread evenly from 80 to 120
+function typicalRecords(count = 40) {
+  return Array.from({ length: count }, (_, i) => record({ price: 80 + (40 * i) / (count - 1), timeInHours: 1 }));
+}
+
+test('assessRecord gives a plausible record full marks', () => {
+  assert.deepEqual(checks.assessRecord(record()), { score: 100, issues: [], needsReview: false });
+});
+
+test('assessRecord flags impossible and suspicious times', () => {
+  assert.deepEqual(codes(checks.assessRecord(record({ timeInHours: 0 }))), ['hours-invalid']);
+  assert.deepEqual(codes(checks.assessRecord(record({ timeInHours: 'soon' }))), ['hours-invalid']);
+  assert.deepEqual(codes(checks.assessRecord(record({ price: 5000, timeInHours: 300 }))), ['hours-extreme']);
+  assert.deepEqual(codes(checks.assessRecord(record({ price: 5000, timeInHours: 30, sessions: 5 }))), []);
+  assert.deepEqual(codes(checks.assessRecord(record({ timeInHours: 0.1 }))), ['hours-tiny']);
+});
+
+test('assessRecord flags prices that look wrong', () => {
+  assert.deepEqual(codes(checks.assessRecord(record({ price: 0 }))), ['price-zero']);
+  assert.deepEqual(codes(checks.assessRecord(record({ price: 2, timeInHours: 3 }))), ['price-below-hours']);
+});
+
+test('assessRecord adds up penalties and sends low scores to review', () => {
+  const missingTags = checks.assessRecord(record({ tags: [] }));
+  assert.equal(missingTags.score, 85);
+  assert.equal(missingTags.needsReview, false);
+
+  const swapped = checks.assessRecord(record({ price: 3, timeInHours: 300, tags: [] }));
+  assert.deepEqual(codes(swapped), ['hours-extreme', 'price-below-hours', 'tags-missing']);
+  assert.equal(swapped.score, 5);
+  assert.equal(swapped.needsReview, true);
+
+  assert.equal(checks.assessRecord(record({ price: 0, timeInHours: 0, tags: [] })).score, 0);
+  assert.ok(swapped.issues.every(issue => Object.keys(issue).join() === 'code,message'));
+});
+
+test('buildDistribution summarises hourly rates on a log scale', () => {
+  assert.deepEqual(checks.buildDistribution([]), { sampleCount: 0, median: null, mad: null });
+
+  const distribution = checks.buildDistribution([
+    record({ price: 100, timeInHours: 1 }),
+    record({ price: 400, timeInHours: 2 }),
+    record({ price: 300, timeInHours: 1 }),
+    record({ price: 0, timeInHours: 1 }),
+    record({ price: 100, timeInHours: 0 })
+  ]);
+  assert.equal(distribution.sampleCount, 3);
+  assert.equal(distribution.median, Math.log(200));
+  assert.equal(distribution.mad, Math.log(300) - Math.log(200));
+});
+
+test('assessRecord compares the hourly rate once there are enough records', (t) => {
+  const previous = checks.getDistribution();
+  t.after(() => checks.setDistribution(previous));
+
+  checks.setDistribution(checks.buildDistribution(typicalRecords(checks.MIN_SAMPLES - 1)));
+  assert.equal(checks.typicalRate(), null);
+  assert.deepEqual(codes(checks.assessRecord(record({ price: 5000, timeInHours: 1 }))), []);
+
+  checks.setDistribution(checks.buildDistribution(typicalRecords()));
+  assert.equal(checks.typicalRate(), 100);
+  assert.deepEqual(codes(checks.assessRecord(record({ price: 110, timeInHours: 1 }))), []);
+  assert.deepEqual(codes(checks.assessRecord(record({ price: 170, timeInHours: 1 }))), ['rate-unusual']);
+  assert.deepEqual(codes(checks.assessRecord(record({ price: 5000, timeInHours: 1 }))), ['rate-outlier']);
+  assert.match(checks.assessRecord(record({ price: 10, timeInHours: 1 })).issues[0].message, /far below the typical 100/);
+});
+
+// Enough of a Tattoo document for applyQuality
+function tattooDocument(values, modified = []) {
+  return { ...values, isModified: field => modified.includes(field) };
+}
+
+test('applyQuality queues a record that needs review and clears one that does not', () => {
+  const flagged = tattooDocument(record({ price: 0, tags: [] }), ['price']);
+  checks.applyQuality(flagged);
+  assert.equal(flagged.reviewStatus, 'flagged');
+  assert.equal(flagged.quality.score, 55);
+  assert.ok(flagged.quality.checkedAt instanceof Date);
+
+  const fixed = tattooDocument(record({ reviewStatus: 'flagged' }), ['price']);
+  checks.applyQuality(fixed);
+  assert.equal(fixed.reviewStatus, 'ok');
+});
+
+test('applyQuality keeps a review decision until a checked field changes', () => {
+  const decided = tattooDocument(record({ price: 0, reviewStatus: 'confirmed' }), ['reviewStatus']);
+  checks.applyQuality(decided);
+  assert.equal(decided.reviewStatus, 'confirmed');
+
+  const untouched = tattooDocument(record({ price: 0, reviewStatus: 'excluded' }), ['placement']);
+  checks.applyQuality(untouched);
+  assert.equal(untouched.reviewStatus, 'excluded');
+
+  const edited = tattooDocument(record({ price: 0, tags: [], reviewStatus: 'confirmed' }), ['price']);
+  checks.applyQuality(edited);
+  assert.equal(edited.reviewStatus, 'flagged');
+
+  const fixed = tattooDocument(record({ reviewStatus: 'confirmed' }), ['price']);
+  checks.applyQuality(fixed);
+  assert.equal(fixed.reviewStatus, 'confirmed');
+});
+
+test('applyQuality keeps a record excluded when it is edited', () => {
+  const excluded = tattooDocument(record({ price: 0, tags: [], reviewStatus: 'excluded' }), ['price', 'tags']);
+  checks.applyQuality(excluded);
+  assert.equal(excluded.reviewStatus, 'excluded');
+  assert.ok(excluded.quality.score < checks.REVIEW_THRESHOLD);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Tattoo } = require('../models/tattoo');
+const audit = require('../audit');
+const { replaceTags } = require('../tags');
+
+// Stands in for the database: find hides trashed records unless asked not to,
+// like the model's hook does
+function stubRecords(t, records) {
+  const writes = [];
+  const entries = [];
+  t.mock.method(Tattoo, 'find', filter => {
+    let options = {};
+    const query = {
+      setOptions(extra) { options = { ...options, ...extra }; return query; },
+      lean() { return query; },
+      cursor() {
+        return records.filter(record =>
+          record.tags.some(tag => filter.tags.$in.includes(tag)) && (options.withTrashed || !record.deletedAt));
+      }
+    };
+    return query;
+  });
+  t.mock.method(Tattoo, 'bulkWrite', async operations => { writes.push(...operations); });
+  t.mock.method(audit, 'record', async (action, tattooId, user, details) => { entries.push({ action, tattooId, user, ...details }); });
+  return { writes, entries };
+}
+
+test('replaceTags merges tags on trashed records too', async t => {
+  const { writes, entries } = stubRecords(t, [
+    { _id: 'live', tags: ['flowers', 'floral', 'rose'] },
+    { _id: 'trashed', tags: ['florals'], deletedAt: new Date() },
+    { _id: 'other', tags: ['skull'] }
+  ]);
+  const admin = { _id: 'admin' };
+
+  const updated = await replaceTags(['flowers', 'florals'], 'floral', admin, 'Merged tags flowers, florals into "floral"');
+
+  assert.equal(updated, 2);
+  assert.deepEqual(writes.map(({ updateOne }) => [updateOne.filter._id, updateOne.update.$set.tags]), [
+    ['live', ['floral', 'rose']],
+    ['trashed', ['floral']]
+  ]);
+  assert.deepEqual(entries.map(entry => [entry.action, entry.tattooId, entry.user, entry.changes]), [
+    ['edited', 'live', admin, [{ field: 'tags', from: ['flowers', 'floral', 'rose'], to: ['floral', 'rose'] }]],
+    ['edited', 'trashed', admin, [{ field: 'tags', from: ['florals'], to: ['floral'] }]]
+  ]);
+  assert.equal(entries[0].note, 'Merged tags flowers, florals into "floral"');
+});
+
+test('replaceTags leaves records alone when nothing changes', async t => {
+  const { writes, entries } = stubRecords(t, [{ _id: 'other', tags: ['skull'] }]);
+
+  assert.equal(await replaceTags(['flowers'], 'floral', null, 'Renamed tag "flowers" to "floral"'), 0);
+  assert.equal(writes.length, 0);
+  assert.equal(entries.length, 0);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { check, checkProperties, describeProblems } = require('../validation/schema');
+
+function messages(problems) {
+  return problems.map(problem => problem.message);
+}
+
+test('check accepts strings holding numbers and booleans', () => {
+  assert.deepEqual(check({ type: 'number' }, '12.5'), []);
+  assert.deepEqual(check({ type: 'number' }, ' 1e3 '), []);
+  assert.deepEqual(check({ type: 'integer' }, '4'), []);
+  assert.deepEqual(check({ type: 'boolean' }, 'on'), []);
+  assert.deepEqual(check({ type: 'boolean' }, false), []);
+
+  assert.deepEqual(messages(check({ type: 'number', title: 'Price' }, '12abc')), ['Price must be a number']);
+  assert.deepEqual(messages(check({ type: 'integer', title: 'Sessions' }, '1.5')), ['Sessions must be a whole number']);
+  assert.deepEqual(messages(check({ type: 'boolean', title: 'Cover-up' }, 'maybe')), ['Cover-up must be true or false']);
+  assert.deepEqual(messages(check({ type: 'number' }, 'Infinity')), ['Value must be a number']);
+});
+
+test('check accepts any of a list of types', () => {
+  const schema = { type: ['number', 'boolean'], title: 'Cover-up' };
+  assert.deepEqual(check(schema, 'yes'), []);
+  assert.deepEqual(check({ type: ['string', 'array'] }, ['a']), []);
+  assert.deepEqual(messages(check(schema, {})), ['Cover-up must be a number or true or false']);
+  assert.deepEqual(messages(check({ type: ['string', 'number', 'array'] }, {})), ['Value must be text, a number or a list']);
+});
+
+test('check applies number, string and list limits', () => {
+  const price = { type: 'number', minimum: 0, maximum: 100, title: 'Price' };
+  assert.deepEqual(check(price, '0'), []);
+  assert.deepEqual(messages(check(price, '-1')), ['Price must be at least 0']);
+  assert.deepEqual(messages(check(price, 101)), ['Price must be at most 100']);
+  assert.deepEqual(messages(check({ type: 'number', exclusiveMinimum: 0, title: 'Hours' }, '0')), ['Hours must be greater than 0']);
+
+  const name = { type: 'string', minLength: 3, maxLength: 5, pattern: '^[a-z]+$', title: 'Name' };
+  assert.deepEqual(check(name, 'abc'), []);
+  assert.deepEqual(messages(check(name, 'ab')), ['Name must be at least 3 characters']);
+  assert.deepEqual(messages(check(name, 'ABCDEF')), ['Name must be at most 5 characters', 'Name is not in the expected format']);
+
+  const tags = { type: 'array', minItems: 1, maxItems: 2, title: 'Tags' };
+  assert.deepEqual(messages(check(tags, [])), ['Tags needs at least 1 items']);
+  assert.deepEqual(messages(check(tags, ['a', 'b', 'c'])), ['Tags can have at most 2 items']);
+});
+
+test('check validates enums and dates', () => {
+  assert.deepEqual(check({ type: 'string', enum: ['json', 'csv'] }, 'csv'), []);
+  assert.deepEqual(messages(check({ type: 'string', enum: ['json', 'csv'], title: 'Format' }, 'xml')), ['Format must be one of: json, csv']);
+  assert.deepEqual(check({ type: 'string', format: 'date' }, '2024-05-01'), []);
+  assert.deepEqual(messages(check({ type: 'string', format: 'date-time', title: 'From' }, 'yesterday')), ['From must be a valid date']);
+});
+
+test('check uses x-message in place of any message for the field', () => {
+  const currency = { type: 'string', pattern: '^[A-Z]{3}$', 'x-message': 'Currency must be a three-letter code, e.g. AUD' };
+  assert.deepEqual(check(currency, 'dollars', 'currency'), [{ field: 'currency', message: 'Currency must be a three-letter code, e.g. AUD' }]);
+});
+
+test('check walks into list items and nested objects, naming the path', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      size: { type: 'object', properties: { widthCm: { type: 'number', minimum: 0 } } },
+      files: { type: 'array', items: { type: 'object', required: ['key'], properties: { key: { type: 'string' } } } }
+    }
+  };
+  const problems = check(schema, { size: { widthCm: '-2' }, files: [{ key: 'a' }, {}] });
+  assert.deepEqual(problems.map(problem => problem.field), ['size.widthCm', 'files[1].key']);
+  assert.deepEqual(messages(problems), ['size.widthCm must be at least 0', 'key is required']);
+});
+
+test('checkProperties treats blank values as not provided', () => {
+  const schema = {
+    required: ['price'],
+    properties: {
+      price: { type: 'number', title: 'Price' },
+      placement: { type: 'string', enum: ['arm', 'leg'] },
+      photo: { type: 'string', format: 'binary' }
+    }
+  };
+  assert.deepEqual(checkProperties(schema, { price: '10', placement: '  ' }), []);
+  assert.deepEqual(checkProperties(schema, { price: ' ' }), [{ field: 'price', message: 'Price is required' }]);
+  assert.deepEqual(checkProperties({ required: ['photo'], properties: schema.properties }, { price: '1' }), []);
+  assert.deepEqual(checkProperties(schema, { price: '1', unknown: 'kept' }), []);
+});
+
+test('describeProblems keeps the first message for each field', () => {
+  const failure = describeProblems([
+    { field: 'price', message: 'Price must be a number' },
+    { field: 'price', message: 'Price must be at least 0' },
+    { field: 'tags', message: 'Tags can have at most 20 items' }
+  ]);
+  assert.deepEqual(failure, {
+    error: 'Price must be a number; Tags can have at most 20 items',
+    fields: { price: 'Price must be a number', tags: 'Tags can have at most 20 items' }
+  });
+  assert.deepEqual(describeProblems([]), { error: '', fields: {} });
+});
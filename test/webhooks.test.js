@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sign, signatureHeaders, verifySignature, TOLERANCE_SECONDS } = require('../webhooks/signature');
+const { retryDelay } = require('../webhooks');
+
+const SECRET = 'whsec_test';
+const BODY = JSON.stringify({ event: 'tattoo.updated', data: { id: 'abc' } });
+const NOW = Date.parse('2026-03-01T12:00:00Z');
+
+// Headers as Node hands them to a receiver, with lower-case names
+function received(headers) {
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+}
+
+test('signatureHeaders signs the timestamp and body', () => {
+  const headers = signatureHeaders(SECRET, BODY, NOW);
+  const timestamp = NOW / 1000;
+  assert.equal(headers['X-Webhook-Timestamp'], String(timestamp));
+  assert.equal(headers['X-Webhook-Signature'], sign(SECRET, timestamp, BODY));
+  assert.match(headers['X-Webhook-Signature'], /^sha256=[0-9a-f]{64}$/);
+});
+
+test('verifySignature accepts a correctly signed body', () => {
+  const headers = received(signatureHeaders(SECRET, BODY, NOW));
+  assert.equal(verifySignature(SECRET, headers, BODY, NOW + 1000), null);
+});
+
+test('verifySignature refuses a changed body or the wrong secret', () => {
+  const headers = received(signatureHeaders(SECRET, BODY, NOW));
+  assert.equal(verifySignature(SECRET, headers, BODY.replace('abc', 'abd'), NOW), 'Signature does not match');
+  assert.equal(verifySignature('another secret', headers, BODY, NOW), 'Signature does not match');
+  assert.equal(verifySignature(SECRET, { ...headers, 'x-webhook-signature': 'sha256=00' }, BODY, NOW), 'Signature does not match');
+});
+
+test('verifySignature refuses stale or future timestamps', () => {
+  const headers = received(signatureHeaders(SECRET, BODY, NOW));
+  const tolerance = TOLERANCE_SECONDS * 1000;
+  assert.equal(verifySignature(SECRET, headers, BODY, NOW + tolerance), null);
+  assert.equal(verifySignature(SECRET, headers, BODY, NOW + tolerance + 1000), 'Timestamp is too old or in the future');
+  assert.equal(verifySignature(SECRET, headers, BODY, NOW - tolerance - 1000), 'Timestamp is too old or in the future');
+});
+
+test('verifySignature refuses a body without signature headers', () => {
+  assert.equal(verifySignature(SECRET, {}, BODY, NOW), 'Missing signature headers');
+  assert.equal(verifySignature(SECRET, { 'x-webhook-timestamp': 'soon', 'x-webhook-signature': 'sha256=00' }, BODY, NOW), 'Missing signature headers');
+});
+
+test('retryDelay doubles after each failed attempt up to six hours', () => {
+  const first = retryDelay(1);
+  assert.ok(first > 0);
+  assert.equal(retryDelay(2), first * 2);
+  assert.equal(retryDelay(3), first * 4);
+  assert.equal(retryDelay(30), 6 * 60 * 60 * 1000);
+  assert.equal(retryDelay(31), retryDelay(30));
+});
@@ -0,0 +1,162 @@
+const express = require('express');
+const { Tattoo } = require('../models/tattoo');
+const auth = require('../auth');
+const storage = require('../storage');
+const audit = require('../audit');
+const { validate, refs } = require('../validation');
+
+// Days a deleted record stays in the trash before it and its images are removed for good
+const RETENTION_DAYS = process.env.TRASH_RETENTION_DAYS !== undefined
+  ? parseFloat(process.env.TRASH_RETENTION_DAYS)
+  : 30;
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function purgeDate(tattoo) {
+  return new Date(tattoo.deletedAt.getTime() + RETENTION_DAYS * DAY_MS);
+}
+
+// Remove a record and its images permanently
+async function purge(tattoo, user, note) {
+  await storage.deleteImages(tattoo.images);
+  await Tattoo.deleteOne({ _id: tattoo._id });
+  await audit.record('purged', tattoo._id, user, { note });
+}
+
+// Purge everything that has been in the trash longer than the retention period
+async function purgeExpired() {
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * DAY_MS);
+  const expired = await Tattoo.find({ deletedAt: { $ne: null, $lte: cutoff } });
+  for (const tattoo of expired) {
+    await purge(tattoo, null);
+  }
+  if (expired.length) {
+    console.log(`Purged ${expired.length} tattoos from the trash`);
+  }
+  return expired.length;
+}
+
+function startSchedule() {
+  if (!(RETENTION_DAYS >= 0)) {
+    console.log('Trash purging is disabled');
+    return;
+  }
+  const run = () => purgeExpired().catch(error => console.error('Error purging the trash:', error));
+  run();
+  setInterval(run, PURGE_INTERVAL_MS).unref();
+}
+
+// A trashed record found by ID, or null
+function findTrashed(id) {
+  return Tattoo.findOne({ _id: id, deletedAt: { $ne: null } });
+}
+
+const trashIdParams = { properties: { id: { type: 'string', description: 'Tattoo ID' } } };
+
+const router = express.Router();
+
+// Records in the trash, most recently deleted first. Artists see their own.
+router.get('/api/trash', auth.requireAuth, validate({
+  summary: 'List records in the trash',
+  description: 'Artists see their own records; admins see all of them.',
+  response: {
+    type: 'object',
+    properties: {
+      retentionDays: { type: 'number', description: 'How long records stay in the trash' },
+      tattoos: {
+        type: 'array',
+        items: { allOf: [refs.tattoo, { type: 'object', properties: { purgeAt: { type: 'string', format: 'date-time' } } }] }
+      }
+    }
+  }
+}), async (req, res) => {
+  try {
+    const filter = { deletedAt: { $ne: null } };
+    if (!req.user.isAdmin()) {
+      filter.owner = req.user._id;
+    }
+
+    const tattoos = await Tattoo.find(filter)
+      .sort({ deletedAt: -1, _id: -1 })
+      .populate('owner', 'username displayName')
+      .populate('deletedBy', 'username displayName');
+
+    res.json({
+      retentionDays: RETENTION_DAYS,
+      tattoos: tattoos.map(tattoo => ({ ...tattoo.toJSON(), purgeAt: purgeDate(tattoo) }))
+    });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Put a record back
+router.post('/api/trash/:id/restore', auth.requireAuth, validate({
+  summary: 'Restore a record from the trash',
+  params: trashIdParams,
+  response: { type: 'object', properties: { success: { type: 'boolean' }, tattoo: refs.tattoo } },
+  responses: {
+    403: { description: 'Not your tattoo' },
+    404: { description: 'Tattoo not found in the trash' }
+  }
+}), async (req, res) => {
+  try {
+    const tattoo = await findTrashed(req.params.id);
+    if (!tattoo) {
+      return res.status(404).json({ error: 'Tattoo not found in the trash' });
+    }
+    if (!auth.canModify(req.user, tattoo)) {
+      return res.status(403).json({ error: 'You can only restore your own tattoos' });
+    }
+
+    tattoo.deletedAt = null;
+    tattoo.deletedBy = undefined;
+    await tattoo.save();
+    await audit.record('restored', tattoo._id, req.user);
+    console.log(`Tattoo ${tattoo._id} restored by ${req.user.username}`);
+
+    res.json({ success: true, tattoo });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ error: 'Tattoo not found in the trash' });
+    }
+    console.error('Error restoring tattoo:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete a trashed record and its images now rather than waiting for the purge
+router.delete('/api/trash/:id', auth.requireAdmin, validate({
+  summary: 'Delete a record and its images now',
+  params: trashIdParams,
+  response: { type: 'object', properties: { success: { type: 'boolean' } } },
+  responses: { 404: { description: 'Tattoo not found in the trash' } }
+}), async (req, res) => {
+  try {
+    const tattoo = await findTrashed(req.params.id);
+    if (!tattoo) {
+      return res.status(404).json({ error: 'Tattoo not found in the trash' });
+    }
+
+    await purge(tattoo, req.user);
+    console.log(`Tattoo ${tattoo._id} purged from the trash by ${req.user.username}`);
+    res.json({ success: true });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ error: 'Tattoo not found in the trash' });
+    }
+    console.error('Error purging tattoo:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = {
+  RETENTION_DAYS,
+  purge,
+  purgeExpired,
+  startSchedule,
+  router
+};
@@ -0,0 +1,94 @@
+const path = require('path');
+const multer = require('multer');
+const { IMAGE_ROLES } = require('./models/tattoo');
+
+// Originals are resized before they are stored (imaging/pipeline.js), so this
+// only needs to fit full-resolution phone photos
+const MAX_IMAGE_SIZE = (parseFloat(process.env.UPLOAD_MAX_MB) || 25) * 1024 * 1024;
+
+const MAX_IMAGES_PER_ROLE = 5;
+
+// Files are held in memory until they are processed, so a request may carry
+// at most this many in all, whatever their roles
+const MAX_IMAGES_PER_REQUEST = 10;
+
+const IMAGE_TYPES = /jpeg|jpg|png|gif|webp|heic|heif/;
+
+const mimetypesByExtension = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.heic': 'image/heic',
+  '.heif': 'image/heif'
+};
+
+// Some browsers report HEIC files without a type; the pipeline decodes every
+// file anyway, so a generic type is fine as long as the extension matches
+const GENERIC_MIMETYPES = ['', 'application/octet-stream'];
+
+// The file name, and the reported type when there is one, have to look like a supported image
+function isAllowedImage(filename, mimetype) {
+  return IMAGE_TYPES.test(path.extname(filename).toLowerCase()) &&
+    (IMAGE_TYPES.test(mimetype) || GENERIC_MIMETYPES.includes(mimetype || ''));
+}
+
+// For files without a reported type, e.g. entries in an import archive
+function mimetypeForFilename(filename) {
+  return mimetypesByExtension[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+}
+
+// Set up multer for file uploads - keep files in memory and hand the buffer to the storage driver
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_SIZE, files: MAX_IMAGES_PER_REQUEST },
+  fileFilter: function(req, file, cb) {
+    if (isAllowedImage(file.originalname, file.mimetype)) {
+      return cb(null, true);
+    } else {
+      cb('Error: Images only!');
+    }
+  }
+});
+
+// One file field per image role ("reference", "stencil", "fresh", "healed").
+// The original single "image" field is still accepted and counts as "fresh".
+const imageFields = upload.fields([
+  ...IMAGE_ROLES.map(role => ({ name: role, maxCount: MAX_IMAGES_PER_ROLE })),
+  { name: 'image', maxCount: 1 }
+]);
+
+// The file fields of imageFields, as schemas for the API description (see validation/)
+const imageFieldSchemas = {
+  ...Object.fromEntries(IMAGE_ROLES.map(role => [role, {
+    type: 'array',
+    items: { type: 'string', format: 'binary' },
+    maxItems: MAX_IMAGES_PER_ROLE,
+    description: `Images with the "${role}" role`
+  }])),
+  image: { type: 'string', format: 'binary', description: 'Older single image field; counts as "fresh"' }
+};
+
+// Files received by imageFields as [{ role, file }], in role order
+function uploadedImages(req) {
+  const files = req.files || {};
+  const uploads = [];
+  IMAGE_ROLES.forEach(role => {
+    (files[role] || []).forEach(file => uploads.push({ role, file }));
+  });
+  (files.image || []).forEach(file => uploads.push({ role: 'fresh', file }));
+  return uploads;
+}
+
+module.exports = {
+  MAX_IMAGE_SIZE,
+  MAX_IMAGES_PER_ROLE,
+  MAX_IMAGES_PER_REQUEST,
+  isAllowedImage,
+  mimetypeForFilename,
+  upload,
+  imageFields,
+  imageFieldSchemas,
+  uploadedImages
+};
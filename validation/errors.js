@@ -0,0 +1,30 @@
+// Every /api error response has the same shape:
+//
+//   { "error": "One-line message", "code": "validation_failed", "fields": { "price": "Price must be a number" } }
+//
+// `code` is stable for clients to branch on; `fields` is only there when
+// particular fields were at fault. A few errors add context of their own,
+// e.g. the 409 for a duplicate image lists the `duplicates`.
+const ERROR_CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'too_large',
+  500: 'server_error',
+  503: 'unavailable'
+};
+
+// Code of a 400 caused by fields that don't match their schema
+const VALIDATION_FAILED = 'validation_failed';
+
+function errorCode(status) {
+  return ERROR_CODES[status] || (status >= 500 ? 'server_error' : 'invalid_request');
+}
+
+module.exports = {
+  ERROR_CODES,
+  VALIDATION_FAILED,
+  errorCode
+};
@@ -0,0 +1,92 @@
+const schema = require('./schema');
+const openapi = require('./openapi');
+const { ERROR_CODES, VALIDATION_FAILED, errorCode } = require('./errors');
+
+// Send a 400 for problems found by schema.check(), or for a { error, fields }
+// failure returned by one of the model parsers
+function sendValidationError(res, failure) {
+  const { error, fields } = Array.isArray(failure) ? schema.describeProblems(failure) : failure;
+  res.status(400).json({ error, code: fields ? VALIDATION_FAILED : errorCode(400), ...(fields ? { fields } : {}) });
+}
+
+/**
+ * Middleware that checks a request against its declared schemas before the
+ * handler runs, answering 400 with per-field messages if it doesn't match:
+ *
+ *   router.post('/api/things/:id', requireAdmin, validate({
+ *     summary: 'Update a thing',
+ *     params: { properties: { id: { type: 'string' } } },
+ *     query: { properties: { ... }, required: [...] },
+ *     body: { type: 'object', properties: { ... }, required: [...] },
+ *     multipart: true,
+ *     response: { ... },
+ *     responses: { 404: { description: 'No such thing' } }
+ *   }), handler);
+ *
+ * `response` is the schema of a 200 response body, and `responses` lists
+ * other outcomes as { description, schema }. Multipart routes must put
+ * validate() after the upload middleware so the form fields have been read.
+ * The declaration also describes the route in the OpenAPI document at /api/docs.
+ */
+function validate(spec) {
+  const middleware = (req, res, next) => {
+    const problems = [
+      ...schema.checkProperties(spec.params || {}, req.params),
+      ...schema.checkProperties(spec.query || {}, req.query),
+      ...(spec.body ? schema.check(spec.body, req.body || {}) : [])
+    ];
+    if (problems.length) {
+      return sendValidationError(res, problems);
+    }
+    next();
+  };
+  middleware.apiSpec = spec;
+  return middleware;
+}
+
+// Add the error code to every /api error response that doesn't have one yet
+function errorEnvelope(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body.error === 'string' && !body.code) {
+      body = { ...body, code: errorCode(res.statusCode) };
+    }
+    return json(body);
+  };
+  next();
+}
+
+// Errors passed to next() by middleware: malformed JSON, upload limits and
+// rejected file types are the client's fault; anything else is a 500
+function apiErrorResponse(err) {
+  if (err.type === 'entity.parse.failed') {
+    return { status: 400, error: 'The request body is not valid JSON' };
+  }
+  if (err.type === 'entity.too.large') {
+    return { status: 413, error: 'The request body is too large' };
+  }
+  if (err.name === 'MulterError') {
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return { status: 413, error: 'The file is too large', fields: err.field ? { [err.field]: 'The file is too large' } : undefined };
+    }
+    return { status: 400, error: err.message, fields: err.field ? { [err.field]: err.message } : undefined };
+  }
+  // The upload filter rejects other file types with a plain string
+  if (typeof err === 'string') {
+    return { status: 400, error: err.replace(/^Error: /, '') };
+  }
+  return { status: 500, error: 'Server error' };
+}
+
+module.exports = {
+  ...schema,
+  ERROR_CODES,
+  VALIDATION_FAILED,
+  errorCode,
+  validate,
+  sendValidationError,
+  errorEnvelope,
+  apiErrorResponse,
+  refs: openapi.refs,
+  router: openapi.router
+};
@@ -0,0 +1,257 @@
+const express = require('express');
+const packageInfo = require('../package.json');
+const { DETAIL_FIELD_SCHEMAS, IMAGE_ROLES } = require('../models/tattoo');
+const { CONSENT_SCOPES } = require('../consent/scopes');
+const { ERROR_CODES, VALIDATION_FAILED } = require('./errors');
+
+// Routes are documented from the validate() declarations on them (see
+// index.js); who may call a route is read from its auth middleware
+const ROLES_BY_MIDDLEWARE = {
+  requireAuth: 'a signed-in account',
+  requireAdmin: 'an admin account'
+};
+
+const errorResponse = description => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+const imageSchema = {
+  type: 'object',
+  properties: {
+    _id: { type: 'string' },
+    url: { type: 'string' },
+    role: { type: 'string', enum: IMAGE_ROLES },
+    width: { type: 'integer' },
+    height: { type: 'integer' },
+    thumbnail: { type: 'object', properties: { url: { type: 'string' } } },
+    createdAt: { type: 'string', format: 'date-time' }
+  }
+};
+
+const components = {
+  securitySchemes: {
+    bearerAuth: {
+      type: 'http',
+      scheme: 'bearer',
+      description: 'The token returned by POST /api/auth/login'
+    },
+    cookieAuth: {
+      type: 'apiKey',
+      in: 'cookie',
+      name: 'tdc_session'
+    }
+  },
+  schemas: {
+    Error: {
+      type: 'object',
+      required: ['error', 'code'],
+      properties: {
+        error: { type: 'string', description: 'What went wrong, in one line' },
+        code: { type: 'string', enum: [...Object.values(ERROR_CODES), VALIDATION_FAILED] },
+        fields: {
+          type: 'object',
+          additionalProperties: { type: 'string' },
+          description: 'Message for each field that failed validation, by field name'
+        }
+      }
+    },
+    Tattoo: {
+      type: 'object',
+      properties: {
+        _id: { type: 'string' },
+        images: { type: 'array', items: imageSchema },
+        imageUrl: { type: ['string', 'null'], description: 'URL of the main image' },
+        thumbnailUrl: { type: ['string', 'null'] },
+        price: { type: 'number' },
+        currency: { type: 'string' },
+        timeInHours: { type: 'number' },
+        tags: { type: 'array', items: { type: 'string' } },
+        placement: DETAIL_FIELD_SCHEMAS.placement,
+        size: {
+          type: 'object',
+          properties: { widthCm: { type: 'number' }, heightCm: { type: 'number' } }
+        },
+        colorMode: DETAIL_FIELD_SCHEMAS.colorMode,
+        style: DETAIL_FIELD_SCHEMAS.style,
+        artist: { type: 'string' },
+        sessions: { type: 'integer' },
+        coverUp: { type: 'boolean' },
+        consent: {
+          type: 'object',
+          properties: {
+            scope: { type: 'string', enum: CONSENT_SCOPES },
+            givenAt: { type: 'string', format: 'date-time' },
+            clientRef: { type: 'string', description: 'Only sent to signed-in users' }
+          }
+        },
+        pricePerHour: { type: ['number', 'null'] },
+        baseCurrency: { type: 'string' },
+        basePrice: { type: ['number', 'null'], description: 'Price in the base currency; null when its currency has no rate' },
+        basePricePerHour: { type: ['number', 'null'] },
+        owner: {
+          type: ['object', 'null'],
+          properties: { _id: { type: 'string' }, username: { type: 'string' }, displayName: { type: 'string' } }
+        },
+        reviewStatus: { type: 'string' },
+        quality: { type: 'object', properties: { score: { type: 'number' } } },
+        schemaVersion: { type: 'integer' },
+        createdAt: { type: 'string', format: 'date-time' },
+        updatedAt: { type: 'string', format: 'date-time' }
+      }
+    }
+  }
+};
+
+// For route declarations that return records
+const refs = {
+  tattoo: { $ref: '#/components/schemas/Tattoo' }
+};
+
+// Every route in an Express router stack, with its handlers, including those of mounted routers
+function collectRoutes(stack) {
+  return stack.flatMap(layer => {
+    if (layer.route) {
+      return Object.keys(layer.route.methods)
+        .filter(method => method !== '_all')
+        .map(method => ({ method, path: layer.route.path, handlers: layer.route.stack }));
+    }
+    if (layer.name === 'router' && layer.handle.stack) {
+      return collectRoutes(layer.handle.stack);
+    }
+    return [];
+  });
+}
+
+// "/api/tattoos/:id/history" -> "/api/tattoos/{id}/history"
+function openApiPath(path) {
+  return path.replace(/:(\w+)/g, '{$1}');
+}
+
+// "get", "/api/tattoos/:id/history" -> "getTattoosByIdHistory"
+function operationId(method, path) {
+  const words = path.split('/')
+    .filter(segment => segment && segment !== 'api')
+    .map(segment => (segment.startsWith(':') ? `by-${segment.slice(1)}` : segment))
+    .join('-')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+  return method + words.map(word => word[0].toUpperCase() + word.slice(1)).join('');
+}
+
+function parameters(location, declared = {}, names = []) {
+  const properties = declared.properties || {};
+  const required = declared.required || [];
+  const all = Array.from(new Set([...names, ...Object.keys(properties)]));
+  return all.map(name => {
+    const { description, ...schema } = properties[name] || { type: 'string' };
+    return {
+      name,
+      in: location,
+      required: location === 'path' || required.includes(name),
+      ...(description ? { description } : {}),
+      schema
+    };
+  });
+}
+
+function describeOperation({ method, path, handlers }) {
+  const validator = handlers.find(layer => layer.handle.apiSpec);
+  const spec = validator ? validator.handle.apiSpec : {};
+  const role = handlers.map(layer => ROLES_BY_MIDDLEWARE[layer.name]).find(Boolean);
+  const pathParams = (path.match(/:(\w+)/g) || []).map(param => param.slice(1));
+
+  const operation = {
+    operationId: operationId(method, path),
+    tags: spec.tags || [path.split('/')[2]],
+    summary: spec.summary,
+    description: [spec.description, role && `Requires ${role}.`].filter(Boolean).join('\n\n') || undefined,
+    parameters: [...parameters('path', spec.params, pathParams), ...parameters('query', spec.query)]
+  };
+
+  if (spec.body) {
+    const contentType = spec.multipart ? 'multipart/form-data' : 'application/json';
+    operation.requestBody = {
+      required: Boolean(spec.body.required && spec.body.required.length),
+      content: { [contentType]: { schema: spec.body } }
+    };
+  }
+
+  // Routes that answer with another success status (e.g. 201) declare it in `responses`
+  const responses = {};
+  if (!Object.keys(spec.responses || {}).some(status => status.startsWith('2'))) {
+    responses[200] = {
+      description: 'Success',
+      ...(spec.response ? { content: { 'application/json': { schema: spec.response } } } : {})
+    };
+  }
+  if (spec.params || spec.query || spec.body) responses[400] = errorResponse('The request failed validation; `fields` has a message for each field');
+  if (role) responses[401] = errorResponse('Not signed in');
+  if (role === ROLES_BY_MIDDLEWARE.requireAdmin) responses[403] = errorResponse('Not an admin');
+  responses[500] = errorResponse('Server error');
+  // Declared responses are { description, schema }; errors get the Error schema
+  Object.entries(spec.responses || {}).forEach(([status, { description, schema }]) => {
+    if (status >= 400) {
+      responses[status] = errorResponse(description);
+    } else {
+      responses[status] = { description, ...(schema ? { content: { 'application/json': { schema } } } : {}) };
+    }
+  });
+  operation.responses = responses;
+
+  if (role) {
+    operation.security = [{ bearerAuth: [] }, { cookieAuth: [] }];
+  }
+  return operation;
+}
+
+/**
+ * The OpenAPI 3.1 document for every /api route of an Express app.
+ */
+function buildDocument(app) {
+  const paths = {};
+  collectRoutes(app._router.stack)
+    .filter(route => typeof route.path === 'string' && route.path.startsWith('/api/'))
+    .forEach(route => {
+      const path = openApiPath(route.path);
+      paths[path] = paths[path] || {};
+      paths[path][route.method] = describeOperation(route);
+    });
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Tattoo Data Collector API',
+      version: packageInfo.version,
+      description: `${packageInfo.description}. Errors always have the shape of the Error schema.`
+    },
+    servers: [{ url: '/' }],
+    paths,
+    components
+  };
+}
+
+const router = express.Router();
+
+// Routes don't change once the server is running, so the document is built once
+let document = null;
+
+function serveDocument(req, res) {
+  try {
+    document = document || buildDocument(req.app);
+    res.json(document);
+  } catch (error) {
+    console.error('Error building the API description:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+// Described like the other routes, without going through validate()
+serveDocument.apiSpec = { summary: 'This description of the API' };
+
+router.get('/api/docs', serveDocument);
+
+module.exports = {
+  refs,
+  buildDocument,
+  router
+};
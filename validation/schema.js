@@ -0,0 +1,156 @@
+// Request validation against declarative schemas. Schemas are plain JSON
+// Schema objects (the subset below), so the same objects describe the API in
+// the OpenAPI document (see openapi.js).
+//
+// Supported keywords: type (or a list of types), enum, minimum, maximum,
+// exclusiveMinimum, minLength, maxLength, pattern, format (date, date-time),
+// items, minItems, maxItems, properties and required. `title` names the field
+// in messages, and `x-message` replaces the message for any problem with it.
+//
+// Form fields and query parameters are always strings, so a string holding a
+// number or boolean passes as one. Blank values count as not provided: they
+// only fail when the field is required, and are left for the handler to treat
+// as "clear this field" on updates.
+
+const NUMERIC = /^\s*[-+]?(\d+(\.\d*)?|\.\d+)([eE][-+]?\d+)?\s*$/;
+const TRUE_VALUES = ['true', 'on', 'yes', '1'];
+const FALSE_VALUES = ['false', 'off', 'no', '0'];
+
+const TYPE_NAMES = {
+  string: 'text',
+  number: 'a number',
+  integer: 'a whole number',
+  boolean: 'true or false',
+  array: 'a list',
+  object: 'an object'
+};
+
+function isBlank(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+// File fields of multipart forms are described in schemas for the docs but
+// arrive in req.files, so they aren't checked here
+function isFileField(schema) {
+  return schema.format === 'binary' || Boolean(schema.items && schema.items.format === 'binary');
+}
+
+// The value as the given type, or undefined when it isn't one
+function asType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' ? value : undefined;
+    case 'number':
+    case 'integer': {
+      const number = typeof value === 'number' ? value : (typeof value === 'string' && NUMERIC.test(value) ? Number(value) : NaN);
+      if (!Number.isFinite(number)) return undefined;
+      return type === 'integer' && !Number.isInteger(number) ? undefined : number;
+    }
+    case 'boolean': {
+      if (typeof value === 'boolean') return value;
+      const normalized = String(value).trim().toLowerCase();
+      if (TRUE_VALUES.includes(normalized)) return true;
+      if (FALSE_VALUES.includes(normalized)) return false;
+      return undefined;
+    }
+    case 'array':
+      return Array.isArray(value) ? value : undefined;
+    case 'object':
+      return value && typeof value === 'object' && !Array.isArray(value) ? value : undefined;
+    default:
+      return value;
+  }
+}
+
+function listTypes(types) {
+  const names = types.map(type => TYPE_NAMES[type] || type);
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}` : names[0];
+}
+
+// Problems with one value, as messages about `label`
+function valueProblems(schema, value, label) {
+  const types = [].concat(schema.type || []);
+  let typed = value;
+  let type = null;
+  if (types.length) {
+    type = types.find(candidate => asType(value, candidate) !== undefined);
+    if (!type) return [`${label} must be ${listTypes(types)}`];
+    typed = asType(value, type);
+  }
+
+  if (schema.enum && !schema.enum.includes(typed)) {
+    return [`${label} must be one of: ${schema.enum.join(', ')}`];
+  }
+
+  const problems = [];
+  if (typeof typed === 'number') {
+    if (schema.minimum !== undefined && typed < schema.minimum) problems.push(`${label} must be at least ${schema.minimum}`);
+    if (schema.exclusiveMinimum !== undefined && typed <= schema.exclusiveMinimum) problems.push(`${label} must be greater than ${schema.exclusiveMinimum}`);
+    if (schema.maximum !== undefined && typed > schema.maximum) problems.push(`${label} must be at most ${schema.maximum}`);
+  }
+  if (typeof typed === 'string') {
+    if (schema.minLength !== undefined && typed.length < schema.minLength) problems.push(`${label} must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && typed.length > schema.maxLength) problems.push(`${label} must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(typed)) problems.push(`${label} is not in the expected format`);
+    if (['date', 'date-time'].includes(schema.format) && isNaN(new Date(typed).getTime())) problems.push(`${label} must be a valid date`);
+  }
+  if (Array.isArray(typed)) {
+    if (schema.minItems !== undefined && typed.length < schema.minItems) problems.push(`${label} needs at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && typed.length > schema.maxItems) problems.push(`${label} can have at most ${schema.maxItems} items`);
+  }
+  return problems;
+}
+
+/**
+ * Check a value against a schema. Returns [{ field, message }], empty when it
+ * is valid; `field` is the path to the problem, e.g. "size.widthCm" or "files[0].key".
+ */
+function check(schema, value, field = '') {
+  if (!schema || isFileField(schema)) return [];
+  const label = schema.title || field || 'Value';
+  const problems = valueProblems(schema, value, label);
+  if (problems.length) {
+    return problems.map(message => ({ field, message: schema['x-message'] || message }));
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    return value.flatMap((item, index) => check(schema.items, item, `${field}[${index}]`));
+  }
+  if (schema.properties && asType(value, 'object')) {
+    return checkProperties(schema, value, field);
+  }
+  return [];
+}
+
+// Check each declared property of an object; unknown properties are allowed
+function checkProperties(schema, object, prefix = '') {
+  const required = schema.required || [];
+  return Object.entries(schema.properties || {}).flatMap(([name, propertySchema]) => {
+    const field = prefix ? `${prefix}.${name}` : name;
+    const value = object[name];
+    if (isBlank(value)) {
+      if (!required.includes(name) || isFileField(propertySchema)) return [];
+      return [{ field, message: propertySchema['x-message'] || `${propertySchema.title || name} is required` }];
+    }
+    return check(propertySchema, value, field);
+  });
+}
+
+/**
+ * The failure a list of problems from check() adds up to: `error` sums it up
+ * in one line and `fields` has the message for each field.
+ */
+function describeProblems(problems) {
+  const fields = {};
+  problems.forEach(({ field, message }) => {
+    if (!fields[field]) fields[field] = message;
+  });
+  return { error: Object.values(fields).join('; '), fields };
+}
+
+module.exports = {
+  isBlank,
+  check,
+  checkProperties,
+  describeProblems
+};
@@ -0,0 +1,588 @@
+const crypto = require('crypto');
+const express = require('express');
+const mongoose = require('mongoose');
+const packageInfo = require('../package.json');
+const { Tattoo } = require('../models/tattoo');
+const { Webhook, WEBHOOK_EVENTS } = require('../models/webhook');
+const { WebhookDelivery, DELIVERY_STATUSES } = require('../models/webhookDelivery');
+const { parseTattooQuery, PAGE_PARAMETERS } = require('../models/tattooQuery');
+const { CONSENT_SCOPES, scopesAllowing } = require('../consent/scopes');
+const { requireAdmin } = require('../auth');
+const { validate } = require('../validation');
+const dataExport = require('../export');
+const metrics = require('../monitoring/metrics');
+const { signatureHeaders } = require('./signature');
+
+// A delivery is tried this many times before it is marked failed
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 10;
+
+// Wait before the first retry; it doubles after each failed attempt, up to MAX_RETRY_DELAY_MS
+const RETRY_SECONDS = parseFloat(process.env.WEBHOOK_RETRY_SECONDS) || 30;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+
+// A receiver that hasn't answered by then counts as a failed attempt
+const TIMEOUT_MS = 10 * 1000;
+
+// How often the outbox is checked for deliveries that are due
+const DELIVERY_INTERVAL_MS = 15 * 1000;
+const BATCH_SIZE = 20;
+
+const MIN_SECRET_LENGTH = 16;
+const USER_AGENT = `tattoo-data-collector-webhooks/${packageInfo.version}`;
+
+// The audit actions (see audit/) each webhook event covers
+const EVENTS_BY_ACTION = {
+  created: 'tattoo.created',
+  edited: 'tattoo.updated',
+  reviewed: 'tattoo.updated',
+  restored: 'tattoo.updated',
+  deleted: 'tattoo.deleted',
+  purged: 'tattoo.deleted'
+};
+
+// Exponential backoff: the wait after the given number of failed attempts
+function retryDelay(failedAttempts) {
+  return Math.min(RETRY_SECONDS * 1000 * Math.pow(2, failedAttempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+// The body sent to a receiver; `id` is the delivery's ID, which stays the
+// same across retries so receivers can ignore a delivery they already have
+function buildPayload(id, event, data) {
+  return { id: String(id), event, createdAt: new Date().toISOString(), data };
+}
+
+// A record as the export's JSON rows show it, or null when its client didn't
+// consent to the use the webhook is for
+function recordFor(tattoo, webhook) {
+  if (!tattoo || !tattoo.consent || !scopesAllowing(webhook.consentScope).includes(tattoo.consent.scope)) {
+    return null;
+  }
+  return dataExport.toRow(tattoo, { fields: dataExport.FIELDS });
+}
+
+/**
+ * Add a delivery to the outbox for every active webhook that wants the event
+ * an audit action stands for, then start sending. Called by audit.record(), so
+ * every change that is logged is also announced. Deleted records, and records
+ * whose client didn't consent to the webhook's scope, are sent without their
+ * values or changes. A failure is logged rather than failing the change.
+ */
+async function notify(action, tattooId, { changes } = {}) {
+  const event = EVENTS_BY_ACTION[action];
+  if (!event) return;
+
+  try {
+    const webhooks = await Webhook.find({ active: true, events: event });
+    if (!webhooks.length) return;
+
+    const tattoo = event === 'tattoo.deleted'
+      ? null
+      : await Tattoo.findById(tattooId).setOptions({ withTrashed: true }).lean();
+
+    await WebhookDelivery.insertMany(webhooks.map(webhook => {
+      const _id = new mongoose.Types.ObjectId();
+      // The changes carry the record's values too, so they go wherever the record may
+      const record = recordFor(tattoo, webhook);
+      return {
+        _id,
+        webhook: webhook._id,
+        event,
+        payload: buildPayload(_id, event, {
+          id: String(tattooId),
+          action,
+          changes: record && changes && changes.length ? changes : undefined,
+          record
+        })
+      };
+    }));
+    deliverDue().catch(error => console.error('Error sending webhook deliveries:', error));
+  } catch (error) {
+    console.error(`Error queueing ${event} webhooks for tattoo ${tattooId}:`, error);
+  }
+}
+
+// Describe why an attempt failed, in one line for the delivery log
+function attemptError(error) {
+  if (error.name === 'TimeoutError') {
+    return `No response within ${TIMEOUT_MS / 1000} seconds`;
+  }
+  // fetch reports connection problems as "fetch failed" with the reason in `cause`
+  return (error.cause && error.cause.message) || error.message;
+}
+
+/**
+ * Send a delivery to its webhook once and record the attempt. Redirects are
+ * not followed and count as failures, like any answer other than 2xx. After
+ * a failure the delivery is scheduled again with backoff, or marked failed
+ * once it has had MAX_ATTEMPTS attempts.
+ */
+async function attemptDelivery(delivery, webhook) {
+  const body = JSON.stringify(delivery.payload);
+  const started = Date.now();
+  const attempt = { at: new Date(started) };
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': USER_AGENT,
+        'X-Webhook-Id': String(delivery._id),
+        'X-Webhook-Event': delivery.event,
+        ...signatureHeaders(webhook.secret, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+    attempt.statusCode = response.status;
+    if (response.body) await response.body.cancel().catch(() => {});
+    if (!response.ok) {
+      attempt.error = `Receiver answered ${response.status}`;
+    }
+  } catch (error) {
+    attempt.error = attemptError(error);
+  }
+  attempt.durationMs = Date.now() - started;
+
+  delivery.attempts.push(attempt);
+  let outcome;
+  if (!attempt.error) {
+    outcome = 'delivered';
+    delivery.status = 'delivered';
+    delivery.nextAttemptAt = undefined;
+    delivery.finishedAt = new Date();
+  } else if (delivery.attempts.length >= MAX_ATTEMPTS) {
+    outcome = 'failed';
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = undefined;
+    delivery.finishedAt = new Date();
+    console.error(`Webhook delivery ${delivery._id} to ${webhook.url} failed after ${delivery.attempts.length} attempts: ${attempt.error}`);
+  } else {
+    outcome = 'retrying';
+    delivery.status = 'pending';
+    delivery.nextAttemptAt = new Date(Date.now() + retryDelay(delivery.attempts.length));
+  }
+  metrics.webhookAttempts.inc({ event: delivery.event, outcome });
+  await delivery.save();
+  return delivery;
+}
+
+// Send everything in the outbox that is due, in the order it was queued.
+// Deliveries for disabled webhooks wait until they are enabled again.
+async function deliverBatches() {
+  const webhooks = new Map((await Webhook.find({ active: true })).map(webhook => [String(webhook._id), webhook]));
+  if (!webhooks.size) return;
+
+  let due;
+  do {
+    due = await WebhookDelivery.find({
+      status: 'pending',
+      nextAttemptAt: { $lte: new Date() },
+      webhook: { $in: Array.from(webhooks.keys()) }
+    }).sort({ nextAttemptAt: 1, _id: 1 }).limit(BATCH_SIZE);
+
+    for (const delivery of due) {
+      await attemptDelivery(delivery, webhooks.get(String(delivery.webhook)));
+    }
+  } while (due.length === BATCH_SIZE);
+}
+
+let delivering = null;
+let deliverAgain = false;
+
+/**
+ * Work through the outbox. Only one run happens at a time; a call made during
+ * a run makes it go round once more, so deliveries queued meanwhile aren't
+ * left for the next scheduled check.
+ */
+function deliverDue() {
+  if (delivering) {
+    deliverAgain = true;
+    return delivering;
+  }
+  delivering = (async () => {
+    do {
+      deliverAgain = false;
+      await deliverBatches();
+    } while (deliverAgain);
+  })().finally(() => {
+    delivering = null;
+  });
+  return delivering;
+}
+
+function startSchedule() {
+  const run = () => deliverDue().catch(error => console.error('Error sending webhook deliveries:', error));
+  run();
+  setInterval(run, DELIVERY_INTERVAL_MS).unref();
+}
+
+function generateSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+// Request and response shapes for validation and /api/docs (see validation/)
+const webhookFields = {
+  url: {
+    type: 'string',
+    pattern: '^https?://\\S+$',
+    title: 'URL',
+    'x-message': 'URL must start with http:// or https://'
+  },
+  events: {
+    type: 'array',
+    items: { type: 'string', enum: WEBHOOK_EVENTS },
+    minItems: 1,
+    title: 'Events'
+  },
+  secret: {
+    type: 'string',
+    minLength: MIN_SECRET_LENGTH,
+    title: 'Secret',
+    description: 'Signs each delivery; one is generated when left out'
+  },
+  consentScope: {
+    type: 'string',
+    enum: CONSENT_SCOPES,
+    title: 'Consent scope',
+    description: `Records are only included when their client consented to this use (${CONSENT_SCOPES[0]} by default)`
+  },
+  description: { type: 'string', maxLength: 200, title: 'Description' },
+  active: { type: 'boolean', description: 'Disabled webhooks get nothing; their pending deliveries wait' }
+};
+
+const webhookSchema = {
+  type: 'object',
+  properties: {
+    _id: { type: 'string' },
+    url: { type: 'string' },
+    events: { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS } },
+    consentScope: { type: 'string', enum: CONSENT_SCOPES },
+    description: { type: 'string' },
+    active: { type: 'boolean' },
+    createdBy: { type: 'string' },
+    createdAt: { type: 'string', format: 'date-time' }
+  }
+};
+
+// Only sent when the secret is set, so it can be copied to the receiver
+const savedWebhookSchema = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    webhook: webhookSchema,
+    secret: { type: 'string', description: 'Only included when the secret was set or generated' }
+  }
+};
+
+const deliverySchema = {
+  type: 'object',
+  properties: {
+    _id: { type: 'string' },
+    webhook: { type: 'string' },
+    event: { type: 'string' },
+    payload: { type: 'object', description: 'The body that is sent' },
+    status: { type: 'string', enum: DELIVERY_STATUSES },
+    attempts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          at: { type: 'string', format: 'date-time' },
+          statusCode: { type: 'integer' },
+          error: { type: 'string' },
+          durationMs: { type: 'integer' }
+        }
+      }
+    },
+    nextAttemptAt: { type: 'string', format: 'date-time' },
+    createdAt: { type: 'string', format: 'date-time' },
+    finishedAt: { type: 'string', format: 'date-time' }
+  }
+};
+
+const webhookIdParams = { properties: { id: { type: 'string', description: 'Webhook ID' } } };
+
+// Turn a rejected save into a 400 with a readable message
+function webhookErrorMessage(error) {
+  if (error.name === 'ValidationError') {
+    return Object.values(error.errors).map(fieldError => fieldError.message).join(', ');
+  }
+  return null;
+}
+
+const router = express.Router();
+
+router.get('/api/webhooks', requireAdmin, validate({
+  summary: 'List webhooks',
+  description: 'Includes how many deliveries are pending and failed for each.',
+  response: {
+    type: 'object',
+    properties: {
+      events: { type: 'array', items: { type: 'string' } },
+      maxAttempts: { type: 'integer' },
+      webhooks: {
+        type: 'array',
+        items: {
+          allOf: [webhookSchema, {
+            type: 'object',
+            properties: { pending: { type: 'integer' }, failed: { type: 'integer' } }
+          }]
+        }
+      }
+    }
+  }
+}), async (req, res) => {
+  try {
+    const [webhooks, counts] = await Promise.all([
+      Webhook.find().sort({ createdAt: 1 }),
+      WebhookDelivery.aggregate([
+        { $match: { status: { $in: ['pending', 'failed'] } } },
+        { $group: { _id: { webhook: '$webhook', status: '$status' }, count: { $sum: 1 } } }
+      ])
+    ]);
+    const countFor = (webhook, status) => (counts.find(count =>
+      String(count._id.webhook) === String(webhook._id) && count._id.status === status) || {}).count || 0;
+
+    res.json({
+      events: WEBHOOK_EVENTS,
+      maxAttempts: MAX_ATTEMPTS,
+      webhooks: webhooks.map(webhook => ({
+        ...webhook.toJSON(),
+        pending: countFor(webhook, 'pending'),
+        failed: countFor(webhook, 'failed')
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.post('/api/webhooks', requireAdmin, validate({
+  summary: 'Register a webhook',
+  description: 'The response is the only time the secret is shown.',
+  body: { type: 'object', required: ['url', 'events'], properties: webhookFields },
+  responses: { 201: { description: 'Registered', schema: savedWebhookSchema } }
+}), async (req, res) => {
+  try {
+    const { url, events, consentScope, description, active } = req.body;
+    const secret = req.body.secret || generateSecret();
+    const webhook = await Webhook.create({
+      url,
+      events,
+      secret,
+      consentScope: consentScope || undefined,
+      description,
+      active: active === undefined ? true : active,
+      createdBy: req.user._id
+    });
+    console.log(`Admin ${req.user.username} registered webhook ${webhook._id} for ${webhook.events.join(', ')}`);
+
+    res.status(201).json({ success: true, webhook, secret });
+  } catch (error) {
+    const message = webhookErrorMessage(error);
+    if (message) return res.status(400).json({ error: message });
+    console.error('Error registering webhook:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.patch('/api/webhooks/:id', requireAdmin, validate({
+  summary: 'Change a webhook',
+  description: 'Only the fields sent are changed. Send `rotateSecret` to replace the secret with a generated one.',
+  params: webhookIdParams,
+  body: {
+    type: 'object',
+    properties: {
+      ...webhookFields,
+      rotateSecret: { type: 'boolean', description: 'Generate a new secret' }
+    }
+  },
+  response: savedWebhookSchema,
+  responses: { 404: { description: 'Webhook not found' } }
+}), async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    ['url', 'events', 'consentScope', 'description', 'active'].forEach(field => {
+      if (req.body[field] !== undefined) webhook[field] = req.body[field];
+    });
+    let secret;
+    if (req.body.secret) {
+      secret = req.body.secret;
+    } else if (req.body.rotateSecret) {
+      secret = generateSecret();
+    }
+    if (secret) webhook.secret = secret;
+
+    await webhook.save();
+    console.log(`Admin ${req.user.username} updated webhook ${webhook._id}${secret ? ' (new secret)' : ''}`);
+    if (webhook.active) {
+      deliverDue().catch(error => console.error('Error sending webhook deliveries:', error));
+    }
+
+    res.json({ success: true, webhook, secret });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    const message = webhookErrorMessage(error);
+    if (message) return res.status(400).json({ error: message });
+    console.error('Error updating webhook:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Remove a webhook with its outbox and delivery log
+router.delete('/api/webhooks/:id', requireAdmin, validate({
+  summary: 'Remove a webhook',
+  description: 'Its pending deliveries and delivery log are removed too.',
+  params: webhookIdParams,
+  response: { type: 'object', properties: { success: { type: 'boolean' } } },
+  responses: { 404: { description: 'Webhook not found' } }
+}), async (req, res) => {
+  try {
+    const webhook = await Webhook.findByIdAndDelete(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+    console.log(`Admin ${req.user.username} removed webhook ${webhook._id}`);
+    res.json({ success: true });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    console.error('Error removing webhook:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Send a "ping" event now, to check the receiver and its secret
+router.post('/api/webhooks/:id/ping', requireAdmin, validate({
+  summary: 'Send a test delivery',
+  description: 'Sends a ping event straight away, even to a disabled webhook. If it fails it is retried like any other delivery.',
+  params: webhookIdParams,
+  response: { type: 'object', properties: { success: { type: 'boolean' }, delivery: deliverySchema } },
+  responses: { 404: { description: 'Webhook not found' } }
+}), async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const _id = new mongoose.Types.ObjectId();
+    const delivery = await WebhookDelivery.create({
+      _id,
+      webhook: webhook._id,
+      event: 'ping',
+      payload: buildPayload(_id, 'ping', { webhook: String(webhook._id), events: webhook.events })
+    });
+    await attemptDelivery(delivery, webhook);
+
+    res.json({ success: delivery.status === 'delivered', delivery });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    console.error('Error sending webhook ping:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// The delivery log of one webhook, newest first, with every attempt
+router.get('/api/webhooks/:id/deliveries', requireAdmin, validate({
+  summary: 'Show the delivery log of a webhook',
+  params: webhookIdParams,
+  query: {
+    properties: {
+      status: { type: 'string', enum: DELIVERY_STATUSES, title: 'Status', description: 'All deliveries when left out' },
+      ...PAGE_PARAMETERS
+    }
+  },
+  response: {
+    type: 'object',
+    properties: {
+      deliveries: { type: 'array', items: deliverySchema },
+      page: { type: 'integer' },
+      total: { type: 'integer' },
+      hasMore: { type: 'boolean' }
+    }
+  }
+}), async (req, res) => {
+  let query;
+  try {
+    query = parseTattooQuery({ page: req.query.page, limit: req.query.limit });
+  } catch (queryError) {
+    return res.status(400).json({ error: queryError.message });
+  }
+
+  try {
+    const filter = { webhook: req.params.id };
+    if (req.query.status) filter.status = req.query.status;
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter).sort({ createdAt: -1, _id: -1 }).skip(query.skip).limit(query.limit),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+
+    res.json({
+      deliveries,
+      page: query.page,
+      total,
+      hasMore: query.skip + deliveries.length < total
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Try a pending or failed delivery again now, e.g. once the receiver is fixed
+router.post('/api/webhooks/deliveries/:deliveryId/retry', requireAdmin, validate({
+  summary: 'Retry a delivery now',
+  description: 'A failed delivery gets one more attempt.',
+  params: { properties: { deliveryId: { type: 'string', description: 'Delivery ID' } } },
+  response: { type: 'object', properties: { success: { type: 'boolean' }, delivery: deliverySchema } },
+  responses: {
+    404: { description: 'Delivery not found' },
+    409: { description: 'Already delivered' }
+  }
+}), async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findById(req.params.deliveryId);
+    const webhook = delivery && await Webhook.findById(delivery.webhook);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    if (delivery.status === 'delivered') {
+      return res.status(409).json({ error: 'This delivery has already been delivered' });
+    }
+
+    await attemptDelivery(delivery, webhook);
+    res.json({ success: delivery.status === 'delivered', delivery });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    console.error('Error retrying webhook delivery:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = {
+  MAX_ATTEMPTS,
+  retryDelay,
+  notify,
+  deliverDue,
+  startSchedule,
+  router
+};
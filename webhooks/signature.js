@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+
+// Deliveries are signed like this, so a receiver can check that a payload came
+// from this server and wasn't changed or replayed:
+//
+//   X-Webhook-Timestamp: <unix time in seconds>
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the webhook's secret>
+const TIMESTAMP_HEADER = 'X-Webhook-Timestamp';
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+// Receivers should refuse deliveries signed longer ago than this
+const TOLERANCE_SECONDS = 5 * 60;
+
+function sign(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// The headers that sign a request body
+function signatureHeaders(secret, body, now = Date.now()) {
+  const timestamp = Math.floor(now / 1000);
+  return {
+    [TIMESTAMP_HEADER]: String(timestamp),
+    [SIGNATURE_HEADER]: sign(secret, timestamp, body)
+  };
+}
+
+/**
+ * Check a received body against its signature headers (as Node gives them,
+ * with lower-case names). Returns null when it is valid, or the reason it isn't.
+ */
+function verifySignature(secret, headers, body, now = Date.now()) {
+  const timestamp = Number(headers[TIMESTAMP_HEADER.toLowerCase()]);
+  const signature = String(headers[SIGNATURE_HEADER.toLowerCase()] || '');
+  if (!Number.isInteger(timestamp) || !signature) {
+    return 'Missing signature headers';
+  }
+  if (Math.abs(now / 1000 - timestamp) > TOLERANCE_SECONDS) {
+    return 'Timestamp is too old or in the future';
+  }
+  const expected = Buffer.from(sign(secret, timestamp, body));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return 'Signature does not match';
+  }
+  return null;
+}
+
+module.exports = {
+  TIMESTAMP_HEADER,
+  SIGNATURE_HEADER,
+  TOLERANCE_SECONDS,
+  sign,
+  signatureHeaders,
+  verifySignature
+};